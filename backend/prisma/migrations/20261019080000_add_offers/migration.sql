@@ -0,0 +1,66 @@
+-- AlterEnum
+ALTER TYPE "MessageType" ADD VALUE 'OFFER';
+
+-- CreateEnum
+CREATE TYPE "OfferStatus" AS ENUM ('PENDING', 'ACCEPTED', 'COUNTERED', 'DECLINED');
+
+-- AlterTable
+ALTER TABLE "message" ADD COLUMN     "metadata" JSONB,
+ADD COLUMN     "type" "MessageType" NOT NULL DEFAULT 'TEXT';
+
+-- CreateTable
+CREATE TABLE "offer" (
+    "id" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "status" "OfferStatus" NOT NULL DEFAULT 'PENDING',
+    "note" TEXT,
+    "produceId" TEXT NOT NULL,
+    "buyerId" TEXT NOT NULL,
+    "farmerId" TEXT NOT NULL,
+    "proposedById" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "parentOfferId" TEXT,
+    "orderId" TEXT,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "offer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "offer_parentOfferId_key" ON "offer"("parentOfferId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "offer_orderId_key" ON "offer"("orderId");
+
+-- CreateIndex
+CREATE INDEX "offer_conversationId_idx" ON "offer"("conversationId");
+
+-- CreateIndex
+CREATE INDEX "offer_produceId_idx" ON "offer"("produceId");
+
+-- CreateIndex
+CREATE INDEX "offer_buyerId_idx" ON "offer"("buyerId");
+
+-- CreateIndex
+CREATE INDEX "offer_farmerId_idx" ON "offer"("farmerId");
+
+-- AddForeignKey
+ALTER TABLE "offer" ADD CONSTRAINT "offer_produceId_fkey" FOREIGN KEY ("produceId") REFERENCES "produce"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "offer" ADD CONSTRAINT "offer_buyerId_fkey" FOREIGN KEY ("buyerId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "offer" ADD CONSTRAINT "offer_farmerId_fkey" FOREIGN KEY ("farmerId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "offer" ADD CONSTRAINT "offer_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "offer" ADD CONSTRAINT "offer_parentOfferId_fkey" FOREIGN KEY ("parentOfferId") REFERENCES "offer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "offer" ADD CONSTRAINT "offer_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
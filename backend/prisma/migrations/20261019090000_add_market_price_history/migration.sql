@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "market_price_history" (
+    "id" TEXT NOT NULL,
+    "cropName" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "unit" TEXT NOT NULL DEFAULT 'quintal',
+    "region" TEXT NOT NULL DEFAULT 'National',
+    "marketSession" TEXT NOT NULL DEFAULT 'Morning',
+    "observedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "marketPriceId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "market_price_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "market_price_history_cropName_observedAt_idx" ON "market_price_history"("cropName", "observedAt");
+
+-- CreateIndex
+CREATE INDEX "market_price_history_marketPriceId_observedAt_idx" ON "market_price_history"("marketPriceId", "observedAt");
+
+-- AddForeignKey
+ALTER TABLE "market_price_history" ADD CONSTRAINT "market_price_history_marketPriceId_fkey" FOREIGN KEY ("marketPriceId") REFERENCES "market_price"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: keep the two prices we already know about for each existing row
+INSERT INTO "market_price_history" ("id", "cropName", "price", "unit", "region", "marketSession", "observedAt", "marketPriceId")
+SELECT 'mph_prev_' || "id", "cropName", "previousPrice", "unit", "region", "marketSession", "createdAt", "id"
+FROM "market_price"
+WHERE "updatedAt" > "createdAt" AND "previousPrice" <> "currentPrice";
+
+INSERT INTO "market_price_history" ("id", "cropName", "price", "unit", "region", "marketSession", "observedAt", "marketPriceId")
+SELECT 'mph_curr_' || "id", "cropName", "currentPrice", "unit", "region", "marketSession", "updatedAt", "id"
+FROM "market_price";
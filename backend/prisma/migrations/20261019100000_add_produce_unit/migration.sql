@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "produce" ADD COLUMN     "unit" TEXT NOT NULL DEFAULT 'quintal';
@@ -0,0 +1,14 @@
+-- DropIndex
+DROP INDEX "weather_data_location_date_key";
+
+-- AlterTable
+ALTER TABLE "weather_data" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "fetchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "kind" TEXT NOT NULL DEFAULT 'current',
+ADD COLUMN     "payload" JSONB;
+
+-- CreateIndex
+CREATE INDEX "weather_data_location_kind_fetchedAt_idx" ON "weather_data"("location", "kind", "fetchedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "weather_data_location_date_kind_key" ON "weather_data"("location", "date", "kind");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "weather_alert" ADD COLUMN     "action" TEXT,
+ADD COLUMN     "crop" TEXT,
+ADD COLUMN     "dedupeKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "weather_alert_farmerId_dedupeKey_key" ON "weather_alert"("farmerId", "dedupeKey");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "produce" ADD COLUMN     "latitude" DOUBLE PRECISION,
+ADD COLUMN     "longitude" DOUBLE PRECISION,
+ADD COLUMN     "region" TEXT;
+
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "latitude" DOUBLE PRECISION,
+ADD COLUMN     "longitude" DOUBLE PRECISION,
+ADD COLUMN     "placeId" TEXT,
+ADD COLUMN     "region" TEXT,
+ADD COLUMN     "woreda" TEXT,
+ADD COLUMN     "zone" TEXT;
+
+-- CreateIndex
+CREATE INDEX "produce_region_idx" ON "produce"("region");
+
+-- CreateIndex
+CREATE INDEX "user_region_idx" ON "user"("region");
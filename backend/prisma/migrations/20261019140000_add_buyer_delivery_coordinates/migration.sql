@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "buyer_profile" ADD COLUMN     "deliveryLatitude" DOUBLE PRECISION,
+ADD COLUMN     "deliveryLongitude" DOUBLE PRECISION,
+ADD COLUMN     "deliveryPlaceId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "produce_latitude_longitude_idx" ON "produce"("latitude", "longitude");
+
+-- CreateIndex
+CREATE INDEX "user_latitude_longitude_idx" ON "user"("latitude", "longitude");
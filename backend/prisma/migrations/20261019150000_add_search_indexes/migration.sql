@@ -0,0 +1,38 @@
+-- Full-text and trigram search (see src/utils/search.ts)
+--
+-- These are expression indexes, which Prisma can't describe in schema.prisma.
+-- The expressions must stay identical to the ones in src/utils/search.ts,
+-- otherwise Postgres won't use the indexes.
+
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- array_to_string is only STABLE, index expressions need an IMMUTABLE function
+CREATE OR REPLACE FUNCTION search_array_text(text[]) RETURNS text
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE
+  AS $$ SELECT coalesce(array_to_string($1, ' '), '') $$;
+
+-- CreateIndex
+CREATE INDEX "produce_search_idx" ON "produce" USING GIN (
+  to_tsvector('english', coalesce("name", '') || ' ' || coalesce("description", ''))
+);
+CREATE INDEX "produce_name_trgm_idx" ON "produce" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "article_search_idx" ON "article" USING GIN (
+  (setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+   setweight(to_tsvector('english', coalesce("excerpt", '') || ' ' || search_array_text("tags")), 'B') ||
+   setweight(to_tsvector('english', coalesce("content", '')), 'C'))
+);
+CREATE INDEX "article_title_trgm_idx" ON "article" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "user_search_idx" ON "user" USING GIN (
+  to_tsvector('simple', coalesce("name", '') || ' ' || coalesce("location", ''))
+);
+CREATE INDEX "user_name_trgm_idx" ON "user" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "expert_profile_search_idx" ON "expert_profile" USING GIN (
+  to_tsvector('english', search_array_text("expertise"))
+);
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "ListingEventType" AS ENUM ('VIEW', 'INQUIRY');
+
+-- CreateTable
+CREATE TABLE "listing_event" (
+    "id" TEXT NOT NULL,
+    "type" "ListingEventType" NOT NULL,
+    "produceId" TEXT NOT NULL,
+    "viewerId" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "dedupeKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "listing_event_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "listing_event_dedupeKey_key" ON "listing_event"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "listing_event_produceId_type_createdAt_idx" ON "listing_event"("produceId", "type", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "listing_event_viewerId_type_createdAt_idx" ON "listing_event"("viewerId", "type", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "listing_event" ADD CONSTRAINT "listing_event_produceId_fkey" FOREIGN KEY ("produceId") REFERENCES "produce"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "listing_event" ADD CONSTRAINT "listing_event_viewerId_fkey" FOREIGN KEY ("viewerId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
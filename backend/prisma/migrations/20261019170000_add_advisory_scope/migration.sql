@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "advisory" ADD COLUMN     "placeId" TEXT,
+ADD COLUMN     "region" TEXT,
+ADD COLUMN     "zone" TEXT;
+
+-- CreateIndex
+CREATE INDEX "advisory_region_idx" ON "advisory"("region");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "weekly_digest" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "weekKey" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL,
+    "status" TEXT NOT NULL,
+    "snapshot" JSONB,
+    "error" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "weekly_digest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "weekly_digest_status_idx" ON "weekly_digest"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "weekly_digest_userId_weekKey_key" ON "weekly_digest"("userId", "weekKey");
+
+-- AddForeignKey
+ALTER TABLE "weekly_digest" ADD CONSTRAINT "weekly_digest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "SmsStatus" AS ENUM ('QUEUED', 'SENT', 'DELIVERED', 'FAILED', 'SKIPPED');
+
+-- CreateTable
+CREATE TABLE "sms_message" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "encoding" TEXT NOT NULL,
+    "segments" INTEGER NOT NULL,
+    "status" "SmsStatus" NOT NULL DEFAULT 'QUEUED',
+    "gateway" TEXT NOT NULL,
+    "providerMessageId" TEXT,
+    "error" TEXT,
+    "notificationId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sms_message_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sms_message_providerMessageId_key" ON "sms_message"("providerMessageId");
+
+-- CreateIndex
+CREATE INDEX "sms_message_userId_createdAt_idx" ON "sms_message"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "sms_message_status_idx" ON "sms_message"("status");
+
+-- AddForeignKey
+ALTER TABLE "sms_message" ADD CONSTRAINT "sms_message_userId_fkey" FOREIGN KEY ("userId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
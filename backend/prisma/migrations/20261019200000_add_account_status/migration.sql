@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "AccountStatus" AS ENUM ('ACTIVE', 'SUSPENDED', 'BANNED');
+
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "status" "AccountStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "statusChangedAt" TIMESTAMP(3),
+ADD COLUMN     "statusChangedById" TEXT,
+ADD COLUMN     "statusReason" TEXT,
+ADD COLUMN     "statusUntil" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "user_status_idx" ON "user"("status");
+
+-- AddForeignKey
+ALTER TABLE "user" ADD CONSTRAINT "user_statusChangedById_fkey" FOREIGN KEY ("statusChangedById") REFERENCES "user"("id") ON DELETE SET NULL ON UPDATE CASCADE;
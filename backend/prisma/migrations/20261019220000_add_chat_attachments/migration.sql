@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "chat_attachment" (
+    "id" TEXT NOT NULL,
+    "uploaderId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "messageId" TEXT,
+    "type" "MessageType" NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "thumbnailKey" TEXT,
+    "width" INTEGER,
+    "height" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "chat_attachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "chat_attachment_conversationId_idx" ON "chat_attachment"("conversationId");
+
+-- CreateIndex
+CREATE INDEX "chat_attachment_messageId_idx" ON "chat_attachment"("messageId");
+
+-- CreateIndex
+CREATE INDEX "chat_attachment_uploaderId_createdAt_idx" ON "chat_attachment"("uploaderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "chat_attachment" ADD CONSTRAINT "chat_attachment_uploaderId_fkey" FOREIGN KEY ("uploaderId") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "chat_attachment" ADD CONSTRAINT "chat_attachment_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "chat_attachment" ADD CONSTRAINT "chat_attachment_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
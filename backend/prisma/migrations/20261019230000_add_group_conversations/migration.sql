@@ -0,0 +1,17 @@
+-- AlterEnum
+ALTER TYPE "MessageType" ADD VALUE 'SYSTEM';
+
+-- CreateEnum
+CREATE TYPE "ParticipantRole" AS ENUM ('ADMIN', 'MEMBER');
+
+-- AlterTable
+ALTER TABLE "conversation" ADD COLUMN     "isGroup" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "title" TEXT;
+
+-- AlterTable
+ALTER TABLE "conversation_participant" ADD COLUMN     "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "lastReadAt" TIMESTAMP(3),
+ADD COLUMN     "role" "ParticipantRole" NOT NULL DEFAULT 'MEMBER';
+
+-- CreateIndex
+CREATE INDEX "conversation_participant_userId_idx" ON "conversation_participant"("userId");
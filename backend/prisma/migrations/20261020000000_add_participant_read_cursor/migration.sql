@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "conversation_participant" ADD COLUMN     "lastReadMessageId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "conversation_participant" ADD CONSTRAINT "conversation_participant_lastReadMessageId_fkey" FOREIGN KEY ("lastReadMessageId") REFERENCES "message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: participants of 1-on-1 chats were there from the start, not from when joinedAt was added
+UPDATE "conversation_participant" cp
+SET "joinedAt" = c."createdAt"
+FROM "conversation" c
+WHERE c."id" = cp."conversationId" AND c."isGroup" = false;
+
+-- Backfill: the cursor starts at the latest message the participant has certainly seen
+-- (one they sent, or one from someone else already marked as read)
+UPDATE "conversation_participant" cp
+SET "lastReadMessageId" = (
+    SELECT m."id"
+    FROM "message" m
+    WHERE m."conversationId" = cp."conversationId"
+      AND (m."senderId" = cp."userId" OR m."isRead" = true)
+    ORDER BY m."createdAt" DESC
+    LIMIT 1
+);
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "price_alert" ADD COLUMN     "marketSession" TEXT,
+ADD COLUMN     "region" TEXT NOT NULL DEFAULT 'National';
+
+-- Backfill: existing alerts watch the farmer's own region, like new ones do
+UPDATE "price_alert" pa
+SET "region" = u."region"
+FROM "user" u
+WHERE u."id" = pa."farmerId" AND u."region" IS NOT NULL;
@@ -0,0 +1,34 @@
+-- One board row per crop, region and market session, ignoring case
+--
+-- This is an expression index, which Prisma can't describe in schema.prisma.
+-- writeMarketPrice in src/utils/marketPrices.ts relies on it: two writers
+-- creating the same row at once get a unique violation instead of a duplicate.
+
+-- Merge rows that were already duplicated: history moves to the most
+-- recently updated row, which holds the latest price
+WITH ranked AS (
+  SELECT "id",
+         first_value("id") OVER (
+           PARTITION BY lower("cropName"), lower("region"), lower("marketSession")
+           ORDER BY "updatedAt" DESC, "id"
+         ) AS "keepId"
+  FROM "market_price"
+)
+UPDATE "market_price_history" h
+SET "marketPriceId" = r."keepId"
+FROM ranked r
+WHERE h."marketPriceId" = r."id" AND r."id" <> r."keepId";
+
+DELETE FROM "market_price" mp
+WHERE EXISTS (
+  SELECT 1 FROM "market_price" other
+  WHERE lower(other."cropName") = lower(mp."cropName")
+    AND lower(other."region") = lower(mp."region")
+    AND lower(other."marketSession") = lower(mp."marketSession")
+    AND (other."updatedAt" > mp."updatedAt" OR (other."updatedAt" = mp."updatedAt" AND other."id" < mp."id"))
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "market_price_board_key" ON "market_price" (
+  lower("cropName"), lower("region"), lower("marketSession")
+);
@@ -0,0 +1,100 @@
+/**
+ * Offline gazetteer of Ethiopian towns and farming centres
+ *
+ * Used to turn what users type ("bahirdar", "Nazret") into a canonical place
+ * with coordinates and its administrative region / zone / woreda, without
+ * calling an online geocoder. Coordinates are the town centre.
+ *
+ * To add a place: give it a stable id (kebab-case name), the common
+ * alternative spellings as aliases, and its admin hierarchy.
+ */
+export interface Place {
+  id: string;
+  name: string;
+  aliases: string[];
+  region: string;
+  zone: string;
+  woreda: string;
+  latitude: number;
+  longitude: number;
+}
+
+export const GAZETTEER: Place[] = [
+  // Addis Ababa
+  { id: "addis-ababa", name: "Addis Ababa", aliases: ["addis", "addis abeba", "finfinne", "aa"], region: "Addis Ababa", zone: "Addis Ababa", woreda: "Addis Ababa City", latitude: 9.0302, longitude: 38.7469 },
+
+  // Dire Dawa and Harari
+  { id: "dire-dawa", name: "Dire Dawa", aliases: ["diredawa", "dredawa"], region: "Dire Dawa", zone: "Dire Dawa", woreda: "Dire Dawa City", latitude: 9.6009, longitude: 41.8501 },
+  { id: "harar", name: "Harar", aliases: ["harer", "hararge"], region: "Harari", zone: "Harari", woreda: "Harar City", latitude: 9.3126, longitude: 42.1227 },
+
+  // Oromia
+  { id: "adama", name: "Adama", aliases: ["nazret", "nazareth", "nazreth"], region: "Oromia", zone: "East Shewa", woreda: "Adama City", latitude: 8.5400, longitude: 39.2700 },
+  { id: "bishoftu", name: "Bishoftu", aliases: ["debre zeit", "debre zeyit", "debrezeit"], region: "Oromia", zone: "East Shewa", woreda: "Bishoftu City", latitude: 8.7520, longitude: 38.9780 },
+  { id: "batu", name: "Batu", aliases: ["ziway", "zeway"], region: "Oromia", zone: "East Shewa", woreda: "Batu City", latitude: 7.9330, longitude: 38.7170 },
+  { id: "mojo", name: "Mojo", aliases: ["modjo"], region: "Oromia", zone: "East Shewa", woreda: "Mojo City", latitude: 8.5870, longitude: 39.1210 },
+  { id: "asella", name: "Asella", aliases: ["asela", "assela"], region: "Oromia", zone: "Arsi", woreda: "Asella City", latitude: 7.9500, longitude: 39.1330 },
+  { id: "shashemene", name: "Shashemene", aliases: ["shashamane", "shashemane"], region: "Oromia", zone: "West Arsi", woreda: "Shashemene City", latitude: 7.2000, longitude: 38.6000 },
+  { id: "robe", name: "Robe", aliases: ["bale robe"], region: "Oromia", zone: "Bale", woreda: "Robe City", latitude: 7.1170, longitude: 40.0000 },
+  { id: "jimma", name: "Jimma", aliases: ["jima"], region: "Oromia", zone: "Jimma", woreda: "Jimma City", latitude: 7.6670, longitude: 36.8330 },
+  { id: "nekemte", name: "Nekemte", aliases: ["lekemt", "nekempte"], region: "Oromia", zone: "East Welega", woreda: "Nekemte City", latitude: 9.0830, longitude: 36.5500 },
+  { id: "ambo", name: "Ambo", aliases: ["hagere hiwot"], region: "Oromia", zone: "West Shewa", woreda: "Ambo City", latitude: 8.9830, longitude: 37.8500 },
+  { id: "weliso", name: "Weliso", aliases: ["woliso", "ghion"], region: "Oromia", zone: "South West Shewa", woreda: "Weliso City", latitude: 8.5330, longitude: 37.9670 },
+  { id: "fiche", name: "Fiche", aliases: ["fitche"], region: "Oromia", zone: "North Shewa", woreda: "Fiche City", latitude: 9.8000, longitude: 38.7330 },
+  { id: "metu", name: "Metu", aliases: ["mettu"], region: "Oromia", zone: "Ilu Aba Bora", woreda: "Metu City", latitude: 8.3000, longitude: 35.5830 },
+  { id: "chiro", name: "Chiro", aliases: ["asebe teferi", "asbe teferi"], region: "Oromia", zone: "West Hararghe", woreda: "Chiro City", latitude: 9.0830, longitude: 40.8670 },
+  { id: "sebeta", name: "Sebeta", aliases: ["sabata"], region: "Oromia", zone: "Sheger City", woreda: "Sebeta", latitude: 8.9170, longitude: 38.6170 },
+
+  // Amhara
+  { id: "bahir-dar", name: "Bahir Dar", aliases: ["bahirdar", "bahar dar", "bahr dar"], region: "Amhara", zone: "Bahir Dar Special Zone", woreda: "Bahir Dar City", latitude: 11.5936, longitude: 37.3908 },
+  { id: "gondar", name: "Gondar", aliases: ["gonder"], region: "Amhara", zone: "Central Gondar", woreda: "Gondar City", latitude: 12.6000, longitude: 37.4667 },
+  { id: "dessie", name: "Dessie", aliases: ["dese", "desse"], region: "Amhara", zone: "South Wollo", woreda: "Dessie City", latitude: 11.1333, longitude: 39.6333 },
+  { id: "kombolcha", name: "Kombolcha", aliases: ["kombolch"], region: "Amhara", zone: "South Wollo", woreda: "Kombolcha City", latitude: 11.0833, longitude: 39.7333 },
+  { id: "debre-markos", name: "Debre Markos", aliases: ["debremarkos", "debre marqos"], region: "Amhara", zone: "East Gojjam", woreda: "Debre Markos City", latitude: 10.3333, longitude: 37.7167 },
+  { id: "debre-birhan", name: "Debre Birhan", aliases: ["debrebirhan", "debre berhan"], region: "Amhara", zone: "North Shewa (Amhara)", woreda: "Debre Birhan City", latitude: 9.6833, longitude: 39.5333 },
+  { id: "debre-tabor", name: "Debre Tabor", aliases: ["debretabor"], region: "Amhara", zone: "South Gondar", woreda: "Debre Tabor City", latitude: 11.8500, longitude: 38.0167 },
+  { id: "woldia", name: "Woldia", aliases: ["weldiya", "woldiya"], region: "Amhara", zone: "North Wollo", woreda: "Woldia City", latitude: 11.8333, longitude: 39.6000 },
+  { id: "finote-selam", name: "Finote Selam", aliases: ["finoteselam"], region: "Amhara", zone: "West Gojjam", woreda: "Finote Selam City", latitude: 10.7000, longitude: 37.2667 },
+  { id: "injibara", name: "Injibara", aliases: ["kosober"], region: "Amhara", zone: "Awi", woreda: "Injibara City", latitude: 10.9500, longitude: 36.9333 },
+
+  // Tigray
+  { id: "mekelle", name: "Mekelle", aliases: ["mekele", "makale", "mekelle city"], region: "Tigray", zone: "Mekelle Special Zone", woreda: "Mekelle City", latitude: 13.4967, longitude: 39.4753 },
+  { id: "adigrat", name: "Adigrat", aliases: ["adigrat town"], region: "Tigray", zone: "Eastern Tigray", woreda: "Adigrat City", latitude: 14.2833, longitude: 39.4667 },
+  { id: "axum", name: "Axum", aliases: ["aksum"], region: "Tigray", zone: "Central Tigray", woreda: "Axum City", latitude: 14.1211, longitude: 38.7233 },
+  { id: "shire", name: "Shire", aliases: ["shire endaselassie", "inda selassie", "endaselassie"], region: "Tigray", zone: "North Western Tigray", woreda: "Shire City", latitude: 14.1000, longitude: 38.2833 },
+  { id: "humera", name: "Humera", aliases: ["setit humera"], region: "Tigray", zone: "Western Tigray", woreda: "Kafta Humera", latitude: 14.2833, longitude: 36.6000 },
+
+  // Sidama
+  { id: "hawassa", name: "Hawassa", aliases: ["awassa", "awasa"], region: "Sidama", zone: "Hawassa City", woreda: "Hawassa City", latitude: 7.0500, longitude: 38.4667 },
+  { id: "yirgalem", name: "Yirgalem", aliases: ["yirga alem"], region: "Sidama", zone: "Sidama", woreda: "Yirgalem City", latitude: 6.7500, longitude: 38.4167 },
+
+  // Central Ethiopia
+  { id: "hossana", name: "Hossana", aliases: ["hosaena", "hosanna"], region: "Central Ethiopia", zone: "Hadiya", woreda: "Hossana City", latitude: 7.5500, longitude: 37.8500 },
+  { id: "butajira", name: "Butajira", aliases: ["butajera"], region: "Central Ethiopia", zone: "Gurage", woreda: "Butajira City", latitude: 8.1167, longitude: 38.3667 },
+  { id: "wolkite", name: "Wolkite", aliases: ["welkite"], region: "Central Ethiopia", zone: "Gurage", woreda: "Wolkite City", latitude: 8.2833, longitude: 37.7833 },
+  { id: "worabe", name: "Worabe", aliases: ["werabe"], region: "Central Ethiopia", zone: "Silte", woreda: "Worabe City", latitude: 7.8500, longitude: 38.1500 },
+
+  // South Ethiopia
+  { id: "wolaita-sodo", name: "Wolaita Sodo", aliases: ["sodo", "soddo", "wolayta sodo"], region: "South Ethiopia", zone: "Wolaita", woreda: "Sodo City", latitude: 6.8550, longitude: 37.7610 },
+  { id: "arba-minch", name: "Arba Minch", aliases: ["arbaminch", "arba minchi"], region: "South Ethiopia", zone: "Gamo", woreda: "Arba Minch City", latitude: 6.0333, longitude: 37.5500 },
+  { id: "dilla", name: "Dilla", aliases: ["dila"], region: "South Ethiopia", zone: "Gedeo", woreda: "Dilla City", latitude: 6.4167, longitude: 38.3167 },
+  { id: "jinka", name: "Jinka", aliases: ["jinka town"], region: "South Ethiopia", zone: "South Omo", woreda: "Jinka City", latitude: 5.7833, longitude: 36.5667 },
+
+  // South West Ethiopia
+  { id: "bonga", name: "Bonga", aliases: ["bonga town"], region: "South West Ethiopia", zone: "Kaffa", woreda: "Bonga City", latitude: 7.2667, longitude: 36.2333 },
+  { id: "mizan-teferi", name: "Mizan Teferi", aliases: ["mizan", "mizan aman"], region: "South West Ethiopia", zone: "Bench Sheko", woreda: "Mizan Aman City", latitude: 6.9833, longitude: 35.5833 },
+  { id: "tepi", name: "Tepi", aliases: ["teppi"], region: "South West Ethiopia", zone: "Sheka", woreda: "Tepi City", latitude: 7.2000, longitude: 35.4500 },
+
+  // Somali
+  { id: "jijiga", name: "Jijiga", aliases: ["jigjiga"], region: "Somali", zone: "Fafan", woreda: "Jijiga City", latitude: 9.3500, longitude: 42.8000 },
+  { id: "gode", name: "Gode", aliases: ["godey"], region: "Somali", zone: "Shabelle", woreda: "Gode City", latitude: 5.9500, longitude: 43.4500 },
+
+  // Afar
+  { id: "semera", name: "Semera", aliases: ["samara"], region: "Afar", zone: "Awsi Rasu", woreda: "Semera City", latitude: 11.7917, longitude: 41.0064 },
+  { id: "awash", name: "Awash", aliases: ["awash sebat kilo", "awash 7 kilo"], region: "Afar", zone: "Gabi Rasu", woreda: "Awash Fentale", latitude: 8.9833, longitude: 40.1667 },
+
+  // Benishangul-Gumuz
+  { id: "asosa", name: "Asosa", aliases: ["assosa"], region: "Benishangul-Gumuz", zone: "Asosa", woreda: "Asosa City", latitude: 10.0667, longitude: 34.5333 },
+
+  // Gambela
+  { id: "gambela", name: "Gambela", aliases: ["gambella"], region: "Gambela", zone: "Anuak", woreda: "Gambela City", latitude: 8.2500, longitude: 34.5833 }
+];
@@ -4,6 +4,10 @@ import cors from "cors";
 import { toNodeHandler, fromNodeHeaders } from "better-auth/node";
 import { auth } from "./utils/auth";
 import { initializeSocket } from "./utils/socket"; // NEW: Import Socket.IO initializer
+import { startWeatherAlertScheduler } from "./utils/weatherAlerts";
+import { startWeeklyDigestScheduler } from "./utils/digests";
+import { startAttachmentCleanup } from "./utils/attachments";
+import { backfillUserLocations } from "./utils/geo";
 import farmerListingsRoutes from "./routes/farmer/listings/route";
 import farmerProfileRoutes from "./routes/farmer/profile/route";
 import farmerWeatherRoutes from "./routes/farmer/weather/route";
@@ -13,22 +17,37 @@ import farmerCropsRoutes from "./routes/farmer/crops/route";
 import farmerMarketRoutes from "./routes/farmer/market/route";
 import farmerChatRoutes from "./routes/farmer/chat/route";
 import farmerExpertsRoutes from "./routes/farmer/experts/route";
+import farmerOrdersRoutes from "./routes/farmer/orders/route";
+import farmerAdvisoriesRoutes from "./routes/farmer/advisories/route";
 import buyerDashboardRoutes from "./routes/buyer/dashboard/route";
 import buyerProfileRoutes from "./routes/buyer/profile/route";
 import buyerBrowseRoutes from "./routes/buyer/browse/route";
 import buyerFavoritesRoutes from "./routes/buyer/favorites/route";
 import buyerChatRoutes from "./routes/buyer/chat/route";
+import buyerOrdersRoutes from "./routes/buyer/orders/route";
 import expertDashboardRoutes from "./routes/expert/dashboard/route";
 import expertProfileRoutes from "./routes/expert/profile/route";
 import expertArticlesRoutes from "./routes/expert/articles/route";
 import expertChatRoutes from "./routes/expert/chat/route";
+import expertAdvisoriesRoutes from "./routes/expert/advisories/route";
 import adminAnalyticsRoutes from "./routes/admin/analytics/route";
 import adminUsersRoutes from "./routes/admin/users/route";
 import adminMarketRoutes from "./routes/admin/market/route";
+import adminPricesRoutes from "./routes/admin/prices/route";
 import adminProfileRoutes from "./routes/admin/profile/route";
 import adminAlertsRoutes from "./routes/admin/alerts/route";
 import authUtilsRoutes from "./routes/auth-utils/route";
 import articlesRoutes from "./routes/articles/route";
+import offersRoutes from "./routes/offers/route";
+import locationsRoutes from "./routes/locations/route";
+import searchRoutes from "./routes/search/route";
+import notificationsRoutes from "./routes/notifications/route";
+import digestsRoutes from "./routes/digests/route";
+import smsRoutes from "./routes/sms/route";
+import presenceRoutes from "./routes/presence/route";
+import chatAttachmentsRoutes from "./routes/chat/attachments/route";
+import chatGroupsRoutes from "./routes/chat/groups/route";
+import chatUnreadRoutes from "./routes/chat/unread/route";
 
 const app = express();
 const PORT = 5000;
@@ -53,7 +72,12 @@ app.use(
 );
 
 // Parse JSON bodies
-app.use(express.json());
+// (the bulk price import parses its own, with a bigger limit, once the admin check has passed)
+const parseJson = express.json();
+app.use((req, res, next) => {
+  if (req.path === "/api/admin/market-prices/import") return next();
+  parseJson(req, res, next);
+});
 
 // API Routes
 app.use("/api/farmer/listings", farmerListingsRoutes);
@@ -65,6 +89,8 @@ app.use("/api/farmer/crops", farmerCropsRoutes);
 app.use("/api/farmer/market", farmerMarketRoutes);
 app.use("/api/farmer/chat", farmerChatRoutes);
 app.use("/api/farmer/experts", farmerExpertsRoutes);
+app.use("/api/farmer/orders", farmerOrdersRoutes);
+app.use("/api/farmer/advisories", farmerAdvisoriesRoutes);
 
 // Buyer routes
 app.use("/api/buyer/dashboard", buyerDashboardRoutes);
@@ -72,25 +98,44 @@ app.use("/api/buyer/profile", buyerProfileRoutes);
 app.use("/api/buyer/browse", buyerBrowseRoutes);
 app.use("/api/buyer/favorites", buyerFavoritesRoutes);
 app.use("/api/buyer/chat", buyerChatRoutes);
+app.use("/api/buyer/orders", buyerOrdersRoutes);
 
 // Expert routes
 app.use("/api/expert/dashboard", expertDashboardRoutes);
 app.use("/api/expert/profile", expertProfileRoutes);
 app.use("/api/expert/articles", expertArticlesRoutes);
 app.use("/api/expert/chat", expertChatRoutes);
+app.use("/api/expert/advisories", expertAdvisoriesRoutes);
 
 // Admin routes
 app.use("/api/admin/analytics", adminAnalyticsRoutes);
 app.use("/api/admin/users", adminUsersRoutes);
 app.use("/api/admin/market", adminMarketRoutes);
+app.use("/api/admin/market-prices", adminPricesRoutes);
 app.use("/api/admin/profile", adminProfileRoutes);
 app.use("/api/admin/alerts", adminAlertsRoutes);
 
+// Price negotiation (buyers and farmers)
+app.use("/api/offers", offersRoutes);
+
 // Auth utilities
 app.use("/api/auth-utils", authUtilsRoutes);
 
 // Public routes
 app.use("/api/articles", articlesRoutes);
+app.use("/api/locations", locationsRoutes);
+
+// Shared authenticated routes (any signed-in role; attachment downloads are checked by signed link instead)
+app.use("/api/search", searchRoutes);
+app.use("/api/notifications", notificationsRoutes);
+app.use("/api/digests", digestsRoutes);
+app.use("/api/presence", presenceRoutes);
+app.use("/api/chat/attachments", chatAttachmentsRoutes);
+app.use("/api/chat/groups", chatGroupsRoutes);
+app.use("/api/chat/unread", chatUnreadRoutes);
+
+// SMS gateway webhooks (no user session, checked with SMS_WEBHOOK_SECRET)
+app.use("/api/sms", smsRoutes);
 
 // Add error logging middleware for Better Auth
 app.use("/api/auth/", (req, res, next) => {
@@ -168,4 +213,20 @@ httpServer.listen(PORT, () => {
   console.log(`🚀 AgroLink Backend running on http://localhost:${PORT}`);
   console.log(`🔐 Auth endpoints available at http://localhost:${PORT}/api/auth/*`);
   console.log(`🔌 Socket.IO ready for real-time messaging`); // NEW: Confirmation message
+
+  // Raise crop weather alerts in the background, even for farmers who never open the weather page
+  startWeatherAlertScheduler();
+
+  // Weekly report emails (for users with weeklyReports on)
+  startWeeklyDigestScheduler();
+
+  // Remove chat uploads that were never sent
+  startAttachmentCleanup();
+
+  // Geocode locations typed before the gazetteer existed
+  backfillUserLocations()
+    .then((result: { checked: number; resolved: number }) => {
+      if (result.checked > 0) console.log(`📍 Geocoded ${result.resolved} of ${result.checked} user locations`);
+    })
+    .catch((error: unknown) => console.error("❌ Location backfill failed:", error));
 });
\ No newline at end of file
@@ -2,6 +2,7 @@ import { Request, Response, NextFunction } from "express";
 import { fromNodeHeaders } from "better-auth/node";
 import { auth } from "../utils/auth.js";
 import { prisma } from "../utils/prisma.js";
+import { accountStatusSelect, checkAccountStatus } from "../utils/accountStatus.js";
 
 // Extend Express Request to include user info
 declare global {
@@ -38,7 +39,7 @@ export const protectRoute = async (req: Request, res: Response, next: NextFuncti
     const user = await prisma.user.findUnique({
       where: { id: session.user.id },
       select: {
-        id: true,
+        ...accountStatusSelect,
         email: true,
         name: true,
         role: true
@@ -52,6 +53,18 @@ export const protectRoute = async (req: Request, res: Response, next: NextFuncti
       });
     }
 
+    // Suspended and banned users are locked out, even with a session that outlived the revocation
+    const restriction = await checkAccountStatus(user);
+    if (restriction) {
+      return res.status(403).json({
+        error: restriction.status === "BANNED" ? "Account banned" : "Account suspended",
+        message: restriction.message,
+        status: restriction.status,
+        reason: restriction.reason,
+        until: restriction.until
+      });
+    }
+
     req.user = {
       id: user.id,
       email: user.email,
@@ -0,0 +1,526 @@
+import express, { Router, Request, Response } from "express";
+import { MarketPrice, Prisma } from "@prisma/client";
+import { adminOnlyRoute } from "../../../middleware/auths";
+import { prisma } from "../../../utils/prisma";
+import {
+  MarketPriceError,
+  MarketPriceInput,
+  parseMarketPriceInput,
+  recordMarketPrice,
+  writeMarketPrice
+} from "../../../utils/marketPrices";
+import { queuePriceAlertEvaluation } from "../../../utils/priceAlerts";
+import { parseCsv, toCsv } from "../../../utils/csv";
+import { STANDARD_PRICE_UNIT, convertUnitPrice, normalizeUnit } from "../../../utils/units";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Spreadsheet column names we accept for each field (compared lowercase, without spaces/_/-)
+const IMPORT_COLUMNS: Record<string, string> = {
+  crop: "cropName",
+  cropname: "cropName",
+  price: "price",
+  currentprice: "price",
+  unit: "unit",
+  region: "region",
+  session: "marketSession",
+  marketsession: "marketSession",
+  date: "observedAt",
+  observedat: "observedAt"
+};
+
+/**
+ * HELPER FUNCTION: Key identifying one row of the board
+ */
+function boardKey(cropName: string, region = "National", marketSession = "Morning"): string {
+  return [cropName, region, marketSession].map((part) => part.trim().toLowerCase()).join("|");
+}
+
+/**
+ * HELPER FUNCTION: Turn an uploaded CSV (or JSON rows) into raw field objects
+ *
+ * EXPLANATION:
+ * The import accepts either a text/csv body, a JSON body { csv: "..." },
+ * or a JSON body { rows: [{ cropName, price, ... }] } (what a frontend
+ * sends after reading an XLSX file). Each entry keeps its spreadsheet
+ * line number so errors can point at the right row.
+ */
+function readImportRows(req: Request): { rows: { line: number; raw: Record<string, any> }[] } | { error: string } {
+  const body = req.body;
+
+  if (body && typeof body === "object" && Array.isArray(body.rows)) {
+    return {
+      rows: body.rows.map((raw: Record<string, any>, index: number) => ({ line: index + 1, raw: raw || {} }))
+    };
+  }
+
+  const text = typeof body === "string" ? body : typeof body?.csv === "string" ? body.csv : null;
+
+  if (!text || !text.trim()) {
+    return { error: "Send the CSV as a text/csv body, or JSON { csv } or { rows }" };
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  const columns = header.map((name: string) => IMPORT_COLUMNS[name.trim().toLowerCase().replace(/[\s_-]/g, "")]);
+
+  if (!columns.includes("cropName") || !columns.includes("price")) {
+    return { error: "CSV header must include cropName and price columns" };
+  }
+
+  return {
+    rows: lines.map((fields: string[], index: number) => {
+      const raw: Record<string, any> = {};
+      columns.forEach((field: string | undefined, column: number) => {
+        if (field && fields[column] !== undefined) {
+          raw[field] = fields[column].trim();
+        }
+      });
+      // Line 1 is the header
+      return { line: index + 2, raw };
+    })
+  };
+}
+
+/**
+ * GET /api/admin/market-prices - Get the market price board
+ */
+router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const { search, region, session, page = 1, limit = 50 } = req.query;
+
+    const take = Math.min(parseInt(limit as string) || 50, 200);
+    const skip = (Math.max(parseInt(page as string) || 1, 1) - 1) * take;
+    const where: any = {};
+
+    if (search) {
+      where.cropName = { contains: search as string, mode: "insensitive" };
+    }
+
+    if (region) {
+      where.region = { equals: region as string, mode: "insensitive" };
+    }
+
+    if (session) {
+      where.marketSession = { equals: session as string, mode: "insensitive" };
+    }
+
+    const [prices, totalCount] = await Promise.all([
+      prisma.marketPrice.findMany({
+        where,
+        orderBy: [{ cropName: "asc" }, { region: "asc" }, { marketSession: "asc" }],
+        skip,
+        take
+      }),
+      prisma.marketPrice.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        prices,
+        pagination: {
+          current: Math.floor(skip / take) + 1,
+          total: Math.ceil(totalCount / take),
+          hasNext: skip + take < totalCount,
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching market prices:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch market prices"
+    });
+  }
+});
+
+/**
+ * GET /api/admin/market-prices/export - Download the current board as CSV
+ */
+router.get("/export", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const prices = await prisma.marketPrice.findMany({
+      orderBy: [{ cropName: "asc" }, { region: "asc" }, { marketSession: "asc" }]
+    });
+
+    const csv = toCsv(
+      ["cropName", "price", "unit", "region", "marketSession", "previousPrice", "change", "changePercent", "updatedAt"],
+      prices.map((price: MarketPrice) => [
+        price.cropName,
+        price.currentPrice,
+        price.unit,
+        price.region,
+        price.marketSession,
+        price.previousPrice,
+        price.change,
+        price.changePercent,
+        price.updatedAt
+      ])
+    );
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="market-prices-${date}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error("Error exporting market prices:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export market prices"
+    });
+  }
+});
+
+/**
+ * POST /api/admin/market-prices/import - Bulk import prices from CSV
+ *
+ * Body: text/csv, or JSON { csv } / { rows }
+ * Columns: cropName, price, unit?, region?, marketSession?, observedAt?
+ * Query: dryRun=true to only validate and preview
+ *
+ * Valid rows are imported, invalid rows are reported back with their line number.
+ */
+router.post(
+  "/import",
+  adminOnlyRoute,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  express.json({ limit: "5mb" }),
+  async (req: Request, res: Response) => {
+    try {
+      const dryRun = req.query.dryRun === "true" || req.body?.dryRun === true;
+      const parsed = readImportRows(req);
+
+      if ("error" in parsed) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+
+      if (parsed.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The import has no rows"
+        });
+      }
+
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `Import at most ${MAX_IMPORT_ROWS} rows at a time`
+        });
+      }
+
+      const errors: { row: number; errors: string[] }[] = [];
+      const valid: { line: number; input: MarketPriceInput }[] = [];
+
+      for (const { line, raw } of parsed.rows) {
+        const result = parseMarketPriceInput(raw);
+        if (result.input) {
+          valid.push({ line, input: result.input });
+        } else {
+          errors.push({ row: line, errors: result.errors });
+        }
+      }
+
+      // Oldest first, so the board ends on the latest price and history stays in order
+      valid.sort((a, b) =>
+        (a.input.observedAt?.getTime() ?? Date.now()) - (b.input.observedAt?.getTime() ?? Date.now())
+      );
+
+      if (dryRun) {
+        const existing = await prisma.marketPrice.findMany({
+          select: { cropName: true, region: true, marketSession: true }
+        });
+        const knownKeys = new Set(existing.map((price: { cropName: string; region: string; marketSession: string }) => boardKey(price.cropName, price.region, price.marketSession)));
+
+        let creates = 0;
+        const preview = valid.map(({ line, input }) => {
+          const key = boardKey(input.cropName, input.region, input.marketSession);
+          const action = knownKeys.has(key) ? "update" : "create";
+          if (action === "create") {
+            creates++;
+            knownKeys.add(key);
+          }
+
+          return {
+            row: line,
+            action,
+            cropName: input.cropName,
+            region: input.region || "National",
+            marketSession: input.marketSession || "Morning",
+            price: convertUnitPrice(input.price, normalizeUnit(input.unit) || STANDARD_PRICE_UNIT, STANDARD_PRICE_UNIT),
+            unit: STANDARD_PRICE_UNIT,
+            originalPrice: input.price,
+            originalUnit: input.unit || STANDARD_PRICE_UNIT,
+            observedAt: input.observedAt || null
+          };
+        });
+
+        return res.json({
+          success: true,
+          data: {
+            dryRun: true,
+            totalRows: parsed.rows.length,
+            validRows: valid.length,
+            invalidRows: errors.length,
+            creates,
+            updates: valid.length - creates,
+            errors,
+            preview: preview.slice(0, 100)
+          }
+        });
+      }
+
+      let imported = 0;
+      for (const { line, input } of valid) {
+        try {
+          await recordMarketPrice(input);
+          imported++;
+        } catch (error: any) {
+          if (!(error instanceof MarketPriceError)) {
+            console.error(`Error importing market price row ${line}:`, error);
+          }
+          errors.push({ row: line, errors: [error instanceof MarketPriceError ? error.message : "Could not save this row"] });
+        }
+      }
+
+      errors.sort((a, b) => a.row - b.row);
+
+      res.json({
+        success: true,
+        message: `Imported ${imported} of ${parsed.rows.length} rows`,
+        data: {
+          dryRun: false,
+          totalRows: parsed.rows.length,
+          imported,
+          invalidRows: errors.length,
+          errors
+        }
+      });
+
+    } catch (error) {
+      console.error("Error importing market prices:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import market prices"
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/market-prices/:id - Get a market price with its recent history
+ */
+router.get("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const price = await prisma.marketPrice.findUnique({
+      where: { id: req.params.id as string },
+      include: {
+        history: {
+          orderBy: { observedAt: "desc" },
+          take: 30
+        }
+      }
+    });
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: "Market price not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: price
+    });
+
+  } catch (error) {
+    console.error("Error fetching market price:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch market price"
+    });
+  }
+});
+
+/**
+ * POST /api/admin/market-prices - Record a price (creates the board row if needed)
+ *
+ * Body: { cropName, price, unit?, region?, marketSession?, observedAt? }
+ */
+router.post("/", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const { input, errors } = parseMarketPriceInput(req.body || {});
+
+    if (!input) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(", ")
+      });
+    }
+
+    const price = await recordMarketPrice(input);
+
+    res.status(201).json({
+      success: true,
+      message: "Market price recorded",
+      data: price
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "Error recording market price:", "Failed to record market price");
+  }
+});
+
+/**
+ * PUT /api/admin/market-prices/:id - Edit a board row
+ *
+ * Body: { price?, unit?, cropName?, region?, marketSession? }
+ * unit is the unit `price` is given in, so it can only be sent with a price.
+ * A new price is recorded as an observation (change is recomputed);
+ * renaming crop / region / session also relabels the row's history.
+ */
+router.put("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const id = req.params.id as string;
+    const { price, unit, cropName, region, marketSession } = req.body;
+
+    const existing = await prisma.marketPrice.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Market price not found"
+      });
+    }
+
+    const labels: { cropName?: string; region?: string; marketSession?: string } = {};
+    if (typeof cropName === "string" && cropName.trim()) labels.cropName = cropName.trim();
+    if (typeof region === "string" && region.trim()) labels.region = region.trim();
+    if (typeof marketSession === "string" && marketSession.trim()) labels.marketSession = marketSession.trim();
+
+    const next = { ...existing, ...labels };
+
+    // Check the whole body before writing anything
+    if (unit !== undefined && price === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "unit is the unit of price, send it together with a price"
+      });
+    }
+
+    let priceInput: MarketPriceInput | undefined;
+    if (price !== undefined) {
+      const { input, errors } = parseMarketPriceInput({
+        cropName: next.cropName,
+        region: next.region,
+        marketSession: next.marketSession,
+        price,
+        unit
+      });
+
+      if (!input) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join(", ")
+        });
+      }
+      priceInput = input;
+    }
+
+    const relabel = Object.keys(labels).length > 0;
+
+    if (relabel) {
+      const clash = await prisma.marketPrice.findFirst({
+        where: {
+          id: { not: id },
+          cropName: { equals: next.cropName, mode: "insensitive" },
+          region: { equals: next.region, mode: "insensitive" },
+          marketSession: { equals: next.marketSession, mode: "insensitive" }
+        }
+      });
+
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          message: `${next.cropName} already has a ${next.marketSession} price in ${next.region}`
+        });
+      }
+    }
+
+    // Labels and price land together, or not at all
+    let written: Awaited<ReturnType<typeof writeMarketPrice>> | null;
+    try {
+      written = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+        if (relabel) {
+          await tx.marketPrice.update({ where: { id }, data: labels });
+          await tx.marketPriceHistory.updateMany({ where: { marketPriceId: id }, data: labels });
+        }
+
+        return priceInput ? writeMarketPrice(tx, priceInput) : null;
+      });
+    } catch (error: any) {
+      // The same labels were taken by another write since the check above
+      if (error?.code !== "P2002") throw error;
+      return res.status(409).json({
+        success: false,
+        message: `${next.cropName} already has a ${next.marketSession} price in ${next.region}`
+      });
+    }
+
+    if (written?.boardChanged) {
+      queuePriceAlertEvaluation(written.marketPrice);
+    }
+
+    const updated = await prisma.marketPrice.findUnique({ where: { id } });
+
+    res.json({
+      success: true,
+      message: "Market price updated",
+      data: updated
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "Error updating market price:", "Failed to update market price");
+  }
+});
+
+/**
+ * DELETE /api/admin/market-prices/:id - Remove a board row and its history
+ */
+router.delete("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const deleted = await prisma.marketPrice.deleteMany({
+      where: { id: req.params.id as string }
+    });
+
+    if (deleted.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Market price not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Market price deleted"
+    });
+
+  } catch (error) {
+    console.error("Error deleting market price:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete market price"
+    });
+  }
+});
+
+export default router;
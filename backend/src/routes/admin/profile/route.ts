@@ -1,6 +1,7 @@
 import { Router, Request, Response } from "express";
 import { adminOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { parseLocationUpdate } from "../../../utils/geo";
 
 const router = Router();
 
@@ -20,6 +21,8 @@ router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
         phone: true,
         role: true,
         location: true,
+        placeId: true,
+        region: true,
         image: true,
         emailVerified: true,
         createdAt: true,
@@ -102,7 +105,17 @@ router.put("/", adminOnlyRoute, async (req: Request, res: Response) => {
     if (email !== undefined) updateData.email = email;
     if (name !== undefined) updateData.name = name;
     if (phone !== undefined) updateData.phone = phone;
-    if (location !== undefined) updateData.location = location;
+
+    // Location must resolve to a known place (placeId from /api/locations, or recognisable text)
+    const locationUpdate = parseLocationUpdate({ location, placeId: req.body.placeId });
+    if (locationUpdate && "error" in locationUpdate) {
+      return res.status(400).json({
+        success: false,
+        message: locationUpdate.error,
+        suggestions: locationUpdate.suggestions
+      });
+    }
+    if (locationUpdate) Object.assign(updateData, locationUpdate.fields);
 
     const updatedUser = await prisma.user.update({
       where: { id: adminId },
@@ -114,6 +127,8 @@ router.put("/", adminOnlyRoute, async (req: Request, res: Response) => {
         phone: true,
         role: true,
         location: true,
+        placeId: true,
+        region: true,
         image: true,
         emailVerified: true,
         createdAt: true,
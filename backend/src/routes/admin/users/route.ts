@@ -1,16 +1,26 @@
 import { Router, Request, Response } from "express";
 import { adminOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { parseLocationUpdate, syncListingLocations } from "../../../utils/geo";
+import {
+  ACCOUNT_STATUSES,
+  parseAccountStatusInput,
+  setAccountStatus
+} from "../../../utils/accountStatus";
+import { sendHttpError } from "../../../utils/httpError";
 
 const router = Router();
 
 /**
  * GET /api/admin/users - Get all users with filtering and pagination
+ *
+ * Filter by account status with `status` (ACTIVE, SUSPENDED, BANNED).
  */
 router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
   try {
     const {
       role = 'all',
+      status = 'all',
       search,
       page = 1,
       limit = 20,
@@ -26,6 +36,17 @@ router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
       where.role = role;
     }
 
+    if (status !== 'all') {
+      const accountStatus = String(status).toUpperCase();
+      if (!ACCOUNT_STATUSES.includes(accountStatus as typeof ACCOUNT_STATUSES[number])) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: all, ${ACCOUNT_STATUSES.join(", ")}`
+        });
+      }
+      where.status = accountStatus;
+    }
+
     if (search) {
       where.OR = [
         { email: { contains: search as string, mode: 'insensitive' } },
@@ -50,6 +71,9 @@ router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
           role: true,
           location: true,
           emailVerified: true,
+          status: true,
+          statusReason: true,
+          statusUntil: true,
           image: true,
           createdAt: true,
           _count: {
@@ -63,11 +87,17 @@ router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
       prisma.user.count({ where })
     ]);
 
-    // Get role statistics
-    const roleStats = await prisma.user.groupBy({
-      by: ['role'],
-      _count: { role: true }
-    });
+    // Get role and account status statistics
+    const [roleStats, statusStats] = await Promise.all([
+      prisma.user.groupBy({
+        by: ['role'],
+        _count: { role: true }
+      }),
+      prisma.user.groupBy({
+        by: ['status'],
+        _count: { status: true }
+      })
+    ]);
 
     res.json({
       success: true,
@@ -84,6 +114,10 @@ router.get("/", adminOnlyRoute, async (req: Request, res: Response) => {
           byRole: roleStats.reduce((acc: any, stat: any) => {
             acc[stat.role] = stat._count.role;
             return acc;
+          }, {}),
+          byStatus: statusStats.reduce((acc: any, stat: any) => {
+            acc[stat.status] = stat._count.status;
+            return acc;
           }, {})
         }
       }
@@ -115,6 +149,17 @@ router.get("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
         role: true,
         location: true,
         emailVerified: true,
+        status: true,
+        statusReason: true,
+        statusUntil: true,
+        statusChangedAt: true,
+        statusChangedBy: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        },
         image: true,
         createdAt: true,
         updatedAt: true,
@@ -252,6 +297,15 @@ router.post("/", adminOnlyRoute, async (req: Request, res: Response) => {
       });
     }
 
+    const locationUpdate = parseLocationUpdate({ location, placeId: req.body.placeId });
+    if (locationUpdate && "error" in locationUpdate) {
+      return res.status(400).json({
+        success: false,
+        message: locationUpdate.error,
+        suggestions: locationUpdate.suggestions
+      });
+    }
+
     // Create user
     const user = await prisma.user.create({
       data: {
@@ -259,7 +313,8 @@ router.post("/", adminOnlyRoute, async (req: Request, res: Response) => {
         name: name || '',
         role,
         phone: phone || null,
-        location: location || null,
+        location: null,
+        ...(locationUpdate && locationUpdate.fields),
         emailVerified: true
       },
       select: {
@@ -269,6 +324,10 @@ router.post("/", adminOnlyRoute, async (req: Request, res: Response) => {
         role: true,
         phone: true,
         location: true,
+        placeId: true,
+        region: true,
+        latitude: true,
+        longitude: true,
         createdAt: true
       }
     });
@@ -343,7 +402,17 @@ router.put("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
     if (name !== undefined) updateData.name = name;
     if (role !== undefined) updateData.role = role;
     if (phone !== undefined) updateData.phone = phone;
-    if (location !== undefined) updateData.location = location;
+
+    // Location must resolve to a known place (placeId from /api/locations, or recognisable text)
+    const locationUpdate = parseLocationUpdate({ location, placeId: req.body.placeId });
+    if (locationUpdate && "error" in locationUpdate) {
+      return res.status(400).json({
+        success: false,
+        message: locationUpdate.error,
+        suggestions: locationUpdate.suggestions
+      });
+    }
+    if (locationUpdate) Object.assign(updateData, locationUpdate.fields);
 
     // Update user
     const updatedUser = await prisma.user.update({
@@ -356,6 +425,10 @@ router.put("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
         phone: true,
         role: true,
         location: true,
+        placeId: true,
+        region: true,
+        latitude: true,
+        longitude: true,
         emailVerified: true,
         image: true,
         createdAt: true,
@@ -363,6 +436,11 @@ router.put("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
+    // A farmer's listings are located at the farm
+    if (locationUpdate && updatedUser.role === "FARMER") {
+      await syncListingLocations(userId as string, locationUpdate.fields);
+    }
+
     res.json({
       success: true,
       message: "User updated successfully",
@@ -426,23 +504,43 @@ router.delete("/:id", adminOnlyRoute, async (req: Request, res: Response) => {
 });
 
 /**
- * PATCH /api/admin/users/:id/toggle-status - Toggle user verified status
+ * PATCH /api/admin/users/:id/status - Suspend, ban or reactivate a user
+ *
+ * Body: { status: ACTIVE | SUSPENDED | BANNED, reason, until? | durationDays? }.
+ * Suspending or banning logs the user out everywhere and hides their
+ * listings from buyers until the account is active again.
  */
-router.patch("/:id/toggle-status", adminOnlyRoute, async (req: Request, res: Response) => {
+router.patch("/:id/status", adminOnlyRoute, async (req: Request, res: Response) => {
   try {
-    const userId = req.params.id;
-    const adminId = req.user!.id;
+    const input = parseAccountStatusInput(req.body);
+    const { user, revokedSessions } = await setAccountStatus(req.params.id as string, input, req.user!.id);
 
-    // Prevent admin from toggling themselves
-    if (userId === adminId) {
-      return res.status(400).json({
-        success: false,
-        message: "You cannot change your own account status"
-      });
-    }
+    res.json({
+      success: true,
+      message: input.status === "ACTIVE"
+        ? "User reactivated"
+        : input.status === "BANNED" ? "User banned" : "User suspended",
+      data: { ...user, revokedSessions }
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error changing user status:", "Failed to change user status");
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id/toggle-status - Suspend an active user, or reactivate a suspended or banned one
+ *
+ * Shortcut for the users table; the suspension has no end date. Body: { reason? }.
+ * Use PATCH /:id/status to set an end date or ban.
+ */
+router.patch("/:id/toggle-status", adminOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const userId = req.params.id as string;
 
     const user = await prisma.user.findUnique({
-      where: { id: userId }
+      where: { id: userId },
+      select: { status: true }
     });
 
     if (!user) {
@@ -452,31 +550,21 @@ router.patch("/:id/toggle-status", adminOnlyRoute, async (req: Request, res: Res
       });
     }
 
-    const updatedUser = await prisma.user.update({
-      where: { id: userId },
-      data: {
-        emailVerified: !user.emailVerified
-      },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        emailVerified: true
-      }
-    });
+    const input = parseAccountStatusInput(
+      user.status === "ACTIVE"
+        ? { status: "SUSPENDED", reason: req.body?.reason || "Suspended by an administrator" }
+        : { status: "ACTIVE" }
+    );
+    const { user: updatedUser, revokedSessions } = await setAccountStatus(userId, input, req.user!.id);
 
     res.json({
       success: true,
-      message: updatedUser.emailVerified ? "User verified" : "User unverified",
-      data: updatedUser
+      message: updatedUser.status === "ACTIVE" ? "User reactivated" : "User suspended",
+      data: { ...updatedUser, revokedSessions }
     });
 
-  } catch (error) {
-    console.error("Error toggling user status:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to toggle user status"
-    });
+  } catch (error: any) {
+    sendHttpError(res, error, "Error toggling user status:", "Failed to toggle user status");
   }
 });
 
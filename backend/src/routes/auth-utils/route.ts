@@ -4,6 +4,7 @@ import { prisma } from "../../utils/prisma";
 import { auth } from "../../utils/auth";
 import { sendVerificationEmail } from "../../utils/email";
 import { fromNodeHeaders } from "better-auth/node";
+import { issueSocketToken } from "../../utils/socketAuth";
 
 const router = Router();
 
@@ -20,7 +21,7 @@ router.get("/verification-status", protectRoute, async (req: Request, res: Respo
         id: true,
         email: true,
         emailVerified: true,
-        isActive: true
+        status: true
       }
     });
 
@@ -36,7 +37,8 @@ router.get("/verification-status", protectRoute, async (req: Request, res: Respo
       data: {
         isVerified: !!user.emailVerified,
         email: user.email,
-        isActive: user.isActive
+        isActive: user.status === "ACTIVE",
+        status: user.status
       }
     });
 
@@ -213,6 +215,31 @@ router.get("/profile-completion", protectRoute, async (req: Request, res: Respon
   }
 });
 
+/**
+ * POST /api/auth-utils/socket-token - Short-lived token to connect to Socket.IO
+ *
+ * For clients that can't send the session cookie with the socket handshake.
+ * Pass it as `auth: { token }` when connecting; it is accepted for about a
+ * minute and the socket then lasts as long as the current session.
+ */
+router.post("/socket-token", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const { token, expiresAt } = issueSocketToken(req.user!.id, req.session.id);
+
+    res.json({
+      success: true,
+      data: { token, expiresAt }
+    });
+
+  } catch (error) {
+    console.error("Error issuing socket token:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to issue socket token"
+    });
+  }
+});
+
 /**
  * GET /api/auth-utils/session-info - Get detailed session information
  */
@@ -236,7 +263,7 @@ router.get("/session-info", protectRoute, async (req: Request, res: Response) =>
         id: true,
         email: true,
         role: true,
-        isActive: true,
+        status: true,
         emailVerified: true,
         createdAt: true,
         lastActiveAt: true,
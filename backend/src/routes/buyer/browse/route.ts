@@ -1,18 +1,58 @@
 import { Router, Request, Response } from "express";
+import { Prisma } from "@prisma/client";
 import { buyerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { boundingBoxFilter } from "../../../utils/geo";
+import { trackListingView } from "../../../utils/listingStats";
+import { activeAccountFilter } from "../../../utils/accountStatus";
+import {
+  DEFAULT_NEARBY_RADIUS_KM,
+  distanceFrom,
+  findNearbyFarmers,
+  parseRadiusKm,
+  resolveBuyerOrigin
+} from "../../../utils/nearby";
+import { sendHttpError } from "../../../utils/httpError";
 
 const router = Router();
 
+const browseInclude = {
+  farmer: {
+    select: {
+      id: true,
+      name: true,
+      location: true,
+      image: true
+    }
+  },
+  category: {
+    select: {
+      name: true
+    }
+  },
+  orderItems: {
+    select: {
+      quantity: true
+    }
+  }
+} satisfies Prisma.ProduceInclude;
+
 /**
  * GET /api/buyer/browse - Browse available products with filters
+ *
+ * Distance search: `radiusKm` keeps listings within that distance and
+ * `sortBy=distance` lists the closest first. Distances are measured from
+ * `lat`/`lng` or `placeId` when given, else the buyer's delivery address,
+ * else their profile location; each product then carries `distanceKm`.
  */
 router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
   try {
+    const buyerId = req.user!.id;
     const {
       search,
       category,
       location,
+      region,
       minPrice,
       maxPrice,
       sortBy = 'createdAt',
@@ -22,7 +62,9 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
     } = req.query;
 
     const skip = (parseInt(page as string) - 1) * parseInt(limit as string);
-    const where: any = { status: "AVAILABLE" };
+    // Listings of suspended or banned farmers are hidden
+    const activeFarmer = activeAccountFilter();
+    const where: any = { status: "AVAILABLE", farmer: activeFarmer };
 
     // Apply filters
     if (search) {
@@ -43,6 +85,7 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
 
     if (location) {
       where.farmer = {
+        ...activeFarmer,
         location: {
           contains: location as string,
           mode: 'insensitive'
@@ -50,12 +93,36 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
       };
     }
 
+    // Listings carry their farmer's geocoded region (see utils/geo)
+    if (region) {
+      where.region = {
+        equals: region as string,
+        mode: 'insensitive'
+      };
+    }
+
     if (minPrice || maxPrice) {
       where.price = {};
       if (minPrice) where.price.gte = parseFloat(minPrice as string);
       if (maxPrice) where.price.lte = parseFloat(maxPrice as string);
     }
 
+    const origin = await resolveBuyerOrigin(buyerId, req.query);
+    const radiusKm = parseRadiusKm(req.query);
+    const byDistance = radiusKm !== null || sortBy === 'distance';
+
+    if (byDistance && !origin) {
+      return res.status(400).json({
+        success: false,
+        message: "Set your location or delivery address (or pass lat/lng or placeId) to search by distance"
+      });
+    }
+
+    // Cheap box pre-filter, the exact radius is checked below
+    if (origin && radiusKm !== null) {
+      Object.assign(where, boundingBoxFilter(origin, radiusKm));
+    }
+
     // Determine sort criteria
     let orderBy: any = {};
     switch (sortBy) {
@@ -73,37 +140,69 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
         orderBy = { createdAt: sortOrder };
     }
 
-    const [products, totalCount, categories, locations] = await Promise.all([
-      // Get products with pagination
-      prisma.produce.findMany({
+    const take = parseInt(limit as string);
+
+    /**
+     * HELPER FUNCTION: One page of products and the total count
+     *
+     * The database can't compute distances here, so for a distance search we
+     * load just the ids and coordinates of the matching listings, measure
+     * them, and then fetch full rows for the requested page only.
+     */
+    const loadPage = async () => {
+      if (!origin || !byDistance) {
+        return Promise.all([
+          prisma.produce.findMany({ where, orderBy, skip, take, include: browseInclude }),
+          prisma.produce.count({ where })
+        ]);
+      }
+
+      const candidates = await prisma.produce.findMany({
         where,
-        orderBy,
-        skip,
-        take: parseInt(limit as string),
-        include: {
-          farmer: {
-            select: {
-              id: true,
-              name: true,
-              location: true,
-              image: true
-            }
-          },
-          category: {
-            select: {
-              name: true
-            }
-          },
-          orderItems: {
-            select: {
-              quantity: true
-            }
-          }
-        }
-      }),
+        select: { id: true, latitude: true, longitude: true }
+      });
+
+      const ranked = candidates
+        .map((candidate: { id: string; latitude: number | null; longitude: number | null }) => ({
+          id: candidate.id,
+          distanceKm: distanceFrom(origin, candidate)
+        }))
+        .filter((candidate: { distanceKm: number | null }) =>
+          radiusKm === null || (candidate.distanceKm !== null && candidate.distanceKm <= radiusKm)
+        );
+
+      if (sortBy !== 'distance') {
+        const ids = ranked.map((candidate: { id: string }) => candidate.id);
+        const page = await prisma.produce.findMany({
+          where: { id: { in: ids } },
+          orderBy,
+          skip,
+          take,
+          include: browseInclude
+        });
+        return [page, ranked.length] as const;
+      }
 
-      // Get total count for pagination
-      prisma.produce.count({ where }),
+      // Closest first; listings without coordinates go last
+      ranked.sort((a: { distanceKm: number | null }, b: { distanceKm: number | null }) =>
+        (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity)
+      );
+
+      const pageIds = ranked.slice(skip, skip + take).map((candidate: { id: string }) => candidate.id);
+      const rows = await prisma.produce.findMany({
+        where: { id: { in: pageIds } },
+        include: browseInclude
+      });
+      const page = pageIds
+        .map((id: string) => rows.find((row: { id: string }) => row.id === id))
+        .filter((row: (typeof rows)[number] | undefined): row is (typeof rows)[number] => row !== undefined);
+
+      return [page, ranked.length] as const;
+    };
+
+    const [[products, totalCount], categories, locations, regions] = await Promise.all([
+      // Get products with pagination
+      loadPage(),
 
       // Get available categories for filter
       prisma.category.findMany({
@@ -112,7 +211,7 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
           _count: {
             select: {
               produce: {
-                where: { status: "AVAILABLE" }
+                where: { status: "AVAILABLE", farmer: activeFarmer }
               }
             }
           }
@@ -123,6 +222,7 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
       prisma.user.findMany({
         where: {
           role: "FARMER",
+          ...activeFarmer,
           location: {
             not: null
           },
@@ -136,6 +236,14 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
           location: true
         },
         distinct: ['location']
+      }),
+
+      // Get regions with available listings for filter
+      prisma.produce.groupBy({
+        by: ['region'],
+        where: { status: "AVAILABLE", region: { not: null }, farmer: activeFarmer },
+        _count: { _all: true },
+        orderBy: { region: 'asc' }
       })
     ]);
 
@@ -153,7 +261,8 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
           : 0,
         reviewCount: reviews.length,
         totalSold: product.orderItems.reduce((sum: number, item: typeof product.orderItems[0]) => sum + item.quantity, 0),
-        remainingQuantity: product.quantity - product.orderItems.reduce((sum: number, item: typeof product.orderItems[0]) => sum + item.quantity, 0)
+        remainingQuantity: product.quantity, // Stock is decremented at checkout
+        distanceKm: origin ? distanceFrom(origin, product) : null
       };
     }));
 
@@ -163,24 +272,72 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
         products: productsWithStats,
         pagination: {
           current: parseInt(page as string),
-          total: Math.ceil(totalCount / parseInt(limit as string)),
-          hasNext: skip + parseInt(limit as string) < totalCount,
+          total: Math.ceil(totalCount / take),
+          hasNext: skip + take < totalCount,
           hasPrev: parseInt(page as string) > 1,
           totalCount
         },
         filters: {
           categories: categories.filter((cat: typeof categories[0]) => cat._count.produce > 0),
-          locations: locations.map((l: typeof locations[0]) => l.location).filter(Boolean)
+          locations: locations.map((l: typeof locations[0]) => l.location).filter(Boolean),
+          regions: regions.map((r: { region: string | null; _count: { _all: number } }) => ({
+            name: r.region,
+            count: r._count._all
+          }))
+        },
+        origin: origin && {
+          latitude: origin.latitude,
+          longitude: origin.longitude,
+          source: origin.source,
+          label: origin.label,
+          radiusKm
         }
       }
     });
 
-  } catch (error) {
-    console.error("Error browsing products:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to browse products"
+  } catch (error: any) {
+    sendHttpError(res, error, "Error browsing products:", "Failed to browse products");
+  }
+});
+
+/**
+ * GET /api/buyer/browse/nearby-farmers - Farmers with produce near the buyer, closest first
+ *
+ * Query: radiusKm (default 50), limit (default 10, max 50), and optionally
+ * lat/lng or placeId to search around somewhere else than the delivery address.
+ */
+router.get("/nearby-farmers", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const buyerId = req.user!.id;
+    const radiusKm = parseRadiusKm(req.query) ?? DEFAULT_NEARBY_RADIUS_KM;
+    const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 10, 1), 50);
+
+    const origin = await resolveBuyerOrigin(buyerId, req.query);
+    if (!origin) {
+      return res.status(400).json({
+        success: false,
+        message: "Set your location or delivery address (or pass lat/lng or placeId) to find nearby farmers"
+      });
+    }
+
+    const farmers = await findNearbyFarmers(origin, { radiusKm, limit, excludeUserId: buyerId });
+
+    res.json({
+      success: true,
+      data: {
+        farmers,
+        origin: {
+          latitude: origin.latitude,
+          longitude: origin.longitude,
+          source: origin.source,
+          label: origin.label,
+          radiusKm
+        }
+      }
     });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error finding nearby farmers:", "Failed to find nearby farmers");
   }
 });
 
@@ -189,10 +346,10 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
  */
 router.get("/:id", buyerOnlyRoute, async (req: Request, res: Response) => {
   try {
-    const productId = req.params.id;
+    const productId = req.params.id as string;
 
-    const product = await prisma.produce.findUnique({
-      where: { id: productId },
+    const product = await prisma.produce.findFirst({
+      where: { id: productId, farmer: activeAccountFilter() },
       include: {
         farmer: {
           select: {
@@ -238,6 +395,9 @@ router.get("/:id", buyerOnlyRoute, async (req: Request, res: Response) => {
       });
     }
 
+    // Count the view for the farmer's listing stats
+    trackListingView(product.id, req.user!.id);
+
     // Get reviews for this product
     const productReviews = await prisma.review.findMany({
       where: { targetId: productId, reviewType: 'product' },
@@ -259,13 +419,14 @@ router.get("/:id", buyerOnlyRoute, async (req: Request, res: Response) => {
       : 0;
 
     const totalSold = product.orderItems.reduce((sum: number, item: typeof product.orderItems[0]) => sum + item.quantity, 0);
-    const remainingQuantity = product.quantity - totalSold;
+    const remainingQuantity = product.quantity; // Stock is decremented at checkout
 
     // Get similar products
     const similarProducts = await prisma.produce.findMany({
       where: {
         categoryId: product.categoryId,
         status: "AVAILABLE",
+        farmer: activeAccountFilter(),
         NOT: {
           id: productId
         }
@@ -1,11 +1,20 @@
 import { Router, Request, Response } from "express";
 import { buyerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { notifyNewMessage, sendChatMessage } from "../../../utils/conversations";
+import { withAttachmentUrls } from "../../../utils/attachments";
+import { trackListingInquiry } from "../../../utils/listingStats";
+import { emitToConversation } from "../../../utils/socket";
+import { getUnreadCounts, markConversationRead } from "../../../utils/readReceipts";
+import { HttpError } from "../../../utils/httpError";
 
 const router = Router();
 
 /**
  * GET /api/buyer/chat/conversations - Get buyer conversations
+ *
+ * Each conversation has `unreadCount`: messages from others after the buyer's
+ * read cursor. Participants carry their `lastReadMessageId` for read receipts.
  */
 router.get("/conversations", buyerOnlyRoute, async (req: Request, res: Response) => {
   try {
@@ -43,18 +52,24 @@ router.get("/conversations", buyerOnlyRoute, async (req: Request, res: Response)
                 image: true,
                 role: true
               }
-            }
+            },
+            files: true
           }
         }
       },
       orderBy: { updatedAt: "desc" }
     });
 
+    const unreadCounts = await getUnreadCounts(buyerId, conversations.map((conversation: { id: string }) => conversation.id));
+
     const formatted = conversations.map((conversation) => {
       return {
         id: conversation.id,
+        isGroup: conversation.isGroup,
+        title: conversation.title,
         participants: conversation.participants,
-        messages: conversation.messages.reverse(), // oldest first
+        messages: conversation.messages.reverse().map(withAttachmentUrls), // oldest first
+        unreadCount: unreadCounts.get(conversation.id) ?? 0,
         updatedAt: conversation.updatedAt
       };
     });
@@ -78,7 +93,7 @@ router.get("/conversations", buyerOnlyRoute, async (req: Request, res: Response)
 router.get("/conversations/:id/messages", buyerOnlyRoute, async (req: Request, res: Response) => {
   try {
     const buyerId = req.user!.id;
-    const conversationId = req.params.id;
+    const conversationId = req.params.id as string;
 
     const conversation = await prisma.conversation.findFirst({
       where: {
@@ -105,13 +120,14 @@ router.get("/conversations/:id/messages", buyerOnlyRoute, async (req: Request, r
             image: true,
             role: true
           }
-        }
+        },
+        files: true
       }
     });
 
     res.json({
       success: true,
-      data: messages
+      data: messages.map(withAttachmentUrls)
     });
   } catch (error) {
     console.error("❌ Error fetching messages:", error);
@@ -124,16 +140,21 @@ router.get("/conversations/:id/messages", buyerOnlyRoute, async (req: Request, r
 
 /**
  * POST /api/buyer/chat/conversations/:id/messages - Send a message
+ *
+ * Body: { content, attachmentIds?, produceId? }. Attachments are uploaded first with
+ * POST /api/chat/attachments; a message needs text, attachments or both.
+ * produceId is set when the message is about a listing and counts as an inquiry.
  */
 router.post("/conversations/:id/messages", buyerOnlyRoute, async (req: Request, res: Response) => {
   try {
     const buyerId = req.user!.id;
-    const conversationId = req.params.id;
-    const { content } = req.body;
+    const conversationId = req.params.id as string;
+    const { content, attachmentIds, produceId } = req.body;
+    const text = typeof content === "string" ? content.trim() : "";
 
-    if (!content || !content.trim()) {
+    if (!text && !(Array.isArray(attachmentIds) && attachmentIds.length > 0)) {
       return res.status(400).json({
-        error: "Message content is required"
+        error: "Message content or an attachment is required"
       });
     }
 
@@ -151,29 +172,34 @@ router.post("/conversations/:id/messages", buyerOnlyRoute, async (req: Request,
       });
     }
 
-    const message = await prisma.message.create({
-      data: {
-        content,
-        conversationId,
-        senderId: buyerId
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            name: true,
-            image: true,
-            role: true
-          }
-        }
-      }
+    if (typeof produceId === "string" && produceId) {
+      trackListingInquiry(produceId, buyerId, conversationId);
+    }
+
+    const message = await sendChatMessage({
+      conversationId,
+      senderId: buyerId,
+      content: text,
+      attachmentIds
+    });
+
+    // Live for anyone with the conversation open
+    emitToConversation(conversationId, "new_message", message);
+
+    notifyNewMessage(conversationId, message).catch((error: unknown) => {
+      console.error("❌ Failed to notify about message:", error);
     });
 
     res.status(201).json({
       success: true,
       data: message
     });
-  } catch (error) {
+  } catch (error: any) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
     console.error("❌ Error sending message:", error);
     res.status(500).json({
       error: "Failed to send message",
@@ -182,4 +208,36 @@ router.post("/conversations/:id/messages", buyerOnlyRoute, async (req: Request,
   }
 });
 
+/**
+ * POST /api/buyer/chat/conversations/:id/read - Mark messages as read
+ *
+ * Body: { messageId? }. Moves the read cursor up to that message (default:
+ * the latest one); the same as the socket `mark_as_read` event.
+ */
+router.post("/conversations/:id/read", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const result = await markConversationRead(
+      req.params.id as string,
+      req.user!.id,
+      typeof req.body?.messageId === "string" ? req.body.messageId : undefined
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error: any) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    console.error("❌ Error marking messages as read:", error);
+    res.status(500).json({
+      error: "Failed to mark messages as read",
+      message: "Could not update read status"
+    });
+  }
+});
+
 export default router;
@@ -1,15 +1,23 @@
 import { Router, Request, Response } from "express";
 import { buyerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { activeAccountFilter } from "../../../utils/accountStatus";
+import { findNearbyFarmers, resolveBuyerOrigin } from "../../../utils/nearby";
+import { countRecentlyViewedListings } from "../../../utils/listingStats";
+import { describeWindow, getBuyerMetrics, resolveMetricWindow } from "../../../utils/metrics";
+import { sendHttpError } from "../../../utils/httpError";
 
 const router = Router();
 
 /**
  * GET /api/buyer/dashboard - Get buyer's dashboard overview data
+ *
+ * Growth compares this month with last month (period=week|custom to change it).
  */
 router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
   try {
     const buyerId = req.user!.id;
+    const window = resolveMetricWindow(req.query);
 
     // Get buyer's order statistics
     const [
@@ -80,8 +88,8 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
         where: { buyerId }
       }),
       
-      // Mock recently viewed count (you can implement actual tracking)
-      Promise.resolve(Math.floor(Math.random() * 15) + 5)
+      // Different listings opened in the last 30 days
+      countRecentlyViewedListings(buyerId)
     ]);
 
     // Get top categories by purchase frequency
@@ -133,6 +141,7 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
     const recommendedProducts = await prisma.produce.findMany({
       where: {
         status: "AVAILABLE",
+        farmer: activeAccountFilter(),
         NOT: {
           farmer: {
             id: buyerId // Don't recommend buyer's own products if they're also a farmer
@@ -175,6 +184,15 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
       })
     );
 
+    // Farmers near the buyer's delivery address (empty until the buyer sets a location)
+    const origin = await resolveBuyerOrigin(buyerId, {});
+    const nearbyFarmers = origin
+      ? await findNearbyFarmers(origin, { limit: 5, excludeUserId: buyerId })
+      : [];
+
+    // Orders and spending vs the previous period
+    const growth = await getBuyerMetrics(buyerId, window);
+
     // Calculate savings (mock data - implement actual discount tracking)
     const totalSavings = Math.floor((totalSpent._sum.totalAmount || 0) * 0.12); // 12% average savings
 
@@ -238,6 +256,15 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
         
         // Top categories
         topCategories: categoryDetails,
+
+        // Closest farmers with produce available
+        nearbyFarmers,
+
+        // Period-over-period comparison
+        growth: {
+          ...describeWindow(window),
+          ...growth
+        },
         
         // Monthly activity summary
         monthlyActivity: {
@@ -252,12 +279,31 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
-  } catch (error) {
-    console.error("Error fetching buyer dashboard:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to load dashboard data"
+  } catch (error: any) {
+    sendHttpError(res, error, "Error fetching buyer dashboard:", "Failed to load dashboard data");
+  }
+});
+
+/**
+ * GET /api/buyer/dashboard/metrics - Orders placed and money spent vs the previous period
+ *
+ * Query: period = month (default) | week | custom, with from and to (YYYY-MM-DD) for custom
+ */
+router.get("/metrics", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const window = resolveMetricWindow(req.query);
+    const metrics = await getBuyerMetrics(req.user!.id, window);
+
+    res.json({
+      success: true,
+      data: {
+        ...describeWindow(window),
+        metrics
+      }
     });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error fetching buyer metrics:", "Failed to fetch metrics");
   }
 });
 
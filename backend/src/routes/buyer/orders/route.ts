@@ -0,0 +1,162 @@
+import { Router, Request, Response } from "express";
+import { buyerOnlyRoute } from "../../../middleware/auths";
+import { prisma } from "../../../utils/prisma";
+import {
+  notifyOrderStatusChanged,
+  notifyOrdersPlaced,
+  orderInclude,
+  parseOrderItems,
+  parseOrderStatusFilter,
+  placeOrders,
+  roundMoney,
+  transitionOrder
+} from "../../../utils/orders";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+/**
+ * GET /api/buyer/orders - Get buyer's orders
+ */
+router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const buyerId = req.user!.id;
+    const { page = 1, limit = 10 } = req.query;
+    const status = parseOrderStatusFilter(req.query.status);
+
+    const skip = (parseInt(page as string) - 1) * parseInt(limit as string);
+    const where: any = { buyerId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const [orders, totalCount] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: parseInt(limit as string),
+        include: orderInclude
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          current: parseInt(page as string),
+          total: Math.ceil(totalCount / parseInt(limit as string)),
+          hasNext: skip + parseInt(limit as string) < totalCount,
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "Error fetching buyer orders:", "Failed to fetch orders");
+  }
+});
+
+/**
+ * GET /api/buyer/orders/:id - Get a single order
+ */
+router.get("/:id", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const buyerId = req.user!.id;
+    const orderId = req.params.id as string;
+
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, buyerId },
+      include: orderInclude
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order"
+    });
+  }
+});
+
+/**
+ * POST /api/buyer/orders - Checkout: place orders for the given produce items
+ *
+ * Body: { items: [{ produceId, quantity }] }
+ * Items from different farmers are split into one order per farmer.
+ */
+router.post("/", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const buyerId = req.user!.id;
+    const items = parseOrderItems(req.body.items);
+
+    const orders = await placeOrders(buyerId, items);
+    notifyOrdersPlaced(orders);
+
+    res.status(201).json({
+      success: true,
+      message: orders.length > 1
+        ? `${orders.length} orders placed successfully`
+        : "Order placed successfully",
+      data: {
+        orders,
+        totalAmount: roundMoney(orders.reduce((sum: number, order: { totalAmount: number }) => sum + order.totalAmount, 0))
+      }
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error placing order:", "Failed to place order");
+  }
+});
+
+/**
+ * PATCH /api/buyer/orders/:id/cancel - Cancel a pending order, stock goes back to the listing
+ */
+router.patch("/:id/cancel", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const buyerId = req.user!.id;
+    const orderId = req.params.id as string;
+
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, buyerId }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    // Once the farmer confirmed, only the farmer can cancel. Checked inside the
+    // transaction so a confirmation that lands first wins.
+    const updatedOrder = await transitionOrder(orderId, "CANCELLED", { from: ["PENDING"] });
+    notifyOrderStatusChanged(updatedOrder, buyerId);
+
+    res.json({
+      success: true,
+      message: "Order cancelled",
+      data: updatedOrder
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error cancelling order:", "Failed to cancel order");
+  }
+});
+
+export default router;
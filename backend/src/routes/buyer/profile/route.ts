@@ -1,6 +1,7 @@
 import { Router, Request, Response } from "express";
 import { buyerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { getPlace, parseLocationUpdate, resolvePlace } from "../../../utils/geo";
 
 const router = Router();
 
@@ -21,6 +22,10 @@ router.get("/", buyerOnlyRoute, async (req: Request, res: Response) => {
           email: true,
           phone: true,
           location: true,
+          placeId: true,
+          region: true,
+          latitude: true,
+          longitude: true,
           image: true,
           createdAt: true
         }
@@ -85,11 +90,40 @@ router.put("/", buyerOnlyRoute, async (req: Request, res: Response) => {
     const updateUserData: any = {};
     if (name !== undefined) updateUserData.name = name;
     if (phone !== undefined) updateUserData.phone = phone;
-    if (location !== undefined) updateUserData.location = location;
+
+    // Location must resolve to a known place (placeId from /api/locations, or recognisable text)
+    const locationUpdate = parseLocationUpdate({ location, placeId: req.body.placeId });
+    if (locationUpdate && "error" in locationUpdate) {
+      return res.status(400).json({
+        success: false,
+        message: locationUpdate.error,
+        suggestions: locationUpdate.suggestions
+      });
+    }
+    if (locationUpdate) Object.assign(updateUserData, locationUpdate.fields);
 
     // Update buyer profile specific info
     const updateProfileData: any = {};
     if (deliveryAddress !== undefined) updateProfileData.deliveryAddress = deliveryAddress;
+
+    // Geocode the delivery town for distance search. A street address we can't
+    // place is still saved, it just has no coordinates.
+    if (req.body.deliveryPlaceId !== undefined || deliveryAddress !== undefined) {
+      const deliveryPlace = req.body.deliveryPlaceId
+        ? getPlace(String(req.body.deliveryPlaceId))
+        : resolvePlace(deliveryAddress);
+
+      if (req.body.deliveryPlaceId && !deliveryPlace) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown deliveryPlaceId, pick a place from /api/locations"
+        });
+      }
+
+      updateProfileData.deliveryPlaceId = deliveryPlace?.id ?? null;
+      updateProfileData.deliveryLatitude = deliveryPlace?.latitude ?? null;
+      updateProfileData.deliveryLongitude = deliveryPlace?.longitude ?? null;
+    }
     if (paymentMethod !== undefined) updateProfileData.paymentMethod = paymentMethod;
 
     const [updatedUser, updatedProfile] = await Promise.all([
@@ -107,6 +141,10 @@ router.put("/", buyerOnlyRoute, async (req: Request, res: Response) => {
               email: true,
               phone: true,
               location: true,
+              placeId: true,
+              region: true,
+              latitude: true,
+              longitude: true,
               image: true,
               createdAt: true
             }
@@ -119,6 +157,10 @@ router.put("/", buyerOnlyRoute, async (req: Request, res: Response) => {
               email: true,
               phone: true,
               location: true,
+              placeId: true,
+              region: true,
+              latitude: true,
+              longitude: true,
               image: true,
               createdAt: true
             }
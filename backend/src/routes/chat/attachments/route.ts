@@ -0,0 +1,193 @@
+import { Router, Request, Response, NextFunction } from "express";
+import multer from "multer";
+import { protectRoute } from "../../../middleware/auths";
+import { prisma } from "../../../utils/prisma";
+import {
+  AttachmentVariant,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  attachmentPath,
+  serializeAttachment,
+  storeAttachment,
+  verifyAttachmentUrl
+} from "../../../utils/attachments";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+// Files are checked before anything is written, so keep them in memory (at most 5 x 10 MB)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS_PER_MESSAGE }
+}).array("files", MAX_ATTACHMENTS_PER_MESSAGE);
+
+/**
+ * HELPER FUNCTION: Run multer and answer its errors (too big, too many files) in our format
+ */
+const receiveFiles = (req: Request, res: Response, next: NextFunction) => {
+  upload(req, res, (error: unknown) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `Files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`
+          : error.code === "LIMIT_FILE_COUNT" || error.code === "LIMIT_UNEXPECTED_FILE"
+            ? `Send at most ${MAX_ATTACHMENTS_PER_MESSAGE} files, in the "files" field`
+            : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+/**
+ * POST /api/chat/attachments - Upload photos or files to send in a conversation
+ *
+ * multipart/form-data with `conversationId` and up to 5 `files`. Returns the
+ * attachments; send them with a message by passing their ids as
+ * `attachmentIds` (socket `send_message` or POST .../conversations/:id/messages).
+ * Uploads that are not sent within a day are deleted.
+ */
+router.post("/", protectRoute, receiveFiles, async (req: Request, res: Response) => {
+  try {
+    const userId = req.user!.id;
+    const conversationId = req.body?.conversationId;
+    const files = (req.files || []) as Express.Multer.File[];
+
+    if (!conversationId || typeof conversationId !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "conversationId is required"
+      });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose at least one file to upload"
+      });
+    }
+
+    const attachments = [];
+    for (const file of files) {
+      attachments.push(await storeAttachment({
+        uploaderId: userId,
+        conversationId,
+        fileName: file.originalname,
+        buffer: file.buffer
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: attachments.map(serializeAttachment)
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error uploading chat attachment:", "Failed to upload attachment");
+  }
+});
+
+/**
+ * GET /api/chat/attachments/:id/links - Fresh download links for an attachment
+ *
+ * For when the links in a message have expired. Only for people in the conversation.
+ */
+router.get("/:id/links", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const attachment = await prisma.chatAttachment.findFirst({
+      where: {
+        id: req.params.id as string,
+        conversation: { participants: { some: { userId: req.user!.id } } }
+      }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeAttachment(attachment)
+    });
+
+  } catch (error) {
+    console.error("Error fetching attachment links:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch attachment links"
+    });
+  }
+});
+
+/**
+ * GET /api/chat/attachments/:id - Download an attachment (or its thumbnail)
+ *
+ * Only through a signed link from a message or /links: variant, expires and
+ * signature must match. No session needed, so links work in <img> tags.
+ */
+router.get("/:id", async (req: Request, res: Response) => {
+  try {
+    const attachmentId = req.params.id as string;
+    const variant: AttachmentVariant = req.query.variant === "thumbnail" ? "thumbnail" : "original";
+    const expires = Number(req.query.expires);
+    const signature = typeof req.query.signature === "string" ? req.query.signature : "";
+
+    if (!verifyAttachmentUrl(attachmentId, variant, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "This link is invalid or has expired"
+      });
+    }
+
+    const attachment = await prisma.chatAttachment.findUnique({
+      where: { id: attachmentId }
+    });
+
+    const key = variant === "thumbnail" ? attachment?.thumbnailKey : attachment?.storageKey;
+
+    if (!attachment || !key) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found"
+      });
+    }
+
+    // Photos open in the browser, other files are downloaded
+    const disposition = attachment.type === "IMAGE" ? "inline" : "attachment";
+    const asciiName = attachment.fileName.replace(/[^\x20-\x7e]/g, "_");
+
+    res.setHeader("Content-Type", variant === "thumbnail" ? "image/webp" : attachment.mimeType);
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+
+    res.sendFile(attachmentPath(key), (error?: Error) => {
+      if (error && !res.headersSent) {
+        console.error("Error sending attachment file:", error);
+        res.status(404).json({
+          success: false,
+          message: "Attachment file is missing"
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error("Error downloading attachment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download attachment"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+import { Router, Request, Response } from "express";
+import { protectRoute } from "../../../middleware/auths";
+import {
+  addGroupMembers,
+  createGroupConversation,
+  removeGroupMember,
+  renameGroup,
+  setGroupMemberRole
+} from "../../../utils/groupChats";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+/**
+ * POST /api/chat/groups - Create a group chat (e.g. a cooperative or an expert Q&A session)
+ *
+ * Body: { title, userIds }. The creator becomes the group's admin. Messages
+ * are sent and read through the usual chat routes and socket events.
+ */
+router.post("/", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const group = await createGroupConversation(req.user!.id, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: group
+    });
+  } catch (error: any) {
+    sendHttpError(res, error, "❌ Error trying to create group:", "Failed to create group");
+  }
+});
+
+/**
+ * PATCH /api/chat/groups/:id - Rename a group (admins only)
+ *
+ * Body: { title }
+ */
+router.patch("/:id", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const group = await renameGroup(req.params.id as string, req.user!.id, req.body?.title);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error: any) {
+    sendHttpError(res, error, "❌ Error trying to rename group:", "Failed to rename group");
+  }
+});
+
+/**
+ * POST /api/chat/groups/:id/members - Add members to a group (admins only)
+ *
+ * Body: { userIds }
+ */
+router.post("/:id/members", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const group = await addGroupMembers(req.params.id as string, req.user!.id, req.body?.userIds);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error: any) {
+    sendHttpError(res, error, "❌ Error trying to add members:", "Failed to add members");
+  }
+});
+
+/**
+ * PATCH /api/chat/groups/:id/members/:userId - Make a member an admin or a regular member (admins only)
+ *
+ * Body: { role: "ADMIN" | "MEMBER" }
+ */
+router.patch("/:id/members/:userId", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const group = await setGroupMemberRole(
+      req.params.id as string,
+      req.user!.id,
+      req.params.userId as string,
+      req.body?.role
+    );
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error: any) {
+    sendHttpError(res, error, "❌ Error trying to change member role:", "Failed to change member role");
+  }
+});
+
+/**
+ * DELETE /api/chat/groups/:id/members/:userId - Remove a member (admins only), or leave with your own id
+ */
+router.delete("/:id/members/:userId", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const group = await removeGroupMember(req.params.id as string, req.user!.id, req.params.userId as string);
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error: any) {
+    sendHttpError(res, error, "❌ Error trying to remove member:", "Failed to remove member");
+  }
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import { Router, Request, Response } from "express";
+import { protectRoute } from "../../../middleware/auths";
+import { getUnreadCounts } from "../../../utils/readReceipts";
+
+const router = Router();
+
+/**
+ * GET /api/chat/unread - Unread chat messages (for the badge)
+ *
+ * Works for every role. Returns the total and the conversations that have
+ * unread messages; the socket sends "chat_unread_count" when it changes on
+ * another device.
+ */
+router.get("/", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const counts = await getUnreadCounts(req.user!.id);
+
+    const conversations = [...counts.entries()]
+      .filter(([, unread]) => unread > 0)
+      .map(([conversationId, unread]) => ({ conversationId, unread }));
+
+    res.json({
+      success: true,
+      data: {
+        unread: conversations.reduce((total, conversation) => total + conversation.unread, 0),
+        conversations
+      }
+    });
+  } catch (error) {
+    console.error("Error counting unread messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to count unread messages"
+    });
+  }
+});
+
+export default router;
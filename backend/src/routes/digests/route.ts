@@ -0,0 +1,64 @@
+import { Router, Request, Response } from "express";
+import { protectRoute } from "../../middleware/auths";
+import { renderWeeklyDigest } from "../../utils/email";
+import { buildWeeklyDigest } from "../../utils/digests";
+
+const router = Router();
+
+/**
+ * GET /api/digests/preview - Render a weekly digest without sending it
+ *
+ * For checking the email templates locally: open it in a browser while logged in.
+ * Query:
+ *   userId - whose digest to render (admins only; defaults to your own)
+ *   format - html (default) or json (subject, sections and the snapshot that would be stored)
+ * In production only admins can use it.
+ */
+router.get("/preview", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const isAdmin = req.user!.role === "ADMIN";
+
+    if (process.env.NODE_ENV === "production" && !isAdmin) {
+      return res.status(404).json({
+        success: false,
+        message: "Not found"
+      });
+    }
+
+    const { userId, format = 'html' } = req.query;
+
+    if (userId && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can preview another user's digest"
+      });
+    }
+
+    const digest = await buildWeeklyDigest((userId as string) || req.user!.id);
+
+    if (!digest) {
+      return res.status(404).json({
+        success: false,
+        message: "Weekly digests are only sent to farmers, buyers and experts"
+      });
+    }
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: digest
+      });
+    }
+
+    res.type("html").send(renderWeeklyDigest(digest.content));
+
+  } catch (error) {
+    console.error("Error previewing weekly digest:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview weekly digest"
+    });
+  }
+});
+
+export default router;
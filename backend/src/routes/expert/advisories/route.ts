@@ -0,0 +1,321 @@
+import { Router, Request, Response } from "express";
+import { expertOnlyRoute } from "../../../middleware/auths";
+import { prisma } from "../../../utils/prisma";
+import {
+  activeAdvisoryFilter,
+  matchedFarmersFilter,
+  parseAdvisoryInput,
+  parseSeverityFilter,
+  queueAdvisoryNotifications
+} from "../../../utils/advisories";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+/**
+ * GET /api/expert/advisories - Get expert's advisories
+ *
+ * Filters: status (active | expired | inactive | all), severity, type, search.
+ */
+router.get("/", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const expertId = req.user!.id;
+    const {
+      status = 'all',
+      severity,
+      type,
+      search,
+      page = 1,
+      limit = 10
+    } = req.query;
+
+    const skip = (parseInt(page as string) - 1) * parseInt(limit as string);
+    const now = new Date();
+    const where: any = { expertId };
+
+    // Apply filters
+    if (status === 'active') {
+      Object.assign(where, activeAdvisoryFilter(now));
+    } else if (status === 'expired') {
+      where.expiresAt = { lte: now };
+    } else if (status === 'inactive') {
+      where.isActive = false;
+    }
+
+    const severityFilter = parseSeverityFilter(severity);
+    if (severityFilter) {
+      where.severity = severityFilter;
+    }
+
+    if (type) {
+      where.advisoryType = (type as string).toLowerCase();
+    }
+
+    if (search) {
+      where.AND = [{
+        OR: [
+          { title: { contains: search as string, mode: 'insensitive' } },
+          { description: { contains: search as string, mode: 'insensitive' } },
+          { location: { contains: search as string, mode: 'insensitive' } },
+          { affectedCrops: { has: search as string } }
+        ]
+      }];
+    }
+
+    const [advisories, totalCount] = await Promise.all([
+      prisma.advisory.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: parseInt(limit as string)
+      }),
+      prisma.advisory.count({ where })
+    ]);
+
+    // Get advisory statistics
+    const [totalAdvisories, activeCount, urgentCount] = await Promise.all([
+      prisma.advisory.count({
+        where: { expertId }
+      }),
+      prisma.advisory.count({
+        where: { expertId, ...activeAdvisoryFilter(now) }
+      }),
+      prisma.advisory.count({
+        where: { expertId, ...activeAdvisoryFilter(now), severity: { in: ["HIGH", "CRITICAL"] } }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        advisories,
+        pagination: {
+          current: parseInt(page as string),
+          total: Math.ceil(totalCount / parseInt(limit as string)),
+          hasNext: skip + parseInt(limit as string) < totalCount,
+          totalCount
+        },
+        statistics: {
+          total: totalAdvisories,
+          active: activeCount,
+          urgent: urgentCount
+        }
+      }
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "Error fetching advisories:", "Failed to fetch advisories");
+  }
+});
+
+/**
+ * GET /api/expert/advisories/:id - Get specific advisory
+ *
+ * Includes how many farmers it currently reaches.
+ */
+router.get("/:id", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const expertId = req.user!.id;
+    const advisoryId = req.params.id as string;
+
+    const advisory = await prisma.advisory.findFirst({
+      where: {
+        id: advisoryId,
+        expertId
+      }
+    });
+
+    if (!advisory) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found or you don't have permission to view it"
+      });
+    }
+
+    const matchedFarmers = await prisma.user.count({
+      where: matchedFarmersFilter(advisory)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...advisory,
+        matchedFarmers
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching advisory:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch advisory"
+    });
+  }
+});
+
+/**
+ * POST /api/expert/advisories - Create new advisory
+ *
+ * Location: placeId, region (+ zone), or location text ("All regions" for nationwide).
+ * HIGH and CRITICAL advisories are sent to the matched farmers as notifications.
+ */
+router.post("/", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const expertId = req.user!.id;
+    const input: any = parseAdvisoryInput(req.body);
+
+    const advisory = await prisma.advisory.create({
+      data: {
+        ...input,
+        expertId
+      }
+    });
+
+    queueAdvisoryNotifications(advisory.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Advisory created successfully",
+      data: advisory
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error creating advisory:", "Failed to create advisory");
+  }
+});
+
+/**
+ * PUT /api/expert/advisories/:id - Update advisory
+ *
+ * Farmers who match only after the edit (or after severity is raised to
+ * HIGH / CRITICAL) are notified; nobody is notified twice.
+ */
+router.put("/:id", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const expertId = req.user!.id;
+    const advisoryId = req.params.id as string;
+
+    // Check if advisory belongs to expert
+    const existingAdvisory = await prisma.advisory.findFirst({
+      where: {
+        id: advisoryId,
+        expertId
+      }
+    });
+
+    if (!existingAdvisory) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found or you don't have permission to edit it"
+      });
+    }
+
+    const updateData: any = parseAdvisoryInput(req.body, true);
+
+    const updatedAdvisory = await prisma.advisory.update({
+      where: { id: advisoryId },
+      data: updateData
+    });
+
+    queueAdvisoryNotifications(updatedAdvisory.id);
+
+    res.json({
+      success: true,
+      message: "Advisory updated successfully",
+      data: updatedAdvisory
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error updating advisory:", "Failed to update advisory");
+  }
+});
+
+/**
+ * DELETE /api/expert/advisories/:id - Delete advisory
+ */
+router.delete("/:id", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const expertId = req.user!.id;
+    const advisoryId = req.params.id as string;
+
+    // Check if advisory belongs to expert
+    const existingAdvisory = await prisma.advisory.findFirst({
+      where: {
+        id: advisoryId,
+        expertId
+      }
+    });
+
+    if (!existingAdvisory) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found or you don't have permission to delete it"
+      });
+    }
+
+    await prisma.advisory.delete({
+      where: { id: advisoryId }
+    });
+
+    res.json({
+      success: true,
+      message: "Advisory deleted successfully"
+    });
+
+  } catch (error) {
+    console.error("Error deleting advisory:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete advisory"
+    });
+  }
+});
+
+/**
+ * PATCH /api/expert/advisories/:id/active - Toggle active status
+ */
+router.patch("/:id/active", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const expertId = req.user!.id;
+    const advisoryId = req.params.id as string;
+
+    // Check if advisory belongs to expert
+    const existingAdvisory = await prisma.advisory.findFirst({
+      where: {
+        id: advisoryId,
+        expertId
+      }
+    });
+
+    if (!existingAdvisory) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found or you don't have permission to modify it"
+      });
+    }
+
+    const updatedAdvisory = await prisma.advisory.update({
+      where: { id: advisoryId },
+      data: { isActive: !existingAdvisory.isActive }
+    });
+
+    if (updatedAdvisory.isActive) {
+      queueAdvisoryNotifications(updatedAdvisory.id);
+    }
+
+    res.json({
+      success: true,
+      message: `Advisory ${updatedAdvisory.isActive ? 'activated' : 'deactivated'} successfully`,
+      data: updatedAdvisory
+    });
+
+  } catch (error) {
+    console.error("Error toggling advisory status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update advisory status"
+    });
+  }
+});
+
+export default router;
@@ -1,15 +1,20 @@
 import { Router, Request, Response } from "express";
 import { expertOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { describeWindow, getExpertMetrics, resolveMetricWindow } from "../../../utils/metrics";
+import { sendHttpError } from "../../../utils/httpError";
 
 const router = Router();
 
 /**
  * GET /api/expert/dashboard - Get expert's dashboard overview data
+ *
+ * Growth compares this month with last month (period=week|custom to change it).
  */
 router.get("/", expertOnlyRoute, async (req: Request, res: Response) => {
   try {
     const expertId = req.user!.id;
+    const window = resolveMetricWindow(req.query);
 
     // Get expert profile and statistics
     const [
@@ -157,6 +162,9 @@ router.get("/", expertOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
+    // Real period-over-period comparisons
+    const growth = await getExpertMetrics(expertId, window);
+
     // Calculate average rating
     const averageRating = profile.rating || 4.2;
 
@@ -190,10 +198,18 @@ router.get("/", expertOnlyRoute, async (req: Request, res: Response) => {
         metrics: {
           monthlyConversations: monthlyStats[0],
           monthlyArticles: monthlyStats[1],
-          conversationGrowth: Math.round((Math.random() * 20) + 10),
+          // % change vs the previous period, null when the previous period had none
+          conversationGrowth: growth.conversations.changePercent,
+          messageGrowth: growth.messages.changePercent,
           articleViews: recentArticles.reduce((sum: number, article: { viewCount: number }) => sum + article.viewCount, 0)
         },
 
+        // Period-over-period details
+        growth: {
+          ...describeWindow(window),
+          ...growth
+        },
+
         // Profile completion
         profileCompletion: {
           percentage: profile.hourlyRate > 0 ? 85 : 60,
@@ -202,12 +218,31 @@ router.get("/", expertOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
-  } catch (error) {
-    console.error("Error fetching expert dashboard:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to load dashboard data"
+  } catch (error: any) {
+    sendHttpError(res, error, "Error fetching expert dashboard:", "Failed to load dashboard data");
+  }
+});
+
+/**
+ * GET /api/expert/dashboard/metrics - New conversations, messages and published articles vs the previous period
+ *
+ * Query: period = month (default) | week | custom, with from and to (YYYY-MM-DD) for custom
+ */
+router.get("/metrics", expertOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const window = resolveMetricWindow(req.query);
+    const metrics = await getExpertMetrics(req.user!.id, window);
+
+    res.json({
+      success: true,
+      data: {
+        ...describeWindow(window),
+        metrics
+      }
     });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error fetching expert metrics:", "Failed to fetch metrics");
   }
 });
 
@@ -1,6 +1,7 @@
 import { Router, Request, Response } from "express";
 import { expertOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { parseLocationUpdate } from "../../../utils/geo";
 
 const router = Router();
 
@@ -20,6 +21,12 @@ router.get("/", expertOnlyRoute, async (req: Request, res: Response) => {
           email: true,
           phone: true,
           location: true,
+          placeId: true,
+          region: true,
+          zone: true,
+          woreda: true,
+          latitude: true,
+          longitude: true,
           image: true,
           createdAt: true
         }
@@ -81,7 +88,17 @@ router.put("/", expertOnlyRoute, async (req: Request, res: Response) => {
     const updateUserData: any = {};
     if (name !== undefined) updateUserData.name = name;
     if (phone !== undefined) updateUserData.phone = phone;
-    if (location !== undefined) updateUserData.location = location;
+
+    // Location must resolve to a known place (placeId from /api/locations, or recognisable text)
+    const locationUpdate = parseLocationUpdate({ location, placeId: req.body.placeId });
+    if (locationUpdate && "error" in locationUpdate) {
+      return res.status(400).json({
+        success: false,
+        message: locationUpdate.error,
+        suggestions: locationUpdate.suggestions
+      });
+    }
+    if (locationUpdate) Object.assign(updateUserData, locationUpdate.fields);
 
     const updateProfileData: any = {};
     if (hourlyRate !== undefined) {
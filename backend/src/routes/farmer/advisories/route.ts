@@ -0,0 +1,56 @@
+import { Router, Request, Response } from "express";
+import { AlertSeverity } from "@prisma/client";
+import { farmerOnlyRoute } from "../../../middleware/auths";
+import { getFarmerAdvisories, parseSeverityFilter } from "../../../utils/advisories";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+/**
+ * GET /api/farmer/advisories - Expert advisories for the farmer's location and crops
+ *
+ * Active, unexpired advisories for the farmer's place, zone or region (or the
+ * whole country) that concern the crops they list; most severe first.
+ * Optional filters: severity, type.
+ */
+router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const {
+      severity,
+      type,
+      page = 1,
+      limit = 10
+    } = req.query;
+
+    const advisories = await getFarmerAdvisories(farmerId, {
+      severity: parseSeverityFilter(severity),
+      advisoryType: type ? (type as string).toLowerCase() : undefined
+    });
+
+    const skip = (parseInt(page as string) - 1) * parseInt(limit as string);
+    const totalCount = advisories.length;
+
+    res.json({
+      success: true,
+      data: {
+        advisories: advisories.slice(skip, skip + parseInt(limit as string)),
+        pagination: {
+          current: parseInt(page as string),
+          total: Math.ceil(totalCount / parseInt(limit as string)),
+          hasNext: skip + parseInt(limit as string) < totalCount,
+          totalCount
+        },
+        summary: {
+          critical: advisories.filter((advisory: { severity: AlertSeverity }) => advisory.severity === "CRITICAL").length,
+          high: advisories.filter((advisory: { severity: AlertSeverity }) => advisory.severity === "HIGH").length
+        }
+      }
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "Error fetching advisories:", "Failed to fetch advisories");
+  }
+});
+
+export default router;
@@ -1,6 +1,11 @@
 import { Router, Request, Response } from "express";
 import { farmerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { getPricingAdvice } from "../../../utils/pricing";
+import { normalizeUnit } from "../../../utils/units";
+import { listingLocationFor } from "../../../utils/geo";
+import { queueWeatherAlertSweep } from "../../../utils/weatherAlerts";
+import { getListingDailyStats, getListingEventCounts } from "../../../utils/listingStats";
 
 const router = Router();
 
@@ -48,11 +53,14 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
 
     console.log("✅ Found", crops.length, "crops for farmer");
 
+    // Views and inquiries recorded from buyers (see utils/listingStats)
+    const eventCounts = await getListingEventCounts(crops.map((crop: { id: string }) => crop.id));
+
     // Add computed fields
-    const cropsWithStats = crops.map((crop: { orderItems: any[]; }) => ({
+    const cropsWithStats = crops.map((crop: { id: string; orderItems: any[]; }) => ({
       ...crop,
-      views: Math.floor(Math.random() * 200) + 10, // Mock data
-      inquiries: Math.floor(Math.random() * 20) + 1, // Mock data
+      views: eventCounts.get(crop.id)?.views ?? 0,
+      inquiries: eventCounts.get(crop.id)?.inquiries ?? 0,
       totalSold: crop.orderItems.reduce((sum: any, item: { quantity: any; }) => sum + item.quantity, 0)
     }));
 
@@ -132,6 +140,83 @@ router.get("/recent", farmerOnlyRoute, async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/farmer/crops/pricing-advice - Suggest a price for a listing
+ *
+ * Query: name, unit?, categoryName?, price? (the price the farmer has in mind)
+ *        or produceId to get advice for an existing listing
+ */
+router.get("/pricing-advice", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const { produceId } = req.query;
+    let { name, unit, categoryName, price } = req.query as Record<string, string | undefined>;
+
+    if (produceId) {
+      const crop = await prisma.produce.findFirst({
+        where: { id: produceId as string, farmerId },
+        include: { category: { select: { name: true } } }
+      });
+
+      if (!crop) {
+        return res.status(404).json({
+          success: false,
+          message: "Crop not found"
+        });
+      }
+
+      name = name || crop.name;
+      unit = unit || crop.unit;
+      categoryName = categoryName || crop.category.name;
+      price = price || String(crop.price);
+    }
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Crop name is required"
+      });
+    }
+
+    if (unit && !normalizeUnit(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unit must be kg, quintal or ton"
+      });
+    }
+
+    const proposedPrice = price !== undefined ? parseFloat(price) : undefined;
+
+    if (proposedPrice !== undefined && (!Number.isFinite(proposedPrice) || proposedPrice <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Price must be a positive number"
+      });
+    }
+
+    const advice = await getPricingAdvice({
+      farmerId,
+      cropName: name.trim(),
+      unit,
+      categoryName,
+      price: proposedPrice,
+      excludeProduceId: produceId as string | undefined
+    });
+
+    res.json({
+      success: true,
+      data: advice
+    });
+
+  } catch (error) {
+    console.error("Error building pricing advice:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get pricing advice"
+    });
+  }
+});
+
 /**
  * POST /api/farmer/crops - Create new crop listing
  */
@@ -164,6 +249,14 @@ router.post("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       });
     }
 
+    const listingUnit = normalizeUnit(unit);
+    if (!listingUnit) {
+      return res.status(400).json({
+        success: false,
+        message: "Unit must be kg, quintal or ton"
+      });
+    }
+
     // Find or create category
     let category = await prisma.category.findFirst({
       where: { 
@@ -187,10 +280,13 @@ router.post("/", farmerOnlyRoute, async (req: Request, res: Response) => {
         description,
         price: parseFloat(price),
         quantity: parseFloat(quantity),
+        unit: listingUnit,
         farmerId,
         categoryId: category.id,
         images: images || [],
-        status: "AVAILABLE"
+        status: "AVAILABLE",
+        // Listings are located at the farmer's place
+        ...(await listingLocationFor(farmerId))
       },
       include: {
         category: {
@@ -207,6 +303,9 @@ router.post("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
+    // Weather alerts for the new crop
+    queueWeatherAlertSweep(farmerId);
+
     res.status(201).json({
       success: true,
       message: "Crop listing created successfully",
@@ -236,7 +335,8 @@ router.put("/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
       quantity,
       categoryName,
       images,
-      status
+      status,
+      unit
     } = req.body;
 
     // Check if crop belongs to farmer
@@ -269,6 +369,13 @@ router.put("/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
       });
     }
 
+    if (unit !== undefined && !normalizeUnit(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unit must be kg, quintal or ton"
+      });
+    }
+
     // Handle category update
     let categoryId = existingCrop.categoryId;
     if (categoryName) {
@@ -297,6 +404,7 @@ router.put("/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
         ...(description !== undefined && { description }),
         ...(price !== undefined && { price: parseFloat(price) }),
         ...(quantity !== undefined && { quantity: parseFloat(quantity) }),
+        ...(unit !== undefined && { unit: normalizeUnit(unit)! }),
         ...(categoryName !== undefined && { categoryId }),
         ...(images !== undefined && { images }),
         ...(status !== undefined && { status }),
@@ -317,6 +425,10 @@ router.put("/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
+    if (name !== undefined && name !== existingCrop.name) {
+      queueWeatherAlertSweep(farmerId);
+    }
+
     res.json({
       success: true,
       message: "Crop listing updated successfully",
@@ -451,6 +563,48 @@ router.patch("/:id/status", farmerOnlyRoute, async (req: Request, res: Response)
   }
 });
 
+/**
+ * GET /api/farmer/crops/:id/stats - Daily views and inquiries for one listing
+ *
+ * Query: days (default 30, max 90)
+ */
+router.get("/:id/stats", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const cropId = req.params.id as string;
+    const days = Math.min(Math.max(parseInt(req.query.days as string) || 30, 1), 90);
+
+    const crop = await prisma.produce.findFirst({
+      where: { id: cropId, farmerId },
+      select: { id: true, name: true, status: true, createdAt: true }
+    });
+
+    if (!crop) {
+      return res.status(404).json({
+        success: false,
+        message: "Crop not found"
+      });
+    }
+
+    const stats = await getListingDailyStats(crop.id, days);
+
+    res.json({
+      success: true,
+      data: {
+        crop,
+        ...stats
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching crop stats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch crop stats"
+    });
+  }
+});
+
 /**
  * GET /api/farmer/crops/statistics - Get crop statistics
  */
@@ -1,15 +1,21 @@
 import { Router, Request, Response } from "express";
 import { farmerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { describeWindow, getFarmerMetrics, resolveMetricWindow } from "../../../utils/metrics";
+import { HttpError, sendHttpError } from "../../../utils/httpError";
 
 const router = Router();
 
 /**
  * GET /api/farmer/dashboard - Get farmer's dashboard overview data
+ *
+ * Growth figures compare this month with last month; pass period=week
+ * (or period=custom&from=&to=) to compare other ranges.
  */
 router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
   try {
     const farmerId = req.user!.id;
+    const window = resolveMetricWindow(req.query);
 
     // Get farmer's basic info
     const farmer = await prisma.user.findUnique({
@@ -62,7 +68,7 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
     // Get orders data
     const orders: any[] = await prisma.order.findMany({
       where: {
-        orderItems: {
+        items: {
           some: {
             produce: {
               farmerId: farmerId
@@ -71,7 +77,7 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
         }
       },
       include: {
-        orderItems: {
+        items: {
           where: {
             produce: {
               farmerId: farmerId
@@ -92,8 +98,11 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       take: 10
     });
 
+    // Real period-over-period comparisons
+    const metrics = await getFarmerMetrics(farmerId, window);
+
     // Calculate statistics
-    const stats = calculateDashboardStats(listings, orders);
+    const stats = calculateDashboardStats(listings, orders, metrics, describeWindow(window));
     
     // Get recent activities - already sorted by createdAt desc from query
     const recentListings = listings.slice(0, 3); // Show 3 most recent listings
@@ -125,8 +134,8 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
           id: order.id,
           status: order.status,
           totalAmount: order.totalAmount,
-          itemsCount: order.orderItems.length,
-          items: order.orderItems.map((item: any) => item.produce.name),
+          itemsCount: order.items.length,
+          items: order.items.map((item: any) => item.produce.name),
           createdAt: order.createdAt
         })),
         insights: insights,
@@ -134,7 +143,13 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
-  } catch (error) {
+  } catch (error: any) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error("❌ Error fetching dashboard data:", error);
     console.error("Error details:", {
       message: error instanceof Error ? error.message : String(error),
@@ -149,7 +164,12 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
 });
 
 // Helper function to calculate dashboard statistics
-function calculateDashboardStats(listings: any[], orders: any[]) {
+function calculateDashboardStats(
+  listings: any[],
+  orders: any[],
+  metrics: Awaited<ReturnType<typeof getFarmerMetrics>>,
+  window: ReturnType<typeof describeWindow>
+) {
   const totalListings = listings.length;
   const totalInventoryValue = listings.reduce((total, listing) => 
     total + (listing.price * listing.quantity), 0
@@ -201,10 +221,12 @@ function calculateDashboardStats(listings: any[], orders: any[]) {
       totalEarnings: Math.round(completedOrdersValue)
     },
     growth: {
-      // Calculate growth compared to last month (mock data for now)
-      revenueGrowth: Math.round((Math.random() - 0.5) * 20), // -10% to +10%
-      ordersGrowth: Math.round((Math.random() - 0.5) * 30), // -15% to +15%
-      listingsGrowth: Math.round((Math.random() - 0.3) * 25) // -7.5% to +17.5%
+      // % change vs the previous period, null when the previous period had nothing
+      revenueGrowth: metrics.revenue.changePercent,
+      ordersGrowth: metrics.orders.changePercent,
+      listingsGrowth: metrics.listings.changePercent,
+      ...window,
+      details: metrics
     }
   };
 }
@@ -276,12 +298,12 @@ function generateQuickInsights(stats: any, listings: any[]) {
   }
 
   // Growth insight
-  if (stats.growth.revenueGrowth > 10) {
+  if (stats.growth.revenueGrowth !== null && stats.growth.revenueGrowth > 10) {
     insights.push({
       type: "growth",
       icon: "📊",
       title: "Revenue Growing",
-      message: `Revenue increased by ${stats.growth.revenueGrowth}% this month`,
+      message: `Revenue increased by ${stats.growth.revenueGrowth}% ${stats.growth.period === "week" ? "this week" : stats.growth.period === "month" ? "this month" : "in this period"}`,
       priority: "success"
     });
   }
@@ -289,4 +311,27 @@ function generateQuickInsights(stats: any, listings: any[]) {
   return insights.slice(0, 4); // Return max 4 insights
 }
 
+/**
+ * GET /api/farmer/dashboard/metrics - Revenue, orders and listings vs the previous period
+ *
+ * Query: period = month (default) | week | custom, with from and to (YYYY-MM-DD) for custom
+ */
+router.get("/metrics", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const window = resolveMetricWindow(req.query);
+    const metrics = await getFarmerMetrics(req.user!.id, window);
+
+    res.json({
+      success: true,
+      data: {
+        ...describeWindow(window),
+        metrics
+      }
+    });
+
+  } catch (error: any) {
+    sendHttpError(res, error, "Error fetching farmer metrics:", "Failed to fetch metrics");
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { Router, Request, Response } from "express";
 import { farmerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { listingLocationFor } from "../../../utils/geo";
+import { queueWeatherAlertSweep } from "../../../utils/weatherAlerts";
 
 const router = Router();
 
@@ -81,7 +83,9 @@ router.post("/", farmerOnlyRoute, async (req: Request, res: Response) => {
         quantity: parseFloat(quantity),
         categoryId,
         images: images || [],
-        status: "AVAILABLE"
+        status: "AVAILABLE",
+        // Listings are located at the farmer's place
+        ...(await listingLocationFor(farmerId))
       },
       include: {
         farmer: {
@@ -98,6 +102,9 @@ router.post("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
+    // Weather alerts for the new crop
+    queueWeatherAlertSweep(farmerId);
+
     res.status(201).json({
       success: true,
       data: listing,
@@ -174,6 +181,10 @@ router.put("/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
       }
     });
 
+    if (name && name !== existingListing.name) {
+      queueWeatherAlertSweep(farmerId);
+    }
+
     res.json({
       success: true,
       data: updatedListing,
@@ -1,9 +1,19 @@
 import { Router, Request, Response } from "express";
 import { farmerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { PRICE_ALERT_CONDITIONS } from "../../../utils/priceAlerts";
+import { PRICE_INTERVALS, PriceInterval, buildPriceCandles, summarizeCandles } from "../../../utils/marketPrices";
 
 const router = Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range /history and /trends read in one request
+const MAX_HISTORY_RANGE_DAYS = 366;
+
+// Most observations /trends turns into candles at once
+const MAX_TREND_OBSERVATIONS = 20000;
+
 /**
  * GET /api/farmer/market - Get market prices
  */
@@ -46,4 +56,426 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * HELPER FUNCTION: Build the history filter shared by /history and /trends
+ *
+ * Returns an error message instead when the query is invalid.
+ * Defaults to the last 90 days when no range is given; at most a year.
+ */
+function buildHistoryFilter(query: any): { where: any; from: Date; to: Date } | { error: string } {
+  const { crop, region, session, from, to } = query;
+
+  if (!crop) {
+    return { error: "crop is required" };
+  }
+
+  const toDate = to ? new Date(to as string) : new Date();
+  const fromDate = from
+    ? new Date(from as string)
+    : new Date(toDate.getTime() - 90 * DAY_MS);
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    return { error: "from and to must be valid dates" };
+  }
+
+  if (fromDate > toDate) {
+    return { error: "from must be before to" };
+  }
+
+  if (toDate.getTime() - fromDate.getTime() > MAX_HISTORY_RANGE_DAYS * DAY_MS) {
+    return { error: `The range can be at most ${MAX_HISTORY_RANGE_DAYS} days` };
+  }
+
+  const where: any = {
+    cropName: { equals: crop as string, mode: "insensitive" },
+    observedAt: { gte: fromDate, lte: toDate }
+  };
+
+  if (region) {
+    where.region = { equals: region as string, mode: "insensitive" };
+  }
+
+  if (session) {
+    where.marketSession = { equals: session as string, mode: "insensitive" };
+  }
+
+  return { where, from: fromDate, to: toDate };
+}
+
+/**
+ * GET /api/farmer/market/history - Get raw price observations for a crop
+ *
+ * Query: crop (required), region?, session?, from?, to?, limit? (default 500, max 2000)
+ *
+ * When the range holds more than `limit` observations the newest ones are
+ * returned (still oldest first).
+ */
+router.get("/history", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const filter = buildHistoryFilter(req.query);
+
+    if ("error" in filter) {
+      return res.status(400).json({
+        success: false,
+        message: filter.error
+      });
+    }
+
+    const { limit = "500" } = req.query;
+    const take = Number(limit);
+
+    if (!Number.isInteger(take) || take <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "limit must be a positive whole number"
+      });
+    }
+
+    const newestFirst = await prisma.marketPriceHistory.findMany({
+      where: filter.where,
+      orderBy: { observedAt: "desc" },
+      take: Math.min(take, 2000),
+      select: {
+        id: true,
+        cropName: true,
+        price: true,
+        unit: true,
+        region: true,
+        marketSession: true,
+        observedAt: true
+      }
+    });
+    const history = newestFirst.reverse();
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
+    });
+  } catch (error) {
+    console.error("❌ Error fetching price history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch price history"
+    });
+  }
+});
+
+/**
+ * GET /api/farmer/market/trends - Get OHLC candles, moving average and % change for a crop
+ *
+ * Query: crop (required), interval (day | week | month), window (moving average length),
+ *        region?, session?, from?, to?
+ *
+ * Prices in different regions and market sessions are different markets, so
+ * there is one series of candles per region and session. Give region and
+ * session to get just one.
+ */
+router.get("/trends", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const filter = buildHistoryFilter(req.query);
+
+    if ("error" in filter) {
+      return res.status(400).json({
+        success: false,
+        message: filter.error
+      });
+    }
+
+    const { interval = "day", window = 7 } = req.query;
+
+    if (!PRICE_INTERVALS.includes(interval as PriceInterval)) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of: ${PRICE_INTERVALS.join(", ")}`
+      });
+    }
+
+    const windowSize = Math.max(1, Math.min(Number(window) || 7, 60));
+
+    const observations = await prisma.marketPriceHistory.findMany({
+      where: filter.where,
+      orderBy: { observedAt: "asc" },
+      take: MAX_TREND_OBSERVATIONS + 1,
+      select: { price: true, observedAt: true, unit: true, region: true, marketSession: true }
+    });
+
+    if (observations.length > MAX_TREND_OBSERVATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: "Too many price observations, pick a region or a shorter range"
+      });
+    }
+
+    // One series per market: region + session
+    const markets = new Map<string, typeof observations>();
+    for (const observation of observations) {
+      const key = `${observation.region}|${observation.marketSession}`;
+      const market = markets.get(key) || [];
+      market.push(observation);
+      markets.set(key, market);
+    }
+
+    const series = [...markets.values()].map((market) => {
+      const candles = buildPriceCandles(market, interval as PriceInterval, windowSize);
+      return {
+        region: market[0].region,
+        marketSession: market[0].marketSession,
+        unit: market[market.length - 1].unit,
+        summary: summarizeCandles(candles),
+        candles
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        crop: req.query.crop,
+        interval,
+        window: windowSize,
+        from: filter.from,
+        to: filter.to,
+        series
+      }
+    });
+  } catch (error) {
+    console.error("❌ Error fetching price trends:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch price trends"
+    });
+  }
+});
+
+/**
+ * HELPER FUNCTION: Validate alert terms from a request body
+ *
+ * Returns an error message, or null when the fields that are present are valid.
+ * With `partial` set, missing fields are allowed (used for updates).
+ */
+function validateAlertInput(body: any, partial = false): string | null {
+  const { cropName, targetPrice, condition, region, marketSession } = body;
+
+  if (cropName !== undefined || !partial) {
+    if (typeof cropName !== "string" || !cropName.trim()) {
+      return "cropName is required";
+    }
+  }
+
+  if (targetPrice !== undefined || !partial) {
+    const price = Number(targetPrice);
+    if (!Number.isFinite(price) || price <= 0) {
+      return "targetPrice must be a positive number";
+    }
+  }
+
+  if (condition !== undefined || !partial) {
+    if (!PRICE_ALERT_CONDITIONS.includes(condition)) {
+      return `condition must be one of: ${PRICE_ALERT_CONDITIONS.join(", ")}`;
+    }
+  }
+
+  if (region !== undefined && (typeof region !== "string" || !region.trim())) {
+    return "region must be a region name";
+  }
+
+  if (marketSession !== undefined && marketSession !== null && (typeof marketSession !== "string" || !marketSession.trim())) {
+    return "marketSession must be a session name, or null for any session";
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/farmer/market/alerts - Get farmer's price alerts
+ */
+router.get("/alerts", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const { status = 'all' } = req.query;
+
+    const where: any = { farmerId };
+
+    if (status === 'active') {
+      where.isActive = true;
+      where.triggeredAt = null;
+    } else if (status === 'triggered') {
+      where.triggeredAt = { not: null };
+    } else if (status === 'inactive') {
+      where.isActive = false;
+    }
+
+    const alerts = await prisma.priceAlert.findMany({
+      where,
+      orderBy: { createdAt: "desc" }
+    });
+
+    res.json({
+      success: true,
+      data: alerts
+    });
+  } catch (error) {
+    console.error("❌ Error fetching price alerts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch price alerts"
+    });
+  }
+});
+
+/**
+ * POST /api/farmer/market/alerts - Create a price alert
+ *
+ * Body: { cropName, targetPrice, condition: "above" | "below", region?, marketSession? }
+ * The alert watches prices from `region` (default: the farmer's own region)
+ * and only from `marketSession` if given.
+ */
+router.post("/alerts", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const validationError = validateAlertInput(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    let region = typeof req.body.region === "string" ? req.body.region.trim() : "";
+    if (!region) {
+      const farmer = await prisma.user.findUnique({
+        where: { id: farmerId },
+        select: { region: true }
+      });
+      region = farmer?.region || "National";
+    }
+
+    const alert = await prisma.priceAlert.create({
+      data: {
+        farmerId,
+        cropName: req.body.cropName.trim(),
+        targetPrice: Number(req.body.targetPrice),
+        condition: req.body.condition,
+        region,
+        marketSession: typeof req.body.marketSession === "string" ? req.body.marketSession.trim() : null
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Price alert created",
+      data: alert
+    });
+  } catch (error) {
+    console.error("❌ Error creating price alert:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create price alert"
+    });
+  }
+});
+
+/**
+ * PUT /api/farmer/market/alerts/:id - Update a price alert
+ *
+ * Changing the terms or re-enabling an alert re-arms it (clears triggeredAt)
+ */
+router.put("/alerts/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const id = req.params.id as string;
+    const { cropName, targetPrice, condition, region, marketSession, isActive } = req.body;
+
+    const existing = await prisma.priceAlert.findFirst({
+      where: { id, farmerId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Price alert not found"
+      });
+    }
+
+    const validationError = validateAlertInput(req.body, true);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be true or false"
+      });
+    }
+
+    const data: any = {};
+    if (cropName !== undefined) data.cropName = cropName.trim();
+    if (targetPrice !== undefined) data.targetPrice = Number(targetPrice);
+    if (condition !== undefined) data.condition = condition;
+    if (region !== undefined) data.region = region.trim();
+    if (marketSession !== undefined) data.marketSession = marketSession === null ? null : marketSession.trim();
+    if (isActive !== undefined) data.isActive = isActive;
+
+    const termsChanged = [cropName, targetPrice, condition, region, marketSession].some((value) => value !== undefined);
+    if (termsChanged || isActive === true) {
+      data.triggeredAt = null;
+    }
+
+    const alert = await prisma.priceAlert.update({
+      where: { id },
+      data
+    });
+
+    res.json({
+      success: true,
+      message: "Price alert updated",
+      data: alert
+    });
+  } catch (error) {
+    console.error("❌ Error updating price alert:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update price alert"
+    });
+  }
+});
+
+/**
+ * DELETE /api/farmer/market/alerts/:id - Delete a price alert
+ */
+router.delete("/alerts/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const id = req.params.id as string;
+
+    const deleted = await prisma.priceAlert.deleteMany({
+      where: { id, farmerId }
+    });
+
+    if (deleted.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Price alert not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Price alert deleted"
+    });
+  } catch (error) {
+    console.error("❌ Error deleting price alert:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete price alert"
+    });
+  }
+});
+
 export default router;
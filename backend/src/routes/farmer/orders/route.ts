@@ -0,0 +1,183 @@
+import { Router, Request, Response } from "express";
+import { OrderStatus } from "@prisma/client";
+import { farmerOnlyRoute } from "../../../middleware/auths";
+import { prisma } from "../../../utils/prisma";
+import { notifyOrderStatusChanged, orderInclude, parseOrderStatusFilter, transitionOrder } from "../../../utils/orders";
+import { sendHttpError } from "../../../utils/httpError";
+
+const router = Router();
+
+/**
+ * GET /api/farmer/orders - Get incoming orders that include the farmer's produce
+ */
+router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const { page = 1, limit = 10 } = req.query;
+    const status = parseOrderStatusFilter(req.query.status);
+
+    const skip = (parseInt(page as string) - 1) * parseInt(limit as string);
+    const where: any = {
+      items: {
+        some: {
+          produce: { farmerId }
+        }
+      }
+    };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const [orders, totalCount, statusCounts] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: parseInt(limit as string),
+        include: orderInclude
+      }),
+      prisma.order.count({ where }),
+      prisma.order.groupBy({
+        by: ['status'],
+        where: {
+          items: {
+            some: {
+              produce: { farmerId }
+            }
+          }
+        },
+        _count: { status: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          current: parseInt(page as string),
+          total: Math.ceil(totalCount / parseInt(limit as string)),
+          hasNext: skip + parseInt(limit as string) < totalCount,
+          totalCount
+        },
+        statistics: statusCounts.reduce((acc: any, stat: any) => {
+          acc[stat.status] = stat._count.status;
+          return acc;
+        }, {})
+      }
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "❌ Error fetching farmer orders:", "Failed to fetch orders");
+  }
+});
+
+/**
+ * GET /api/farmer/orders/:id - Get a single incoming order
+ */
+router.get("/:id", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const farmerId = req.user!.id;
+    const orderId = req.params.id as string;
+
+    const order = await prisma.order.findFirst({
+      where: {
+        id: orderId,
+        items: { some: { produce: { farmerId } } }
+      },
+      include: orderInclude
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    console.error("❌ Error fetching order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order"
+    });
+  }
+});
+
+/**
+ * HELPER FUNCTION: Build a handler that moves one of the farmer's orders to `status`
+ *
+ * The farmer must own every item in the order - checkout creates one order per
+ * farmer, so a farmer can never confirm or cancel another farmer's produce.
+ */
+function updateOrderStatus(status: OrderStatus, successMessage: string) {
+  return async (req: Request, res: Response) => {
+    try {
+      const farmerId = req.user!.id;
+      const orderId = req.params.id as string;
+
+      const order = await prisma.order.findFirst({
+        where: {
+          id: orderId,
+          items: { some: { produce: { farmerId } } }
+        },
+        include: {
+          items: {
+            select: {
+              produce: { select: { farmerId: true } }
+            }
+          }
+        }
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found"
+        });
+      }
+
+      if (order.items.some((item: { produce: { farmerId: string } }) => item.produce.farmerId !== farmerId)) {
+        return res.status(403).json({
+          success: false,
+          message: "This order includes produce from other farmers"
+        });
+      }
+
+      const updatedOrder = await transitionOrder(orderId, status);
+      notifyOrderStatusChanged(updatedOrder, farmerId);
+
+      res.json({
+        success: true,
+        message: successMessage,
+        data: updatedOrder
+      });
+
+    } catch (error: any) {
+      sendHttpError(res, error, `❌ Error updating order to ${status}:`, "Failed to update order");
+    }
+  };
+}
+
+/**
+ * PATCH /api/farmer/orders/:id/confirm - Accept a pending order
+ */
+router.patch("/:id/confirm", farmerOnlyRoute, updateOrderStatus("CONFIRMED", "Order confirmed"));
+
+/**
+ * PATCH /api/farmer/orders/:id/reject - Reject (cancel) an order, stock goes back to the listing
+ */
+router.patch("/:id/reject", farmerOnlyRoute, updateOrderStatus("CANCELLED", "Order rejected"));
+
+/**
+ * PATCH /api/farmer/orders/:id/deliver - Mark a confirmed order as delivered
+ */
+router.patch("/:id/deliver", farmerOnlyRoute, updateOrderStatus("DELIVERED", "Order marked as delivered"));
+
+export default router;
@@ -1,6 +1,7 @@
 import { Router, Request, Response } from "express";
 import { farmerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { parseLocationUpdate, syncListingLocations } from "../../../utils/geo";
 
 const router = Router();
 
@@ -33,6 +34,12 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       email: user.email,
       phone: user.phone,
       location: user.location,
+      placeId: user.placeId,
+      region: user.region,
+      zone: user.zone,
+      woreda: user.woreda,
+      latitude: user.latitude,
+      longitude: user.longitude,
       profilePicture: user.image,
       
       // Stats from FarmerProfile table
@@ -63,7 +70,17 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
 router.put("/", farmerOnlyRoute, async (req: Request, res: Response) => {
   try {
     const userId = req.user!.id;
-    const { name, phone, location } = req.body;
+    const { name, phone } = req.body;
+
+    // Location must resolve to a known place (placeId from /api/locations, or recognisable text)
+    const locationUpdate = parseLocationUpdate(req.body);
+    if (locationUpdate && "error" in locationUpdate) {
+      return res.status(400).json({
+        error: "Unknown location",
+        message: locationUpdate.error,
+        suggestions: locationUpdate.suggestions
+      });
+    }
 
     // Update base user information (only fields that exist in User table)
     const updatedUser = await prisma.user.update({
@@ -71,10 +88,15 @@ router.put("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       data: {
         ...(name && { name }),
         ...(phone && { phone }),
-        ...(location && { location })
+        ...(locationUpdate && locationUpdate.fields)
       }
     });
 
+    // Listings are located at the farm
+    if (locationUpdate) {
+      await syncListingLocations(userId, locationUpdate.fields);
+    }
+
     // Get farmer profile stats
     const farmerProfile = await prisma.farmerProfile.findUnique({
       where: { userId: userId }
@@ -86,6 +108,12 @@ router.put("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       email: updatedUser.email,
       phone: updatedUser.phone,
       location: updatedUser.location,
+      placeId: updatedUser.placeId,
+      region: updatedUser.region,
+      zone: updatedUser.zone,
+      woreda: updatedUser.woreda,
+      latitude: updatedUser.latitude,
+      longitude: updatedUser.longitude,
       profilePicture: updatedUser.image,
       totalRevenue: farmerProfile?.totalRevenue || 0,
       activeListings: farmerProfile?.activeListings || 0,
@@ -1,6 +1,7 @@
 import { Router, Request, Response } from "express";
 import { farmerOnlyRoute } from "../../../middleware/auths";
 import { prisma } from "../../../utils/prisma";
+import { ForecastDay, WeatherUnavailableError, getCurrentWeather, getForecast, presentCondition } from "../../../utils/weather";
 
 const router = Router();
 
@@ -17,6 +18,8 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       where: { id: userId },
       select: {
         location: true,
+        latitude: true,
+        longitude: true,
         name: true
       }
     });
@@ -31,27 +34,46 @@ router.get("/", farmerOnlyRoute, async (req: Request, res: Response) => {
       });
     }
 
-    // Get real weather data from OpenWeatherMap
+    // Cached weather (refreshed from the configured weather provider when it expires)
     console.log("🔄 Fetching weather for location:", user.location);
-    const weatherData = await getRealWeather(user.location);
-    console.log("✅ Weather data received:", JSON.stringify(weatherData, null, 2));
+    const weather = await getCurrentWeather({
+      name: user.location,
+      latitude: user.latitude,
+      longitude: user.longitude
+    });
+    console.log("✅ Weather data received from", weather.source);
 
     const responseData = {
       success: true,
       data: {
         location: user.location,
         farmerName: user.name,
-        current: weatherData.current,
-        today: weatherData.today,
-        alerts: weatherData.alerts,
-        farmingTips: weatherData.farmingTips
+        current: {
+          ...weather.data.current,
+          ...presentCondition(weather.data.current.condition)
+        },
+        today: weather.data.today,
+        alerts: await prisma.weatherAlert.findMany({
+          where: { farmerId: userId, expiresAt: { gt: new Date() } },
+          orderBy: [{ isRead: "asc" }, { createdAt: "desc" }],
+          take: 5
+        }),
+        farmingTips: generateFarmingTips(weather.data.current.temperature, weather.data.current.humidity > 70),
+        fetchedAt: weather.fetchedAt,
+        stale: weather.source === "stale"
       }
     };
 
-    console.log("📤 Sending weather response:", JSON.stringify(responseData, null, 2));
     res.json(responseData);
 
-  } catch (error) {
+  } catch (error: any) {
+    if (error instanceof WeatherUnavailableError) {
+      return res.status(error.statusCode).json({
+        error: "Weather unavailable",
+        message: error.message
+      });
+    }
+
     console.error("❌ Error fetching weather:", error);
     res.status(500).json({
       error: "Failed to fetch weather",
@@ -71,7 +93,9 @@ router.get("/forecast", farmerOnlyRoute, async (req: Request, res: Response) =>
     const user = await prisma.user.findUnique({
       where: { id: userId },
       select: {
-        location: true
+        location: true,
+        latitude: true,
+        longitude: true
       }
     });
 
@@ -82,14 +106,23 @@ router.get("/forecast", farmerOnlyRoute, async (req: Request, res: Response) =>
       });
     }
 
-    // Get real weather forecast from OpenWeatherMap
-    const forecast = await getRealForecast(user.location);
+    // Cached forecast (refreshed from the configured weather provider when it expires)
+    const forecast = await getForecast({
+      name: user.location,
+      latitude: user.latitude,
+      longitude: user.longitude
+    });
 
     res.json({
       success: true,
       data: {
         location: user.location,
-        forecast: forecast,
+        forecast: forecast.data.map((day: ForecastDay) => ({
+          ...day,
+          ...presentCondition(day.condition)
+        })),
+        fetchedAt: forecast.fetchedAt,
+        stale: forecast.source === "stale",
         weeklyTips: [
           "Good week for planting teff - soil moisture is optimal",
           "Consider harvesting mature crops before Thursday's rain",
@@ -98,7 +131,14 @@ router.get("/forecast", farmerOnlyRoute, async (req: Request, res: Response) =>
       }
     });
 
-  } catch (error) {
+  } catch (error: any) {
+    if (error instanceof WeatherUnavailableError) {
+      return res.status(error.statusCode).json({
+        error: "Weather unavailable",
+        message: error.message
+      });
+    }
+
     console.error("❌ Error fetching forecast:", error);
     res.status(500).json({
       error: "Failed to fetch forecast",
@@ -108,52 +148,40 @@ router.get("/forecast", farmerOnlyRoute, async (req: Request, res: Response) =>
 });
 
 /**
- * GET /api/farmer/weather/alerts - Get weather alerts and farming recommendations
+ * GET /api/farmer/weather/alerts - Get active weather alerts and farming recommendations
+ *
+ * Alerts are raised by the scheduled sweep (and for a farmer's new crops
+ * as soon as they are listed); this only reads them.
  */
 router.get("/alerts", farmerOnlyRoute, async (req: Request, res: Response) => {
   try {
     const userId = req.user!.id;
-    console.log("🚨 Alerts request from user:", userId);
+    const { includeRead = 'true' } = req.query;
 
-    // Get farmer's location
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: {
-        location: true
-      }
-    });
-
-    console.log("👤 User location:", user?.location);
+    const where: any = {
+      farmerId: userId,
+      expiresAt: { gt: new Date() }
+    };
 
-    if (!user) {
-      return res.status(404).json({
-        error: "User not found"
-      });
+    if (includeRead === 'false') {
+      where.isRead = false;
     }
 
-    // Get farmer's crops from their produce listings
-    const farmerCrops = await prisma.produce.findMany({
-      where: { farmerId: userId },
-      select: { name: true },
-      distinct: ['name'],
-      take: 10
-    });
-
-    const cropNames = farmerCrops.map(c => c.name);
-    console.log("🌾 Farmer crops:", cropNames);
-
-    // Generate crop-specific alerts
-    const alerts = generateCropAlerts(
-      user.location || "Ethiopia", 
-      cropNames
-    );
-
-    console.log("📤 Sending alerts:", alerts.length, "alerts");
+    const [alerts, unreadCount] = await Promise.all([
+      prisma.weatherAlert.findMany({
+        where,
+        orderBy: [{ isRead: "asc" }, { expiresAt: "asc" }, { createdAt: "desc" }]
+      }),
+      prisma.weatherAlert.count({
+        where: { farmerId: userId, isRead: false, expiresAt: { gt: new Date() } }
+      })
+    ]);
 
     res.json({
       success: true,
       data: {
-        alerts: alerts,
+        alerts,
+        unreadCount,
         recommendations: [
           {
             priority: "high",
@@ -180,261 +208,61 @@ router.get("/alerts", farmerOnlyRoute, async (req: Request, res: Response) => {
   }
 });
 
-// OpenWeatherMap API configuration
-const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY || "your_api_key_here";
-const OPENWEATHER_BASE_URL = "https://api.openweathermap.org/data/2.5";
-
-// Helper function to get real weather data from OpenWeatherMap
-async function getRealWeather(location: string) {
+/**
+ * PATCH /api/farmer/weather/alerts/read-all - Mark all weather alerts as read
+ */
+router.patch("/alerts/read-all", farmerOnlyRoute, async (req: Request, res: Response) => {
   try {
-    // Current weather API call
-    const weatherResponse = await fetch(
-      `${OPENWEATHER_BASE_URL}/weather?q=${encodeURIComponent(location)},ET&appid=${OPENWEATHER_API_KEY}&units=metric`
-    );
-    
-    if (!weatherResponse.ok) {
-      throw new Error(`Weather API error: ${weatherResponse.status}`);
-    }
-    
-    const weatherData = await weatherResponse.json();
-    
-    // UV Index API call (requires lat/lon)
-    const lat = weatherData.coord.lat;
-    const lon = weatherData.coord.lon;
-    
-    let uvIndex = 7; // Default moderate UV
-    try {
-      const uvResponse = await fetch(
-        `${OPENWEATHER_BASE_URL}/uvi?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}`
-      );
-      if (uvResponse.ok) {
-        const uvData = await uvResponse.json();
-        uvIndex = Math.round(uvData.value);
-      }
-    } catch (uvError) {
-      console.log("UV index not available, using default");
-    }
-    
-    const current = {
-      temperature: Math.round(weatherData.main.temp),
-      humidity: weatherData.main.humidity,
-      windSpeed: Math.round(weatherData.wind?.speed * 3.6) || 0, // Convert m/s to km/h
-      condition: mapWeatherCondition(weatherData.weather[0].main),
-      pressure: weatherData.main.pressure,
-      uvIndex: uvIndex,
-      visibility: Math.round((weatherData.visibility || 10000) / 1000), // Convert m to km
-      feelsLike: Math.round(weatherData.main.feels_like),
-      description: weatherData.weather[0].description
-    };
-    
-    const today = {
-      high: Math.round(weatherData.main.temp_max),
-      low: Math.round(weatherData.main.temp_min),
-      sunrise: new Date(weatherData.sys.sunrise * 1000).toLocaleTimeString('en-US', { 
-        hour12: false, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      }),
-      sunset: new Date(weatherData.sys.sunset * 1000).toLocaleTimeString('en-US', { 
-        hour12: false, 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      }),
-      moonPhase: ["new", "waxing", "full", "waning"][Math.floor(Math.random() * 4)], // API doesn't provide this
-      chanceOfRain: weatherData.clouds?.all || 0 // Use cloud coverage as rain estimate
-    };
-    
-    return {
-      current,
-      today,
-      alerts: generateWeatherAlerts(location, current.temperature),
-      farmingTips: generateFarmingTips(current.temperature, current.humidity > 70)
-    };
-    
-  } catch (error) {
-    console.error("❌ OpenWeatherMap API error:", error);
-    // Fallback to mock data if API fails
-    console.log("📝 Using fallback weather data");
-    return generateMockWeather(location);
-  }
-}
+    const result = await prisma.weatherAlert.updateMany({
+      where: { farmerId: req.user!.id, isRead: false },
+      data: { isRead: true }
+    });
+
+    res.json({
+      success: true,
+      message: "All weather alerts marked as read",
+      data: { updated: result.count }
+    });
 
-// Helper function to get real forecast from OpenWeatherMap
-async function getRealForecast(location: string) {
-  try {
-    const forecastResponse = await fetch(
-      `${OPENWEATHER_BASE_URL}/forecast?q=${encodeURIComponent(location)},ET&appid=${OPENWEATHER_API_KEY}&units=metric`
-    );
-    
-    if (!forecastResponse.ok) {
-      throw new Error(`Forecast API error: ${forecastResponse.status}`);
-    }
-    
-    const forecastData = await forecastResponse.json();
-    
-    // Group forecast by day (API returns 3-hour intervals)
-    const dailyForecasts = groupForecastByDay(forecastData.list);
-    
-    return dailyForecasts.slice(0, 7); // Return 7 days
-    
   } catch (error) {
-    console.error("❌ OpenWeatherMap Forecast API error:", error);
-    // Fallback to mock data
-    return generateMockForecast(location);
+    console.error("❌ Error marking weather alerts as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark weather alerts as read"
+    });
   }
-}
-
-// Helper function to group 3-hour forecasts into daily forecasts
-function groupForecastByDay(forecastList: any[]) {
-  const dailyData: { [key: string]: any } = {};
-  const days = ["Today", "Tomorrow", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-  
-  forecastList.forEach((forecast, index) => {
-    const date = new Date(forecast.dt * 1000).toDateString();
-    
-    if (!dailyData[date]) {
-      dailyData[date] = {
-        day: days[Object.keys(dailyData).length] || new Date(forecast.dt * 1000).toLocaleDateString('en-US', { weekday: 'long' }),
-        date: new Date(forecast.dt * 1000).toISOString().split('T')[0],
-        temps: [],
-        conditions: [],
-        humidity: [],
-        windSpeeds: [],
-        rainChances: []
-      };
-    }
-    
-    dailyData[date].temps.push(forecast.main.temp);
-    dailyData[date].conditions.push(forecast.weather[0].main);
-    dailyData[date].humidity.push(forecast.main.humidity);
-    dailyData[date].windSpeeds.push(forecast.wind?.speed * 3.6 || 0);
-    dailyData[date].rainChances.push(forecast.pop * 100); // Probability of precipitation
-  });
-  
-  // Calculate daily averages and pick most common condition
-  return Object.values(dailyData).map((day: any) => ({
-    day: day.day,
-    date: day.date,
-    high: Math.round(Math.max(...day.temps)),
-    low: Math.round(Math.min(...day.temps)),
-    condition: mapWeatherCondition(getMostFrequent(day.conditions)),
-    chanceOfRain: Math.round(Math.max(...day.rainChances)),
-    windSpeed: Math.round(day.windSpeeds.reduce((a: number, b: number) => a + b, 0) / day.windSpeeds.length),
-    humidity: Math.round(day.humidity.reduce((a: number, b: number) => a + b, 0) / day.humidity.length)
-  }));
-}
+});
 
-// Helper function to map OpenWeatherMap conditions to our format
-function mapWeatherCondition(condition: string): string {
-  const conditionMap: { [key: string]: string } = {
-    'Clear': 'sunny',
-    'Clouds': 'cloudy',
-    'Rain': 'rain',
-    'Drizzle': 'rain',
-    'Thunderstorm': 'thunderstorm',
-    'Snow': 'snow',
-    'Mist': 'cloudy',
-    'Fog': 'cloudy',
-    'Haze': 'cloudy'
-  };
-  
-  return conditionMap[condition] || 'partly_cloudy';
-}
+/**
+ * PATCH /api/farmer/weather/alerts/:id/read - Mark one weather alert as read
+ */
+router.patch("/alerts/:id/read", farmerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const result = await prisma.weatherAlert.updateMany({
+      where: { id: req.params.id as string, farmerId: req.user!.id },
+      data: { isRead: true }
+    });
 
-// Helper function to get most frequent item in array
-function getMostFrequent(arr: string[]): string {
-  const frequency: { [key: string]: number } = {};
-  let maxCount = 0;
-  let mostFrequent = arr[0];
-  
-  arr.forEach(item => {
-    frequency[item] = (frequency[item] || 0) + 1;
-    if (frequency[item] > maxCount) {
-      maxCount = frequency[item];
-      mostFrequent = item;
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Weather alert not found"
+      });
     }
-  });
-  
-  return mostFrequent;
-}
-
-// Helper function to generate mock weather data (fallback)
-function generateMockWeather(location: string) {
-  const temperatures = [22, 28, 31, 26, 24]; // Typical Ethiopian temps
-  const currentTemp = temperatures[Math.floor(Math.random() * temperatures.length)];
-  
-  return {
-    current: {
-      temperature: currentTemp,
-      humidity: Math.floor(Math.random() * 30) + 50, // 50-80%
-      windSpeed: Math.floor(Math.random() * 15) + 5, // 5-20 km/h
-      condition: Math.random() > 0.7 ? "cloudy" : "sunny",
-      pressure: Math.floor(Math.random() * 20) + 1010, // 1010-1030 hPa
-      uvIndex: Math.floor(Math.random() * 5) + 6, // 6-10 (high)
-      visibility: Math.floor(Math.random() * 5) + 8, // 8-12 km
-      feelsLike: currentTemp + Math.floor(Math.random() * 6) - 3
-    },
-    today: {
-      high: currentTemp + Math.floor(Math.random() * 5) + 2,
-      low: currentTemp - Math.floor(Math.random() * 5) - 2,
-      sunrise: "06:15",
-      sunset: "18:45",
-      moonPhase: ["new", "waxing", "full", "waning"][Math.floor(Math.random() * 4)],
-      chanceOfRain: Math.floor(Math.random() * 60) + 10 // 10-70%
-    },
-    alerts: generateWeatherAlerts(location, currentTemp),
-    farmingTips: generateFarmingTips(currentTemp, Math.random() > 0.5)
-  };
-}
 
-// Helper function to generate 7-day forecast
-function generateMockForecast(location: string) {
-  const days = ["Today", "Tomorrow", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-  const forecast = [];
-  
-  for (let i = 0; i < 7; i++) {
-    const baseTemp = 25 + Math.floor(Math.random() * 8); // 25-33°C
-    forecast.push({
-      day: days[i],
-      date: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      high: baseTemp + Math.floor(Math.random() * 4),
-      low: baseTemp - Math.floor(Math.random() * 8),
-      condition: ["sunny", "partly_cloudy", "cloudy", "rain"][Math.floor(Math.random() * 4)],
-      chanceOfRain: Math.floor(Math.random() * 80),
-      windSpeed: Math.floor(Math.random() * 15) + 5,
-      humidity: Math.floor(Math.random() * 30) + 50
+    res.json({
+      success: true,
+      message: "Weather alert marked as read"
     });
-  }
-  
-  return forecast;
-}
 
-// Helper function for weather alerts
-function generateWeatherAlerts(location: string, temperature: number) {
-  const alerts = [];
-  
-  if (temperature > 30) {
-    alerts.push({
-      type: "heat",
-      severity: "warning",
-      title: "High Temperature Alert",
-      message: "Extremely hot conditions expected. Protect crops from heat stress.",
-      action: "Increase irrigation frequency and provide shade cover"
-    });
-  }
-  
-  if (Math.random() > 0.7) {
-    alerts.push({
-      type: "rain",
-      severity: "info", 
-      title: "Rain Expected",
-      message: "Moderate rainfall expected in the next 24 hours",
-      action: "Delay pesticide application and prepare drainage"
+  } catch (error) {
+    console.error("❌ Error marking weather alert as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark weather alert as read"
     });
   }
-  
-  return alerts;
-}
+});
 
 // Helper function for farming tips
 function generateFarmingTips(temperature: number, isRainy: boolean) {
@@ -463,47 +291,4 @@ function generateFarmingTips(temperature: number, isRainy: boolean) {
   return tips;
 }
 
-// Helper function for crop-specific alerts
-function generateCropAlerts(location: string, crops: string[]) {
-  const alerts = [];
-  
-  crops.forEach(crop => {
-    switch(crop.toLowerCase()) {
-      case "teff":
-        alerts.push({
-          crop: "Teff",
-          alert: "Optimal growing conditions - monitor for lodging risk",
-          severity: "info",
-          action: "Ensure proper spacing and support if needed"
-        });
-        break;
-      case "coffee":
-        alerts.push({
-          crop: "Coffee", 
-          alert: "Cherry development phase - maintain consistent moisture",
-          severity: "warning",
-          action: "Regular irrigation essential, avoid water stress"
-        });
-        break;
-      case "wheat":
-        alerts.push({
-          crop: "Wheat",
-          alert: "Head formation stage - protect from extreme weather",
-          severity: "info", 
-          action: "Monitor for rust diseases in humid conditions"
-        });
-        break;
-      default:
-        alerts.push({
-          crop: crop,
-          alert: "Monitor crop development closely",
-          severity: "info",
-          action: "Adjust irrigation and care based on growth stage"
-        });
-    }
-  });
-  
-  return alerts;
-}
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { Router, Request, Response } from "express";
+import { getPlace, listRegions, resolvePlace, searchPlaces } from "../../utils/geo";
+
+const router = Router();
+
+/**
+ * GET /api/locations - Search canonical places for location pickers
+ *
+ * Query: q (town, alias, zone or region), limit
+ * Public, so the sign-up form can use it too.
+ */
+router.get("/", async (req: Request, res: Response) => {
+  try {
+    const { q = "", limit = 10 } = req.query;
+
+    const places = searchPlaces(q as string, Math.min(parseInt(limit as string) || 10, 100));
+
+    res.json({
+      success: true,
+      data: places
+    });
+
+  } catch (error) {
+    console.error("Error searching locations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search locations"
+    });
+  }
+});
+
+/**
+ * GET /api/locations/regions - Regions, zones and places for cascading pickers
+ */
+router.get("/regions", async (req: Request, res: Response) => {
+  try {
+    res.json({
+      success: true,
+      data: listRegions()
+    });
+
+  } catch (error) {
+    console.error("Error listing regions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list regions"
+    });
+  }
+});
+
+/**
+ * GET /api/locations/resolve - Resolve typed text to a place
+ *
+ * Query: text
+ */
+router.get("/resolve", async (req: Request, res: Response) => {
+  try {
+    const { text } = req.query;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: "text is required"
+      });
+    }
+
+    const place = resolvePlace(text as string);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: `No place found for "${text}"`,
+        suggestions: searchPlaces(text as string, 5)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: place
+    });
+
+  } catch (error) {
+    console.error("Error resolving location:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resolve location"
+    });
+  }
+});
+
+/**
+ * GET /api/locations/:id - Get one place
+ */
+router.get("/:id", async (req: Request, res: Response) => {
+  try {
+    const place = getPlace(req.params.id as string);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: "Place not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: place
+    });
+
+  } catch (error) {
+    console.error("Error fetching location:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch location"
+    });
+  }
+});
+
+export default router;
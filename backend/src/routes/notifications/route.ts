@@ -0,0 +1,152 @@
+import { Router, Request, Response } from "express";
+import { protectRoute } from "../../middleware/auths";
+import { prisma } from "../../utils/prisma";
+import { countUnreadNotifications, markNotificationsRead } from "../../utils/notifications";
+
+const router = Router();
+
+/**
+ * GET /api/notifications - Get the user's notifications, newest first
+ *
+ * Query: unreadOnly=true, type (price_alert | weather | message | order | advisory | system), page, limit
+ */
+router.get("/", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const userId = req.user!.id;
+    const {
+      unreadOnly,
+      type,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const skip = (parseInt(page as string) - 1) * parseInt(limit as string);
+    const where: any = { userId };
+
+    if (unreadOnly === 'true') {
+      where.isRead = false;
+    }
+
+    if (type) {
+      where.type = type as string;
+    }
+
+    const [notifications, totalCount, unread] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: parseInt(limit as string)
+      }),
+      prisma.notification.count({ where }),
+      countUnreadNotifications(userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unread,
+        pagination: {
+          current: parseInt(page as string),
+          total: Math.ceil(totalCount / parseInt(limit as string)),
+          hasNext: skip + parseInt(limit as string) < totalCount,
+          totalCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications"
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count - Number of unread notifications (for the badge)
+ */
+router.get("/unread-count", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const unread = await countUnreadNotifications(req.user!.id);
+
+    res.json({
+      success: true,
+      data: { unread }
+    });
+
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to count notifications"
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/read-all - Mark all notifications as read
+ */
+router.patch("/read-all", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const result = await markNotificationsRead(req.user!.id);
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      data: result
+    });
+
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read"
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read - Mark one notification as read
+ */
+router.patch("/:id/read", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const userId = req.user!.id;
+    const notificationId = req.params.id as string;
+
+    const notification = await prisma.notification.findFirst({
+      where: { id: notificationId, userId }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    const result = await markNotificationsRead(userId, [notificationId]);
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: {
+        ...notification,
+        isRead: true,
+        readAt: notification.readAt || new Date(),
+        unread: result.unread
+      }
+    });
+
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,184 @@
+import { Router, Request, Response } from "express";
+import { protectRoute, buyerOnlyRoute } from "../../middleware/auths";
+import { prisma } from "../../utils/prisma";
+import { createOffer, offerInclude, parseOfferInput, respondToOffer } from "../../utils/offers";
+import { sendHttpError } from "../../utils/httpError";
+import { emitToConversation } from "../../utils/socket";
+
+const router = Router();
+
+/**
+ * GET /api/offers - Get offers the user made or received
+ */
+router.get("/", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const userId = req.user!.id;
+    const { status = 'all', produceId } = req.query;
+
+    const where: any = {
+      OR: [{ buyerId: userId }, { farmerId: userId }]
+    };
+
+    if (status !== 'all') {
+      where.status = status;
+    }
+
+    if (produceId) {
+      where.produceId = produceId;
+    }
+
+    const offers = await prisma.offer.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: 100,
+      include: offerInclude
+    });
+
+    res.json({
+      success: true,
+      data: offers
+    });
+
+  } catch (error) {
+    console.error("❌ Error fetching offers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch offers"
+    });
+  }
+});
+
+/**
+ * GET /api/offers/conversation/:conversationId - Get the negotiation history of a conversation
+ */
+router.get("/conversation/:conversationId", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const userId = req.user!.id;
+    const conversationId = req.params.conversationId as string;
+
+    const offers = await prisma.offer.findMany({
+      where: {
+        conversationId,
+        OR: [{ buyerId: userId }, { farmerId: userId }]
+      },
+      orderBy: { createdAt: "asc" },
+      include: offerInclude
+    });
+
+    res.json({
+      success: true,
+      data: offers
+    });
+
+  } catch (error) {
+    console.error("❌ Error fetching conversation offers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch offers"
+    });
+  }
+});
+
+/**
+ * POST /api/offers - Buyer proposes a price and quantity on a produce listing
+ *
+ * Body: { produceId, price, quantity, note? }
+ */
+router.post("/", buyerOnlyRoute, async (req: Request, res: Response) => {
+  try {
+    const buyerId = req.user!.id;
+    const { produceId } = req.body;
+
+    if (!produceId) {
+      return res.status(400).json({
+        success: false,
+        message: "produceId is required"
+      });
+    }
+
+    const { offer, message } = await createOffer(buyerId, produceId, parseOfferInput(req.body));
+
+    emitToConversation(offer.conversationId, "new_message", message);
+    emitToConversation(offer.conversationId, "offer_updated", offer);
+
+    res.status(201).json({
+      success: true,
+      message: "Offer sent",
+      data: { offer, message }
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "❌ Error creating offer:", "Failed to process offer");
+  }
+});
+
+/**
+ * POST /api/offers/:id/accept - Accept an offer, creating a PENDING order at the agreed price
+ */
+router.post("/:id/accept", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const result = await respondToOffer(req.user!.id, req.params.id as string, "accept");
+
+    emitToConversation(result.offer.conversationId, "new_message", result.message);
+    emitToConversation(result.offer.conversationId, "offer_updated", result.offer);
+
+    res.json({
+      success: true,
+      message: "Offer accepted, order created",
+      data: result
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "❌ Error accepting offer:", "Failed to process offer");
+  }
+});
+
+/**
+ * POST /api/offers/:id/decline - Decline an offer
+ */
+router.post("/:id/decline", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const result = await respondToOffer(req.user!.id, req.params.id as string, "decline");
+
+    emitToConversation(result.offer.conversationId, "new_message", result.message);
+    emitToConversation(result.offer.conversationId, "offer_updated", result.offer);
+
+    res.json({
+      success: true,
+      message: "Offer declined",
+      data: result
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "❌ Error declining offer:", "Failed to process offer");
+  }
+});
+
+/**
+ * POST /api/offers/:id/counter - Answer an offer with new terms
+ *
+ * Body: { price, quantity, note? }
+ */
+router.post("/:id/counter", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const counter = parseOfferInput(req.body);
+    const result = await respondToOffer(req.user!.id, req.params.id as string, "counter", counter);
+
+    emitToConversation(result.offer.conversationId, "new_message", result.message);
+    emitToConversation(result.offer.conversationId, "offer_updated", result.offer);
+    if (result.counterOffer) {
+      emitToConversation(result.offer.conversationId, "offer_updated", result.counterOffer);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Counter offer sent",
+      data: result
+    });
+
+  } catch (error) {
+    sendHttpError(res, error, "❌ Error countering offer:", "Failed to process offer");
+  }
+});
+
+export default router;
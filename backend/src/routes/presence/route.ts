@@ -0,0 +1,56 @@
+import { Router, Request, Response } from "express";
+import { protectRoute } from "../../middleware/auths";
+import { getConversationPartnerIds, getPresence } from "../../utils/presence";
+
+const router = Router();
+
+// Most users one request can ask about
+const MAX_USERS = 100;
+
+/**
+ * GET /api/presence - Online status and last-seen time of users
+ *
+ * Query: userIds (comma separated, at most 100). Without it, returns everyone
+ * the user has a conversation with. Like the socket events, presence is only
+ * shared between conversation partners: other ids are left out of the result.
+ */
+router.get("/", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const userId = req.user!.id;
+    const partnerIds = await getConversationPartnerIds(userId);
+
+    let userIds = partnerIds;
+
+    if (req.query.userIds) {
+      const requested = [...new Set(
+        String(req.query.userIds).split(",").map((id) => id.trim()).filter(Boolean)
+      )];
+
+      if (requested.length > MAX_USERS) {
+        return res.status(400).json({
+          success: false,
+          message: `Ask for at most ${MAX_USERS} users at a time`
+        });
+      }
+
+      const visible = new Set([...partnerIds, userId]);
+      userIds = requested.filter((id) => visible.has(id));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        presence: await getPresence(userIds)
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching presence:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch presence"
+    });
+  }
+});
+
+export default router;
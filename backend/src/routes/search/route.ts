@@ -0,0 +1,46 @@
+import { Router, Request, Response } from "express";
+import { protectRoute } from "../../middleware/auths";
+import { parseSearchQuery, searchAll } from "../../utils/search";
+
+const router = Router();
+
+/**
+ * GET /api/search - Search produce, articles, experts and farmers
+ *
+ * Query:
+ *   q        - search text (at least 2 characters); supports "quoted phrases" and -exclusions
+ *   types    - comma separated subset of produce,article,expert,farmer (default all)
+ *   category - only produce (and farmers selling it) in this category
+ *   region   - only produce, farmers and experts in this region
+ *   limit    - results per type (default 5, max 50)
+ *   page     - page within each type, for "see all" lists
+ */
+router.get("/", protectRoute, async (req: Request, res: Response) => {
+  try {
+    const { options, errors } = parseSearchQuery(req.query);
+
+    if (!options) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid search",
+        errors
+      });
+    }
+
+    const data = await searchAll(options);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({
+      success: false,
+      message: "Search failed"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import { Router, Request, Response } from "express";
+import { timingSafeEqual } from "crypto";
+import { getSmsGateway } from "../../utils/smsGateways";
+import { applySmsDeliveryReports } from "../../utils/sms";
+
+const router = Router();
+
+/**
+ * HELPER FUNCTION: Compare the webhook secret header in constant time
+ */
+function secretMatches(given: string | undefined, secret: string): boolean {
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(given || "");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * POST /api/sms/delivery-report - Delivery receipts from the SMS gateway
+ *
+ * Called by the gateway, not by users. When SMS_WEBHOOK_SECRET is set the
+ * request must carry it in the X-SMS-Webhook-Secret header (required in production).
+ */
+router.post("/delivery-report", async (req: Request, res: Response) => {
+  try {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+
+    const allowed = secret
+      ? secretMatches(req.get("x-sms-webhook-secret"), secret)
+      : process.env.NODE_ENV !== "production";
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid webhook secret"
+      });
+    }
+
+    const reports = getSmsGateway().parseDeliveryReport(req.body);
+
+    if (!reports) {
+      return res.status(400).json({
+        success: false,
+        message: "Not a delivery report"
+      });
+    }
+
+    const updated = await applySmsDeliveryReports(reports);
+
+    res.json({
+      success: true,
+      data: { received: reports.length, updated }
+    });
+
+  } catch (error) {
+    console.error("Error handling SMS delivery report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to handle delivery report"
+    });
+  }
+});
+
+export default router;
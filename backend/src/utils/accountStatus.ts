@@ -0,0 +1,260 @@
+import { AccountStatus, Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { disconnectUser } from "./socket";
+import { HttpError } from "./httpError";
+
+export const ACCOUNT_STATUSES: AccountStatus[] = ["ACTIVE", "SUSPENDED", "BANNED"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for an invalid account status change.
+ */
+export class AccountStatusError extends HttpError {}
+
+/**
+ * The status columns of a user
+ */
+export interface AccountStatusFields {
+  id: string;
+  status: AccountStatus;
+  statusReason: string | null;
+  statusUntil: Date | null;
+}
+
+export const accountStatusSelect = {
+  id: true,
+  status: true,
+  statusReason: true,
+  statusUntil: true
+} satisfies Prisma.UserSelect;
+
+/**
+ * Why a user can't use their account right now
+ */
+export interface AccountRestriction {
+  status: Exclude<AccountStatus, "ACTIVE">;
+  reason: string | null;
+  until: Date | null;
+  message: string;
+}
+
+export interface AccountStatusInput {
+  status: AccountStatus;
+  reason: string | null;
+  until: Date | null;
+}
+
+/**
+ * Users whose listings, profile and search results buyers may see
+ *
+ * A suspension that has run out counts as active even before anyone logs in
+ * and clears it (see checkAccountStatus).
+ */
+export function activeAccountFilter(now = new Date()): Prisma.UserWhereInput {
+  return {
+    OR: [
+      { status: "ACTIVE" },
+      { status: "SUSPENDED", statusUntil: { lte: now } }
+    ]
+  };
+}
+
+/**
+ * The same rule as activeAccountFilter, for a user already loaded
+ */
+export function isAccountActive(
+  user: { status: AccountStatus; statusUntil: Date | null },
+  now = new Date()
+): boolean {
+  return user.status === "ACTIVE"
+    || (user.status === "SUSPENDED" && user.statusUntil !== null && user.statusUntil <= now);
+}
+
+/**
+ * The same rule as activeAccountFilter, for raw SQL on the "user" table
+ *
+ * @param alias - The alias the query gives the "user" table (e.g. u)
+ */
+export function activeAccountSql(alias: string): Prisma.Sql {
+  const user = Prisma.raw(alias);
+  return Prisma.sql`(${user}."status" = 'ACTIVE' OR (${user}."status" = 'SUSPENDED' AND ${user}."statusUntil" <= now()))`;
+}
+
+/**
+ * Whether a user is locked out of their account
+ *
+ * @returns null for an active account, otherwise the status and a message for the user
+ *
+ * EXPLANATION:
+ * A suspension with an end date lifts itself: once `statusUntil` has passed
+ * the user is set back to ACTIVE here, the first time they are checked.
+ */
+export async function checkAccountStatus(user: AccountStatusFields): Promise<AccountRestriction | null> {
+  if (user.status === "ACTIVE") return null;
+
+  const now = new Date();
+
+  if (user.status === "SUSPENDED" && user.statusUntil && user.statusUntil <= now) {
+    await prisma.user.updateMany({
+      where: { id: user.id, status: "SUSPENDED", statusUntil: { lte: now } },
+      data: {
+        status: "ACTIVE",
+        statusReason: null,
+        statusUntil: null,
+        statusChangedAt: now,
+        statusChangedById: null
+      }
+    });
+    console.log(`🔓 Suspension of user ${user.id} ended`);
+    return null;
+  }
+
+  return {
+    status: user.status,
+    reason: user.statusReason,
+    until: user.statusUntil,
+    message: restrictionMessage(user)
+  };
+}
+
+function restrictionMessage(user: AccountStatusFields): string {
+  let message = user.status === "BANNED"
+    ? "Your account has been banned"
+    : "Your account has been suspended";
+
+  if (user.status === "SUSPENDED" && user.statusUntil) {
+    message += ` until ${user.statusUntil.toLocaleString("en-GB", {
+      dateStyle: "medium",
+      timeStyle: "short",
+      timeZone: "Africa/Addis_Ababa"
+    })}`;
+  }
+
+  return user.statusReason ? `${message}: ${user.statusReason}` : `${message}.`;
+}
+
+/**
+ * Read and check an account status change from a request body
+ *
+ * Body: { status, reason, until?, durationDays? }. A reason is required to
+ * suspend or ban. A suspension ends at `until` (a date) or after
+ * `durationDays`; without either it lasts until an admin lifts it.
+ */
+export function parseAccountStatusInput(body: any): AccountStatusInput {
+  const status = String(body?.status || "").toUpperCase() as AccountStatus;
+
+  if (!ACCOUNT_STATUSES.includes(status)) {
+    throw new AccountStatusError(`Valid status is required (${ACCOUNT_STATUSES.join(", ")})`);
+  }
+
+  if (status === "ACTIVE") {
+    return { status, reason: null, until: null };
+  }
+
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+  if (!reason) {
+    throw new AccountStatusError(`A reason is required to ${status === "BANNED" ? "ban" : "suspend"} an account`);
+  }
+  if (reason.length > 500) {
+    throw new AccountStatusError("Reason must be at most 500 characters");
+  }
+
+  const hasUntil = body.until !== undefined && body.until !== null && body.until !== "";
+  const hasDuration = body.durationDays !== undefined && body.durationDays !== null && body.durationDays !== "";
+
+  if (status === "BANNED") {
+    if (hasUntil || hasDuration) {
+      throw new AccountStatusError("A ban has no end date, suspend the account instead");
+    }
+    return { status, reason, until: null };
+  }
+
+  let until: Date | null = null;
+
+  if (hasUntil) {
+    until = new Date(body.until);
+    if (isNaN(until.getTime())) {
+      throw new AccountStatusError("until must be a valid date");
+    }
+  } else if (hasDuration) {
+    const days = Number(body.durationDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new AccountStatusError("durationDays must be a positive number");
+    }
+    until = new Date(Date.now() + days * DAY_MS);
+  }
+
+  if (until && until <= new Date()) {
+    throw new AccountStatusError("The suspension must end in the future");
+  }
+
+  return { status, reason, until };
+}
+
+/**
+ * Suspend, ban or reactivate a user
+ *
+ * @param userId - The user to change
+ * @param input - The new status (see parseAccountStatusInput)
+ * @param adminId - The admin making the change
+ * @returns The updated user and how many sessions were revoked
+ *
+ * EXPLANATION:
+ * Suspending or banning logs the user out everywhere: their Better Auth
+ * sessions are deleted and their open sockets are disconnected. Their
+ * listings stay as they are but are left out of browsing and search
+ * (activeAccountFilter), so reactivating brings them back unchanged.
+ */
+export async function setAccountStatus(userId: string, input: AccountStatusInput, adminId: string) {
+  if (userId === adminId) {
+    throw new AccountStatusError("You cannot change your own account status");
+  }
+
+  const existing = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true }
+  });
+
+  if (!existing) {
+    throw new AccountStatusError("User not found", 404);
+  }
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      status: input.status,
+      statusReason: input.reason,
+      statusUntil: input.until,
+      statusChangedAt: new Date(),
+      statusChangedById: adminId
+    },
+    select: {
+      ...accountStatusSelect,
+      email: true,
+      name: true,
+      statusChangedAt: true,
+      statusChangedBy: {
+        select: { id: true, name: true, email: true }
+      }
+    }
+  });
+
+  let revokedSessions = 0;
+
+  if (input.status !== "ACTIVE") {
+    const deleted = await prisma.session.deleteMany({ where: { userId } });
+    revokedSessions = deleted.count;
+
+    disconnectUser(userId, {
+      status: input.status,
+      reason: input.reason,
+      until: input.until,
+      message: restrictionMessage(user)
+    });
+  }
+
+  console.log(`🛡️ User ${userId} set to ${input.status} by ${adminId} (${revokedSessions} sessions revoked)`);
+
+  return { user, revokedSessions };
+}
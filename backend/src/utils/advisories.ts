@@ -0,0 +1,407 @@
+import { AlertSeverity, Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { GAZETTEER } from "../data/gazetteer";
+import { Place, formatPlace, getPlace, resolvePlace, searchPlaces } from "./geo";
+import { createNotification } from "./notifications";
+import { activeAccountFilter } from "./accountStatus";
+import { HttpError } from "./httpError";
+
+export const ADVISORY_TYPES = ["planting", "pest", "disease", "fertilizer", "irrigation", "harvest", "weather"] as const;
+export type AdvisoryType = (typeof ADVISORY_TYPES)[number];
+
+const SEVERITIES: AlertSeverity[] = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// Most urgent first in the farmer feed
+const SEVERITY_RANK: Record<AlertSeverity, number> = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+
+// What an expert types for an advisory that applies everywhere
+const NATIONWIDE_WORDS = ["all", "all regions", "nationwide", "national", "ethiopia"];
+const NATIONWIDE_LABEL = "All regions";
+
+/**
+ * Error raised for an invalid advisory, with location suggestions when the place wasn't recognised.
+ */
+export class AdvisoryError extends HttpError {
+  constructor(message: string, statusCode = 400, suggestions?: Place[]) {
+    super(message, statusCode, suggestions && { suggestions });
+  }
+}
+
+/**
+ * Read an optional ?severity= list filter
+ *
+ * @returns The severity, or undefined when no filter was given
+ */
+export function parseSeverityFilter(value: unknown): AlertSeverity | undefined {
+  if (value === undefined || value === "") return undefined;
+
+  const level = String(value).toUpperCase() as AlertSeverity;
+  if (!SEVERITIES.includes(level)) {
+    throw new AdvisoryError(`severity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+  return level;
+}
+
+/**
+ * Where an advisory applies
+ */
+export interface AdvisoryScope {
+  location: string;
+  region: string | null;
+  zone: string | null;
+  placeId: string | null;
+}
+
+/**
+ * HELPER FUNCTION: Find a region or zone name from the gazetteer, ignoring case
+ */
+function findRegion(name: string): string | null {
+  const value = name.trim().toLowerCase();
+  const place = GAZETTEER.find((candidate: Place) => candidate.region.toLowerCase() === value);
+  return place ? place.region : null;
+}
+
+function findZone(name: string, region: string | null): Place | null {
+  const value = name.trim().toLowerCase();
+  return GAZETTEER.find((candidate: Place) =>
+    candidate.zone.toLowerCase() === value && (!region || candidate.region === region)
+  ) || null;
+}
+
+/**
+ * Work out where an advisory applies from the request body
+ *
+ * @param body - `placeId`, or `region` (optionally with `zone`), or `location` text
+ * @returns The scope columns, or null when none of them was sent
+ *
+ * EXPLANATION:
+ * An advisory can target one place, a zone, a region or the whole country.
+ * Location text is tried as "nationwide", then as a region or zone name,
+ * then as a town (same matching as profile locations).
+ */
+export function parseAdvisoryScope(body: any): AdvisoryScope | null {
+  const { placeId, region, zone, location } = body || {};
+
+  if (placeId) {
+    const place = getPlace(String(placeId));
+    if (!place) {
+      throw new AdvisoryError("Unknown placeId, pick a place from /api/locations");
+    }
+    return { location: formatPlace(place), region: place.region, zone: place.zone, placeId: place.id };
+  }
+
+  if (region || zone) {
+    const regionName = region ? findRegion(String(region)) : null;
+    if (region && !regionName) {
+      throw new AdvisoryError(`Unknown region "${region}"`);
+    }
+
+    if (!zone) {
+      return { location: regionName!, region: regionName, zone: null, placeId: null };
+    }
+
+    const zonePlace = findZone(String(zone), regionName);
+    if (!zonePlace) {
+      throw new AdvisoryError(`Unknown zone "${zone}"${regionName ? ` in ${regionName}` : ""}`);
+    }
+    return {
+      location: `${zonePlace.zone}, ${zonePlace.region}`,
+      region: zonePlace.region,
+      zone: zonePlace.zone,
+      placeId: null
+    };
+  }
+
+  if (location === undefined || location === null) return null;
+
+  const text = String(location).trim();
+  if (!text || NATIONWIDE_WORDS.includes(text.toLowerCase())) {
+    return { location: NATIONWIDE_LABEL, region: null, zone: null, placeId: null };
+  }
+
+  const regionName = findRegion(text);
+  if (regionName) {
+    return { location: regionName, region: regionName, zone: null, placeId: null };
+  }
+
+  const zonePlace = findZone(text, null);
+  if (zonePlace) {
+    return { location: `${zonePlace.zone}, ${zonePlace.region}`, region: zonePlace.region, zone: zonePlace.zone, placeId: null };
+  }
+
+  const place = resolvePlace(text);
+  if (place) {
+    return { location: formatPlace(place), region: place.region, zone: place.zone, placeId: place.id };
+  }
+
+  throw new AdvisoryError(
+    `We couldn't find "${text}". Use a region, a zone, a town from /api/locations or "${NATIONWIDE_LABEL}"`,
+    400,
+    searchPlaces(text, 5)
+  );
+}
+
+/**
+ * HELPER FUNCTION: Trimmed, non-empty strings without duplicates
+ */
+function cleanList(value: unknown, field: string): string[] {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new AdvisoryError(`${field} must be a list`);
+  }
+
+  const seen = new Set<string>();
+  const items: string[] = [];
+
+  for (const item of value) {
+    const text = String(item ?? "").trim();
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    items.push(text);
+  }
+
+  return items;
+}
+
+/**
+ * Validate an advisory create / update body
+ *
+ * @param body - Request body
+ * @param partial - true for updates (only the fields sent are checked and returned)
+ * @returns The columns to store
+ */
+export function parseAdvisoryInput(body: any, partial = false): Prisma.AdvisoryUncheckedUpdateInput {
+  const data: Prisma.AdvisoryUncheckedUpdateInput = {};
+  const {
+    title,
+    description,
+    advisoryType,
+    severity,
+    affectedCrops,
+    recommendations,
+    expiresAt,
+    isActive
+  } = body || {};
+
+  if (!partial || title !== undefined) {
+    if (!title || !String(title).trim()) throw new AdvisoryError("Title is required");
+    data.title = String(title).trim();
+  }
+
+  if (!partial || description !== undefined) {
+    if (!description || !String(description).trim()) throw new AdvisoryError("Description is required");
+    data.description = String(description).trim();
+  }
+
+  if (!partial || advisoryType !== undefined) {
+    const type = String(advisoryType || "").toLowerCase();
+    if (!ADVISORY_TYPES.includes(type as AdvisoryType)) {
+      throw new AdvisoryError(`advisoryType must be one of: ${ADVISORY_TYPES.join(", ")}`);
+    }
+    data.advisoryType = type;
+  }
+
+  if (!partial || severity !== undefined) {
+    const level = String(severity || "").toUpperCase() as AlertSeverity;
+    if (!SEVERITIES.includes(level)) {
+      throw new AdvisoryError(`severity must be one of: ${SEVERITIES.join(", ")}`);
+    }
+    data.severity = level;
+  }
+
+  if (!partial || affectedCrops !== undefined) data.affectedCrops = cleanList(affectedCrops, "affectedCrops");
+  if (!partial || recommendations !== undefined) data.recommendations = cleanList(recommendations, "recommendations");
+
+  if (expiresAt !== undefined) {
+    if (expiresAt === null || expiresAt === "") {
+      data.expiresAt = null;
+    } else {
+      const date = new Date(expiresAt);
+      if (isNaN(date.getTime())) throw new AdvisoryError("expiresAt must be a date");
+      if (date <= new Date()) throw new AdvisoryError("expiresAt must be in the future");
+      data.expiresAt = date;
+    }
+  }
+
+  if (isActive !== undefined) data.isActive = Boolean(isActive);
+
+  const scope = parseAdvisoryScope(body);
+  if (scope) {
+    Object.assign(data, scope);
+  } else if (!partial) {
+    throw new AdvisoryError(`A location is required (a region, zone, placeId or "${NATIONWIDE_LABEL}")`);
+  }
+
+  return data;
+}
+
+/**
+ * Prisma filter for advisories a farmer can currently see
+ */
+export function activeAdvisoryFilter(now = new Date()): Prisma.AdvisoryWhereInput {
+  return {
+    isActive: true,
+    OR: [{ expiresAt: null }, { expiresAt: { gt: now } }]
+  };
+}
+
+/**
+ * HELPER FUNCTION: The farmer's crops an advisory is about
+ *
+ * @returns The matching crop names; every crop for advisories without affectedCrops
+ */
+function matchCrops(affectedCrops: string[], crops: string[]): string[] {
+  if (affectedCrops.length === 0) return crops;
+
+  const keywords = affectedCrops.map((crop) => crop.toLowerCase());
+  return crops.filter((crop) => keywords.some((keyword) => crop.toLowerCase().includes(keyword)));
+}
+
+/**
+ * Advisories for a farmer's location and crops
+ *
+ * @param farmerId - The farmer
+ * @param filters - Optional severity / advisoryType
+ * @returns Active, unexpired advisories, most severe and newest first,
+ *   each with the farmer's crops it matched
+ *
+ * EXPLANATION:
+ * The location is matched in the database: each of region / zone / placeId
+ * on the advisory must be empty or equal to the farmer's. Crops are matched
+ * afterwards like weather alerts: "maize" matches a listing named "White Maize".
+ * Farmers who haven't picked a place only see nationwide advisories.
+ */
+export async function getFarmerAdvisories(
+  farmerId: string,
+  filters: { severity?: AlertSeverity; advisoryType?: string } = {}
+) {
+  const farmer = await prisma.user.findUnique({
+    where: { id: farmerId },
+    select: {
+      region: true,
+      zone: true,
+      placeId: true,
+      produce: { select: { name: true }, distinct: ["name"] }
+    }
+  });
+
+  if (!farmer) return [];
+
+  const crops = farmer.produce.map((produce: { name: string }) => produce.name);
+  const sameOrAny = (field: "region" | "zone" | "placeId", value: string | null) =>
+    value ? { OR: [{ [field]: null }, { [field]: value }] } : { [field]: null };
+
+  const advisories = await prisma.advisory.findMany({
+    where: {
+      AND: [
+        activeAdvisoryFilter(),
+        sameOrAny("region", farmer.region),
+        sameOrAny("zone", farmer.zone),
+        sameOrAny("placeId", farmer.placeId),
+        ...(filters.severity ? [{ severity: filters.severity }] : []),
+        ...(filters.advisoryType ? [{ advisoryType: filters.advisoryType }] : [])
+      ]
+    },
+    include: {
+      expert: { select: { id: true, name: true, image: true } }
+    },
+    orderBy: { createdAt: "desc" }
+  });
+
+  type AdvisoryRow = (typeof advisories)[number];
+
+  return advisories
+    .map((advisory: AdvisoryRow) => ({ ...advisory, matchedCrops: matchCrops(advisory.affectedCrops, crops) }))
+    .filter((advisory: AdvisoryRow & { matchedCrops: string[] }) =>
+      advisory.affectedCrops.length === 0 || advisory.matchedCrops.length > 0
+    )
+    .sort((a: { severity: AlertSeverity }, b: { severity: AlertSeverity }) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+}
+
+/**
+ * Prisma filter for the farmers an advisory applies to
+ */
+export function matchedFarmersFilter(advisory: {
+  region: string | null;
+  zone: string | null;
+  placeId: string | null;
+  affectedCrops: string[];
+}): Prisma.UserWhereInput {
+  return {
+    role: "FARMER",
+    ...activeAccountFilter(),
+    ...(advisory.region && { region: advisory.region }),
+    ...(advisory.zone && { zone: advisory.zone }),
+    ...(advisory.placeId && { placeId: advisory.placeId }),
+    ...(advisory.affectedCrops.length > 0 && {
+      produce: {
+        some: {
+          OR: advisory.affectedCrops.map((crop) => ({ name: { contains: crop, mode: "insensitive" as const } }))
+        }
+      }
+    })
+  };
+}
+
+/**
+ * Notify matched farmers about a high or critical advisory
+ *
+ * @returns How many farmers were notified
+ *
+ * EXPLANATION:
+ * Called after an advisory is created or edited. Farmers who were already
+ * notified about it are skipped, so an edit only reaches farmers who match
+ * for the first time (a wider area, another crop, or a raised severity).
+ * Inactive, expired and LOW / MEDIUM advisories notify nobody.
+ */
+export async function notifyAdvisoryFarmers(advisoryId: string): Promise<number> {
+  const advisory = await prisma.advisory.findFirst({
+    where: { id: advisoryId, ...activeAdvisoryFilter() }
+  });
+
+  if (!advisory || (advisory.severity !== "HIGH" && advisory.severity !== "CRITICAL")) return 0;
+
+  const [farmers, alreadyNotified] = await Promise.all([
+    prisma.user.findMany({
+      where: matchedFarmersFilter(advisory),
+      select: { id: true }
+    }),
+    prisma.notification.findMany({
+      where: { type: "advisory", metadata: { path: ["advisoryId"], equals: advisory.id } },
+      select: { userId: true }
+    })
+  ]);
+
+  const notified = new Set(alreadyNotified.map((notification: { userId: string }) => notification.userId));
+  let sent = 0;
+
+  for (const farmer of farmers as { id: string }[]) {
+    if (notified.has(farmer.id)) continue;
+
+    const notification = await createNotification({
+      userId: farmer.id,
+      type: "advisory",
+      title: `${advisory.severity === "CRITICAL" ? "Critical" : "Important"} advisory: ${advisory.title}`,
+      message: advisory.recommendations[0]
+        ? `${advisory.description} Recommended: ${advisory.recommendations[0]}`
+        : advisory.description,
+      metadata: { advisoryId: advisory.id, severity: advisory.severity, advisoryType: advisory.advisoryType }
+    });
+    if (notification) sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Send advisory notifications without holding up the response
+ */
+export function queueAdvisoryNotifications(advisoryId: string) {
+  notifyAdvisoryFarmers(advisoryId)
+    .then((sent) => {
+      if (sent > 0) console.log(`📢 Advisory ${advisoryId} sent to ${sent} farmers`);
+    })
+    .catch((error) => {
+      console.error("❌ Failed to send advisory notifications:", error);
+    });
+}
@@ -0,0 +1,354 @@
+import { randomUUID } from "crypto";
+import { mkdir, unlink, writeFile } from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { MessageType } from "@prisma/client";
+import { prisma } from "./prisma";
+import { signValue, verifySignature } from "./signing";
+import { HttpError } from "./httpError";
+
+// Where uploaded files are kept (chat files go in the chat/ folder)
+export const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+export const MAX_ATTACHMENT_BYTES = (Number(process.env.CHAT_ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// Longest side of an image thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// How long a download link works; clients get fresh links with every message list
+const URL_TTL_SECONDS = Number(process.env.ATTACHMENT_URL_TTL_SECONDS) || 60 * 60;
+
+// Uploads that were never sent are deleted after a day
+const ORPHAN_AFTER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for a file that can't be uploaded or sent.
+ */
+export class AttachmentError extends HttpError {}
+
+interface AttachmentKind {
+  mimeType: string;
+  extension: string;
+  image: boolean;
+  // Check the file's first bytes (and name, for formats that share a signature)
+  matches: (buffer: Buffer, extension: string) => boolean;
+}
+
+const startsWith = (buffer: Buffer, bytes: number[] | string, offset = 0) => {
+  const signature = typeof bytes === "string" ? Buffer.from(bytes, "latin1") : Buffer.from(bytes);
+  return buffer.subarray(offset, offset + signature.length).equals(signature);
+};
+
+// Zip containers: .docx and .xlsx are told apart by their name only
+const isZip = (buffer: Buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]);
+
+const isText = (buffer: Buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The files we accept, recognised by their content (the browser's Content-Type
+ * and the file name alone can't be trusted)
+ */
+const ATTACHMENT_KINDS: AttachmentKind[] = [
+  { mimeType: "image/jpeg", extension: ".jpg", image: true, matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mimeType: "image/png", extension: ".png", image: true, matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: "image/webp", extension: ".webp", image: true, matches: (buffer) => startsWith(buffer, "RIFF") && startsWith(buffer, "WEBP", 8) },
+  { mimeType: "application/pdf", extension: ".pdf", image: false, matches: (buffer) => startsWith(buffer, "%PDF-") },
+  {
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: ".docx",
+    image: false,
+    matches: (buffer, extension) => isZip(buffer) && extension === ".docx"
+  },
+  {
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: ".xlsx",
+    image: false,
+    matches: (buffer, extension) => isZip(buffer) && extension === ".xlsx"
+  },
+  { mimeType: "text/csv", extension: ".csv", image: false, matches: (buffer, extension) => extension === ".csv" && isText(buffer) },
+  { mimeType: "text/plain", extension: ".txt", image: false, matches: (buffer, extension) => extension === ".txt" && isText(buffer) }
+];
+
+const ALLOWED_DESCRIPTION = "JPEG, PNG or WebP photos and PDF, Word (.docx), Excel (.xlsx), CSV or text files";
+
+/**
+ * What kind of file this is, or null if we don't accept it
+ */
+export function detectAttachmentKind(buffer: Buffer, fileName: string): AttachmentKind | null {
+  const extension = path.extname(fileName).toLowerCase();
+  return ATTACHMENT_KINDS.find((kind) => kind.matches(buffer, extension)) || null;
+}
+
+/**
+ * HELPER FUNCTION: A file name that is safe to store and show
+ *
+ * Keeps the base name without folders or control characters, and makes the
+ * extension match what the file really is.
+ */
+function cleanFileName(fileName: string, kind: AttachmentKind): string {
+  const base = path.basename(fileName.replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim();
+  const stem = base.slice(0, base.length - path.extname(base).length).slice(0, 100) || "file";
+  return `${stem}${kind.extension}`;
+}
+
+/**
+ * Path of a stored file on disk
+ */
+export function attachmentPath(storageKey: string): string {
+  return path.join(UPLOAD_ROOT, storageKey);
+}
+
+/**
+ * Save an uploaded file to a conversation, ready to be sent
+ *
+ * @param input - Who uploads, to which conversation, and the file
+ * @returns The chat_attachment row (not linked to a message yet)
+ *
+ * EXPLANATION:
+ * The uploader must be in the conversation. The file type is taken from its
+ * content, not from what the browser says. Photos are re-encoded: turned
+ * upright and stripped of their metadata (phone photos carry the GPS
+ * position of the farm), and get a small WebP thumbnail for the chat list.
+ */
+export async function storeAttachment(input: {
+  uploaderId: string;
+  conversationId: string;
+  fileName: string;
+  buffer: Buffer;
+}) {
+  const participant = await prisma.conversationParticipant.findFirst({
+    where: { conversationId: input.conversationId, userId: input.uploaderId },
+    select: { id: true }
+  });
+
+  if (!participant) {
+    throw new AttachmentError("Conversation not found", 404);
+  }
+
+  if (input.buffer.length === 0) {
+    throw new AttachmentError("The file is empty");
+  }
+  if (input.buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`Files can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`, 413);
+  }
+
+  const kind = detectAttachmentKind(input.buffer, input.fileName);
+  if (!kind) {
+    throw new AttachmentError(`Only ${ALLOWED_DESCRIPTION} can be sent`, 415);
+  }
+
+  let data = input.buffer;
+  let thumbnail: Buffer | null = null;
+  let width: number | null = null;
+  let height: number | null = null;
+
+  if (kind.image) {
+    try {
+      const result = await sharp(input.buffer).rotate().toBuffer({ resolveWithObject: true });
+      data = result.data;
+      width = result.info.width;
+      height = result.info.height;
+
+      thumbnail = await sharp(data)
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+    } catch (error) {
+      throw new AttachmentError("The image could not be read", 415);
+    }
+  }
+
+  const name = randomUUID();
+  const folder = path.posix.join("chat", input.conversationId);
+  const storageKey = path.posix.join(folder, `${name}${kind.extension}`);
+  const thumbnailKey = thumbnail ? path.posix.join(folder, `${name}_thumb.webp`) : null;
+
+  await mkdir(attachmentPath(folder), { recursive: true });
+  await writeFile(attachmentPath(storageKey), data);
+  if (thumbnail && thumbnailKey) await writeFile(attachmentPath(thumbnailKey), thumbnail);
+
+  try {
+    return await prisma.chatAttachment.create({
+      data: {
+        uploaderId: input.uploaderId,
+        conversationId: input.conversationId,
+        type: kind.image ? "IMAGE" : "FILE",
+        fileName: cleanFileName(input.fileName, kind),
+        mimeType: kind.mimeType,
+        size: data.length,
+        storageKey,
+        thumbnailKey,
+        width,
+        height
+      }
+    });
+  } catch (error) {
+    await removeAttachmentFiles({ storageKey, thumbnailKey });
+    throw error;
+  }
+}
+
+/**
+ * Take uploaded attachments for a new message
+ *
+ * @param attachmentIds - Ids from the upload endpoint, as sent by the client
+ * @returns The attachments in the order given (empty when none)
+ *
+ * Each must be the sender's own upload to this conversation and not sent yet.
+ */
+export async function findSendableAttachments(
+  attachmentIds: unknown,
+  uploaderId: string,
+  conversationId: string
+) {
+  if (attachmentIds === undefined || attachmentIds === null) return [];
+
+  if (!Array.isArray(attachmentIds) || attachmentIds.some((id) => typeof id !== "string")) {
+    throw new AttachmentError("attachmentIds must be a list of attachment ids");
+  }
+
+  const ids = [...new Set(attachmentIds as string[])];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new AttachmentError(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+  }
+  if (ids.length === 0) return [];
+
+  const attachments = await prisma.chatAttachment.findMany({
+    where: { id: { in: ids }, uploaderId, conversationId, messageId: null }
+  });
+
+  if (attachments.length !== ids.length) {
+    throw new AttachmentError("Some attachments were not found or were already sent");
+  }
+
+  return ids.map((id) => attachments.find((attachment: { id: string }) => attachment.id === id)!);
+}
+
+export type AttachmentVariant = "original" | "thumbnail";
+
+/**
+ * A download link for an attachment that works for URL_TTL_SECONDS
+ *
+ * Signed, so it can be used in an <img> tag without the session cookie but
+ * can't be guessed or changed to reach another file.
+ */
+export function attachmentUrl(attachmentId: string, variant: AttachmentVariant = "original"): string {
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+  const signature = signValue(`${attachmentId}:${variant}:${expires}`);
+  return `/api/chat/attachments/${attachmentId}?variant=${variant}&expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a download link made by attachmentUrl
+ */
+export function verifyAttachmentUrl(
+  attachmentId: string,
+  variant: AttachmentVariant,
+  expires: number,
+  signature: string
+): boolean {
+  if (!Number.isFinite(expires) || expires * 1000 < Date.now()) return false;
+  return verifySignature(`${attachmentId}:${variant}:${expires}`, signature);
+}
+
+interface StoredAttachment {
+  id: string;
+  type: MessageType;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  thumbnailKey: string | null;
+  width: number | null;
+  height: number | null;
+}
+
+/**
+ * What clients see of an attachment: details and fresh download links
+ */
+export function serializeAttachment(attachment: StoredAttachment) {
+  return {
+    id: attachment.id,
+    type: attachment.type,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    url: attachmentUrl(attachment.id),
+    thumbnailUrl: attachment.thumbnailKey ? attachmentUrl(attachment.id, "thumbnail") : null
+  };
+}
+
+/**
+ * Replace a message's attachment rows with what clients see, in the order sent
+ *
+ * Messages must be loaded with `files: true`.
+ */
+export function withAttachmentUrls<T extends { attachments: string[]; files: StoredAttachment[] }>(message: T) {
+  const order = (attachment: StoredAttachment) => message.attachments.indexOf(attachment.id);
+
+  return {
+    ...message,
+    files: [...message.files]
+      .sort((a, b) => order(a) - order(b))
+      .map(serializeAttachment)
+  };
+}
+
+async function removeAttachmentFiles(attachment: { storageKey: string; thumbnailKey: string | null }) {
+  for (const key of [attachment.storageKey, attachment.thumbnailKey]) {
+    if (!key) continue;
+    await unlink(attachmentPath(key)).catch((error: NodeJS.ErrnoException) => {
+      if (error.code !== "ENOENT") throw error;
+    });
+  }
+}
+
+/**
+ * Delete uploads that were never sent in a message
+ *
+ * @returns How many were deleted
+ */
+export async function deleteUnsentAttachments(now = new Date()): Promise<number> {
+  const unsent = await prisma.chatAttachment.findMany({
+    where: { messageId: null, createdAt: { lt: new Date(now.getTime() - ORPHAN_AFTER_MS) } },
+    select: { id: true, storageKey: true, thumbnailKey: true },
+    take: 500
+  });
+
+  for (const attachment of unsent) {
+    await removeAttachmentFiles(attachment);
+    await prisma.chatAttachment.delete({ where: { id: attachment.id } });
+  }
+
+  if (unsent.length > 0) {
+    console.log(`🧹 Deleted ${unsent.length} unsent chat attachments`);
+  }
+  return unsent.length;
+}
+
+/**
+ * Start the hourly clean-up of unsent attachments
+ */
+export function startAttachmentCleanup() {
+  const run = () => {
+    deleteUnsentAttachments().catch((error: unknown) => {
+      console.error("❌ Attachment clean-up failed:", error);
+    });
+  };
+
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, 60 * 60 * 1000).unref();
+  console.log("🧹 Chat attachment clean-up scheduled");
+}
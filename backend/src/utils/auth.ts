@@ -1,7 +1,11 @@
 import { betterAuth } from "better-auth";
 import { prismaAdapter } from "better-auth/adapters/prisma";
+import { APIError } from "better-auth/api";
 import { PrismaClient } from "@prisma/client";
 import { sendVerificationEmail, sendResetPasswordEmail, sendWelcomeEmail } from "./email";
+import { getPlace, placeToLocationFields, resolvePlace } from "./geo";
+import { accountStatusSelect, checkAccountStatus } from "./accountStatus";
+import { disconnectSession } from "./socket";
 
 const prisma = new PrismaClient();
 export const auth = betterAuth({
@@ -37,6 +41,61 @@ export const auth = betterAuth({
                 required: false,
                 input: true,
             },
+            // Canonical place picked from /api/locations
+            placeId: {
+                type: "string",
+                required: false,
+                input: true,
+            },
+            // Filled in from the gazetteer, not by the client
+            latitude: { type: "number", required: false, input: false },
+            longitude: { type: "number", required: false, input: false },
+            region: { type: "string", required: false, input: false },
+            zone: { type: "string", required: false, input: false },
+            woreda: { type: "string", required: false, input: false },
+        },
+    },
+    databaseHooks: {
+        user: {
+            create: {
+                // Geocode the signup location. Text we can't place is kept as typed
+                // (without coordinates) so signup never fails over a town name.
+                before: async (user) => {
+                    const place = (typeof user.placeId === "string" && getPlace(user.placeId))
+                        || resolvePlace(typeof user.location === "string" ? user.location : null);
+
+                    if (!place) {
+                        return { data: { ...user, placeId: null } };
+                    }
+
+                    return { data: { ...user, ...placeToLocationFields(place) } };
+                },
+            },
+        },
+        session: {
+            create: {
+                // Suspended and banned users can't log in (protectRoute checks again on every request)
+                before: async (session) => {
+                    const user = await prisma.user.findUnique({
+                        where: { id: session.userId },
+                        select: accountStatusSelect,
+                    });
+                    const restriction = user && await checkAccountStatus(user);
+
+                    if (restriction) {
+                        throw new APIError("FORBIDDEN", {
+                            message: restriction.message,
+                            code: `ACCOUNT_${restriction.status}`,
+                        });
+                    }
+                },
+            },
+            // Logging out (or revoking a session) also closes the sockets opened with it
+            delete: {
+                after: async (session) => {
+                    disconnectSession(session.id);
+                },
+            },
         },
     },
     session: {
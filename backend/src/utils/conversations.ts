@@ -0,0 +1,224 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { createNotification } from "./notifications";
+import { isUserOnline } from "./presence";
+import { AttachmentError, findSendableAttachments, withAttachmentUrls } from "./attachments";
+
+/**
+ * HELPER FUNCTION: Find or create a conversation between two users
+ * 
+ * @param userId1 - First user's ID
+ * @param userId2 - Second user's ID
+ * @returns The conversation ID
+ * 
+ * EXPLANATION:
+ * When User A wants to message User B, we need a "conversation" to store their messages.
+ * This function checks if they already have a conversation. If not, it creates one.
+ * 
+ * Think of it like: When you text a friend for the first time, your phone creates
+ * a new conversation thread automatically.
+ */
+export async function findOrCreateConversation(userId1: string, userId2: string): Promise<string> {
+  // First, try to find an existing conversation between these two users
+  const existingConversation = await prisma.conversation.findFirst({
+    where: {
+      // A conversation where BOTH users are participants
+      AND: [
+        {
+          participants: {
+            some: { userId: userId1 }
+          }
+        },
+        {
+          participants: {
+            some: { userId: userId2 }
+          }
+        }
+      ],
+      // Only look at 1-on-1 conversations, never at a group both users are in
+      isGroup: false,
+      participants: {
+        every: {
+          userId: { in: [userId1, userId2] }
+        }
+      }
+    },
+    include: {
+      participants: true
+    }
+  });
+
+  // If we found a conversation, check it has exactly 2 participants
+  if (existingConversation && existingConversation.participants.length === 2) {
+    console.log(`📋 Found existing conversation: ${existingConversation.id}`);
+    return existingConversation.id;
+  }
+
+  // No conversation exists, so create a new one
+  console.log(`🆕 Creating new conversation between ${userId1} and ${userId2}`);
+  
+  const newConversation = await prisma.conversation.create({
+    data: {
+      participants: {
+        create: [
+          { userId: userId1 },
+          { userId: userId2 }
+        ]
+      }
+    }
+  });
+
+  console.log(`✅ Created conversation: ${newConversation.id}`);
+  return newConversation.id;
+}
+
+// Sender details every chat message is sent with
+export const messageSenderSelect = {
+  id: true,
+  name: true,
+  image: true,
+  role: true
+} as const;
+
+/**
+ * HELPER FUNCTION: Save a chat message, with any uploaded attachments
+ *
+ * @param input - The conversation, sender, text and attachment ids (from POST /api/chat/attachments)
+ * @returns The message with its sender and attachment download links
+ *
+ * EXPLANATION:
+ * Used by the socket `send_message` event and the REST chat routes, which
+ * have already checked the sender is in the conversation. A message with
+ * only photos is an IMAGE message, one with any other file a FILE message.
+ * The attachments are linked in the same transaction, so one upload can't
+ * end up in two messages.
+ */
+export async function sendChatMessage(input: {
+  conversationId: string;
+  senderId: string;
+  content: string;
+  attachmentIds?: unknown;
+}) {
+  const files = await findSendableAttachments(input.attachmentIds, input.senderId, input.conversationId);
+  const attachmentIds = files.map((file: { id: string }) => file.id);
+
+  const type = files.length === 0
+    ? "TEXT"
+    : files.every((file: { type: string }) => file.type === "IMAGE") ? "IMAGE" : "FILE";
+
+  const message = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const created = await tx.message.create({
+      data: {
+        conversationId: input.conversationId,
+        senderId: input.senderId,
+        content: input.content,
+        type,
+        attachments: attachmentIds
+      }
+    });
+
+    if (attachmentIds.length > 0) {
+      const linked = await tx.chatAttachment.updateMany({
+        where: { id: { in: attachmentIds }, messageId: null },
+        data: { messageId: created.id }
+      });
+      if (linked.count !== attachmentIds.length) {
+        throw new AttachmentError("Some attachments were already sent");
+      }
+    }
+
+    // Update the conversation's last message timestamp
+    await tx.conversation.update({
+      where: { id: input.conversationId },
+      data: { updatedAt: new Date() }
+    });
+
+    // Replying means the sender has read everything up to their own message
+    await tx.conversationParticipant.updateMany({
+      where: { conversationId: input.conversationId, userId: input.senderId },
+      data: { lastReadMessageId: created.id, lastReadAt: new Date() }
+    });
+
+    return tx.message.findUniqueOrThrow({
+      where: { id: created.id },
+      include: {
+        sender: { select: messageSenderSelect },
+        files: true
+      }
+    });
+  });
+
+  return withAttachmentUrls(message);
+}
+
+/**
+ * HELPER FUNCTION: Notify the other participants about a new chat message
+ *
+ * @param conversationId - Where the message was sent
+ * @param message - The saved message
+ *
+ * EXPLANATION:
+ * Users who are online already get the message live ("new_message"), so only
+ * offline participants get a notification (and an email, if they allow it).
+ * While an earlier message notification for the same conversation is still
+ * unread we don't add another one, so a burst of messages is one notification.
+ */
+export async function notifyNewMessage(
+  conversationId: string,
+  message: { id: string; content: string; senderId: string; type?: string }
+) {
+  const participants = await prisma.conversationParticipant.findMany({
+    where: { conversationId, userId: { not: message.senderId } },
+    select: { userId: true }
+  });
+
+  const offline = (participants as { userId: string }[]).filter(({ userId }) => !isUserOnline(userId));
+  if (offline.length === 0) return;
+
+  const [sender, conversation] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: message.senderId },
+      select: { name: true }
+    }),
+    prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { isGroup: true, title: true }
+    })
+  ]);
+
+  const title = conversation?.isGroup
+    ? `New message from ${sender?.name || "a user"} in ${conversation.title || "a group"}`
+    : `New message from ${sender?.name || "a user"}`;
+
+  for (const { userId } of offline) {
+
+    const pending = await prisma.notification.findFirst({
+      where: {
+        userId,
+        type: "message",
+        isRead: false,
+        metadata: { path: ["conversationId"], equals: conversationId }
+      },
+      select: { id: true }
+    });
+    if (pending) continue;
+
+    await createNotification({
+      userId,
+      type: "message",
+      title,
+      message: messagePreview(message),
+      metadata: { conversationId, messageId: message.id, senderId: message.senderId }
+    });
+  }
+}
+
+/**
+ * HELPER FUNCTION: Short text for a message in a notification
+ */
+function messagePreview(message: { content: string; type?: string }): string {
+  if (!message.content) {
+    return message.type === "IMAGE" ? "📷 Sent a photo" : "📎 Sent a file";
+  }
+  return message.content.length > 140 ? `${message.content.slice(0, 137)}...` : message.content;
+}
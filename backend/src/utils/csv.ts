@@ -0,0 +1,81 @@
+/**
+ * Minimal CSV reading / writing (RFC 4180 style)
+ *
+ * Handles quoted fields, "" escapes, commas and newlines inside quotes,
+ * and both \n and \r\n line endings. Good enough for spreadsheet exports.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * Blank lines are skipped. A leading byte order mark (Excel adds one) is ignored.
+ */
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a value for CSV output when it needs it
+ */
+function escapeCsvField(value: unknown): string {
+  if (value === null || value === undefined) return "";
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header and rows of values
+ */
+export function toCsv(header: string[], rows: unknown[][]): string {
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsvField).join(","))
+    .join("\r\n") + "\r\n";
+}
@@ -0,0 +1,657 @@
+import { Prisma, UserRole } from "@prisma/client";
+import { prisma } from "./prisma";
+import { activeAccountFilter } from "./accountStatus";
+import { DigestContent, DigestItem, DigestSection, sendWeeklyDigestEmail } from "./email";
+import { MetricWindow, compare, getBuyerMetrics, getExpertMetrics, getFarmerMetrics, resolveMetricWindow } from "./metrics";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Digests go out by Ethiopian local time
+const DIGEST_TIMEZONE = "Africa/Addis_Ababa";
+
+// Day (1 = Monday ... 7 = Sunday) and hour the digests become due
+const SEND_WEEKDAY = Number(process.env.WEEKLY_DIGEST_WEEKDAY) || 1;
+const SEND_HOUR = Number(process.env.WEEKLY_DIGEST_HOUR ?? 7);
+
+const CHECK_INTERVAL_MINUTES = 60;
+
+// A digest still SENDING after this long was claimed by a run that died; it can be taken again
+const CLAIM_LEASE_MINUTES = 30;
+
+// How far back to look for the market price a week ago
+const PRICE_LOOKBACK_DAYS = 30;
+
+const DIGEST_ROLES: UserRole[] = ["FARMER", "BUYER", "EXPERT"];
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * What the next digest compares against, stored with each sent digest
+ */
+interface DigestSnapshot {
+  favoritePrices?: Record<string, number>;
+  articleViews?: Record<string, number>;
+}
+
+interface DigestUser {
+  id: string;
+  name: string | null;
+  role: UserRole;
+  region: string | null;
+}
+
+interface CropPriceMove {
+  cropName: string;
+  region: string;
+  unit: string;
+  from: number;
+  to: number;
+  changePercent: number | null;
+}
+
+export interface BuiltDigest {
+  content: DigestContent;
+  snapshot: DigestSnapshot;
+}
+
+/**
+ * The digest week a moment falls in, in Addis Ababa time
+ *
+ * @returns weekKey (ISO week, "2026-W42"), the weekday (1 = Monday) and hour
+ *
+ * EXPLANATION:
+ * ISO weeks start on Monday and belong to the year their Thursday is in,
+ * so 2026-12-31 (a Thursday) is 2026-W53 and 2027-01-01 is too.
+ */
+export function digestWeek(now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: DIGEST_TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+      weekday: "short"
+    }).formatToParts(now).map((part) => [part.type, part.value])
+  );
+
+  const weekday = WEEKDAYS.indexOf(parts.weekday) + 1;
+  const localDate = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day));
+  const thursday = new Date(localDate + (4 - weekday) * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday.getTime() - yearStart) / DAY_MS + 1) / 7);
+
+  return {
+    weekKey: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`,
+    weekday,
+    hour: Number(parts.hour)
+  };
+}
+
+/**
+ * Whether this week's digests are due (the send day and hour have passed)
+ */
+export function isDigestDue(now = new Date()): boolean {
+  const { weekday, hour } = digestWeek(now);
+  return weekday > SEND_WEEKDAY || (weekday === SEND_WEEKDAY && hour >= SEND_HOUR);
+}
+
+function formatMoney(value: number): string {
+  return `${Math.round(value).toLocaleString("en-US")} ETB`;
+}
+
+function formatDay(date: Date): string {
+  return date.toLocaleDateString("en-GB", { day: "numeric", month: "short", timeZone: DIGEST_TIMEZONE });
+}
+
+function formatPercent(value: number | null): string {
+  return value === null ? "" : ` (${value > 0 ? "+" : ""}${value}%)`;
+}
+
+function within(window: MetricWindow, range: "current" | "previous") {
+  return { gte: window[range].from, lt: window[range].to };
+}
+
+/**
+ * HELPER FUNCTION: How market prices of the farmer's crops moved this week
+ *
+ * @param crops - The farmer's produce names ("White Teff" matches the market's "Teff")
+ * @param region - The farmer's region; its prices are preferred over National ones
+ * @param since - Start of the week
+ * @returns One move per crop, biggest moves first
+ *
+ * EXPLANATION:
+ * For every crop / region / unit series we compare the last price seen before
+ * the week started with the latest price this week. Series without a new price
+ * this week didn't move and are left out.
+ */
+async function getCropPriceMoves(crops: string[], region: string | null, since: Date): Promise<CropPriceMove[]> {
+  if (crops.length === 0) return [];
+
+  const marketCrops = await prisma.marketPrice.findMany({
+    select: { cropName: true },
+    distinct: ["cropName"]
+  });
+
+  const lowerCrops = crops.map((crop) => crop.toLowerCase());
+  const cropNames = marketCrops
+    .map((row: { cropName: string }) => row.cropName)
+    .filter((name: string) => lowerCrops.some((crop) => crop.includes(name.toLowerCase()) || name.toLowerCase().includes(crop)));
+
+  if (cropNames.length === 0) return [];
+
+  const history = await prisma.marketPriceHistory.findMany({
+    where: {
+      cropName: { in: cropNames },
+      observedAt: { gte: new Date(since.getTime() - PRICE_LOOKBACK_DAYS * DAY_MS) }
+    },
+    select: { cropName: true, price: true, unit: true, region: true, observedAt: true },
+    orderBy: { observedAt: "asc" }
+  });
+
+  type Observation = { cropName: string; price: number; unit: string; region: string; observedAt: Date };
+
+  const series = new Map<string, Observation[]>();
+  for (const row of history as Observation[]) {
+    const key = [row.cropName, row.region, row.unit].join("|");
+    series.set(key, [...(series.get(key) || []), row]);
+  }
+
+  const movesByCrop = new Map<string, CropPriceMove>();
+
+  for (const observations of series.values()) {
+    const before = observations.filter((row) => row.observedAt < since);
+    const thisWeek = observations.filter((row) => row.observedAt >= since);
+    const start = before[before.length - 1] || (thisWeek.length > 1 ? thisWeek[0] : undefined);
+    const end = thisWeek[thisWeek.length - 1];
+    if (!start || !end) continue;
+
+    const move: CropPriceMove = {
+      cropName: end.cropName,
+      region: end.region,
+      unit: end.unit,
+      from: start.price,
+      to: end.price,
+      changePercent: compare(end.price, start.price).changePercent
+    };
+
+    // The farmer's own region beats National, which beats any other region
+    const rank = (value: string) => (value === region ? 0 : value === "National" ? 1 : 2);
+    const existing = movesByCrop.get(move.cropName);
+    if (!existing || rank(move.region) < rank(existing.region)) {
+      movesByCrop.set(move.cropName, move);
+    }
+  }
+
+  return [...movesByCrop.values()]
+    .sort((a, b) => Math.abs(b.changePercent ?? 0) - Math.abs(a.changePercent ?? 0));
+}
+
+/**
+ * Farmer digest: sales, orders, listing views, crop prices and weather risk
+ */
+async function buildFarmerDigest(user: DigestUser, window: MetricWindow): Promise<BuiltDigest> {
+  const produce = await prisma.produce.findMany({
+    where: { farmerId: user.id },
+    select: { id: true, name: true }
+  });
+  const produceIds = produce.map((item: { id: string }) => item.id);
+  const crops = [...new Set(produce.map((item: { name: string }) => item.name))] as string[];
+
+  const [metrics, viewsThisWeek, viewsLastWeek, inquiries, topListings, priceMoves, weatherRisks] = await Promise.all([
+    getFarmerMetrics(user.id, window),
+    prisma.listingEvent.count({ where: { produceId: { in: produceIds }, type: "VIEW", createdAt: within(window, "current") } }),
+    prisma.listingEvent.count({ where: { produceId: { in: produceIds }, type: "VIEW", createdAt: within(window, "previous") } }),
+    prisma.listingEvent.count({ where: { produceId: { in: produceIds }, type: "INQUIRY", createdAt: within(window, "current") } }),
+    prisma.listingEvent.groupBy({
+      by: ["produceId"],
+      where: { produceId: { in: produceIds }, type: "VIEW", createdAt: within(window, "current") },
+      _count: { produceId: true },
+      orderBy: { _count: { produceId: "desc" } },
+      take: 3
+    }),
+    getCropPriceMoves(crops, user.region, window.current.from),
+    prisma.weatherAlert.findMany({
+      where: { farmerId: user.id, expiresAt: { gt: window.current.to } },
+      orderBy: [{ severity: "desc" }, { expiresAt: "asc" }],
+      take: 5
+    })
+  ]);
+
+  const views = compare(viewsThisWeek, viewsLastWeek);
+  const nameById = new Map(produce.map((item: { id: string; name: string }) => [item.id, item.name]));
+
+  const sections: DigestSection[] = [
+    {
+      title: "Sales",
+      stats: [
+        { label: "Revenue", value: formatMoney(metrics.revenue.current), changePercent: metrics.revenue.changePercent },
+        { label: "Orders", value: String(metrics.orders.current), changePercent: metrics.orders.changePercent },
+        { label: "New listings", value: String(metrics.listings.current), changePercent: metrics.listings.changePercent }
+      ]
+    },
+    {
+      title: "Interest in your listings",
+      stats: [
+        { label: "Views", value: String(views.current), changePercent: views.changePercent },
+        { label: "Buyer inquiries", value: String(inquiries) }
+      ],
+      items: topListings.map((row: { produceId: string; _count: { produceId: number } }) => ({
+        text: `${nameById.get(row.produceId) || "A listing"}: ${row._count.produceId} views`
+      }))
+    },
+    {
+      title: "Market prices for your crops",
+      items: priceMoves.slice(0, 5).map((move: CropPriceMove): DigestItem => ({
+        text: `${move.cropName} (${move.region}): ${move.from} → ${move.to} ETB/${move.unit}${formatPercent(move.changePercent)}`,
+        tone: move.to > move.from ? "good" : move.to < move.from ? "bad" : "neutral"
+      })),
+      emptyText: crops.length > 0 ? "No new market prices for your crops this week." : "List your crops to follow their market prices."
+    },
+    {
+      title: "Weather risk ahead",
+      items: weatherRisks.map((alert: { title: string; description: string; action: string | null; severity: string }): DigestItem => ({
+        text: alert.title,
+        detail: alert.action ? `${alert.description} ${alert.action}.` : alert.description,
+        tone: alert.severity === "HIGH" || alert.severity === "CRITICAL" ? "bad" : "neutral"
+      })),
+      emptyText: "No weather risks for your crops in the coming days."
+    }
+  ];
+
+  return {
+    content: {
+      subject: `Your farm this week: ${formatMoney(metrics.revenue.current)} in sales`,
+      userName: user.name || "there",
+      intro: "Here is how your farm business did over the last 7 days.",
+      period: "",
+      sections
+    },
+    snapshot: {}
+  };
+}
+
+/**
+ * Buyer digest: price drops on favourites and new listings in favourite categories
+ *
+ * Price drops compare with the prices in last week's digest, so they start
+ * from the second digest a buyer receives.
+ */
+async function buildBuyerDigest(user: DigestUser, window: MetricWindow, previous: DigestSnapshot | null): Promise<BuiltDigest> {
+  const favorites = await prisma.favorite.findMany({
+    where: { buyerId: user.id },
+    select: {
+      produce: {
+        select: {
+          id: true,
+          name: true,
+          price: true,
+          unit: true,
+          status: true,
+          categoryId: true,
+          farmer: { select: { name: true } }
+        }
+      }
+    }
+  });
+
+  type FavoriteProduce = {
+    id: string;
+    name: string;
+    price: number;
+    unit: string;
+    status: string;
+    categoryId: string;
+    farmer: { name: string | null };
+  };
+  const favoriteProduce: FavoriteProduce[] = favorites.map((favorite: { produce: FavoriteProduce }) => favorite.produce);
+  const categoryIds = [...new Set(favoriteProduce.map((produce) => produce.categoryId))];
+
+  const newListingsWhere = {
+    categoryId: { in: categoryIds },
+    status: "AVAILABLE" as const,
+    farmer: activeAccountFilter(),
+    createdAt: within(window, "current"),
+    id: { notIn: favoriteProduce.map((produce) => produce.id) }
+  };
+
+  const [metrics, newListings, newListingCount] = await Promise.all([
+    getBuyerMetrics(user.id, window),
+    prisma.produce.findMany({
+      where: newListingsWhere,
+      select: {
+        name: true,
+        price: true,
+        unit: true,
+        region: true,
+        category: { select: { name: true } },
+        farmer: { select: { name: true } }
+      },
+      orderBy: { createdAt: "desc" },
+      take: 5
+    }),
+    prisma.produce.count({ where: newListingsWhere })
+  ]);
+
+  const previousPrices = previous?.favoritePrices || {};
+  const priceDrops = favoriteProduce
+    .filter((produce) => produce.status === "AVAILABLE" && previousPrices[produce.id] !== undefined && produce.price < previousPrices[produce.id])
+    .map((produce) => ({ produce, was: previousPrices[produce.id], change: compare(produce.price, previousPrices[produce.id]) }))
+    .sort((a, b) => (a.change.changePercent ?? 0) - (b.change.changePercent ?? 0));
+
+  const sections: DigestSection[] = [
+    {
+      title: "Price drops on your favourites",
+      items: priceDrops.slice(0, 5).map(({ produce, was, change }): DigestItem => ({
+        text: `${produce.name}: ${was} → ${produce.price} ETB/${produce.unit}${formatPercent(change.changePercent)}`,
+        detail: produce.farmer.name ? `from ${produce.farmer.name}` : undefined,
+        tone: "good"
+      })),
+      emptyText: favoriteProduce.length > 0
+        ? "No price drops on your favourites this week."
+        : "Save listings as favourites to hear when their price drops."
+    },
+    {
+      title: `New in your favourite categories${newListingCount > 0 ? ` (${newListingCount})` : ""}`,
+      items: newListings.map((listing: {
+        name: string;
+        price: number;
+        unit: string;
+        region: string | null;
+        category: { name: string };
+        farmer: { name: string | null };
+      }): DigestItem => ({
+        text: `${listing.name}: ${listing.price} ETB/${listing.unit}`,
+        detail: [listing.category.name, listing.region, listing.farmer.name].filter(Boolean).join(" · ")
+      })),
+      emptyText: "No new listings in your favourite categories this week."
+    },
+    {
+      title: "Your orders",
+      stats: [
+        { label: "Orders", value: String(metrics.orders.current), changePercent: metrics.orders.changePercent },
+        { label: "Spent", value: formatMoney(metrics.spent.current), changePercent: metrics.spent.changePercent }
+      ]
+    }
+  ];
+
+  return {
+    content: {
+      subject: priceDrops.length > 0
+        ? `${priceDrops.length} of your favourites got cheaper this week`
+        : "Your weekly market update",
+      userName: user.name || "there",
+      intro: "Here is what changed on the market for you over the last 7 days.",
+      period: "",
+      sections
+    },
+    snapshot: {
+      favoritePrices: Object.fromEntries(favoriteProduce.map((produce) => [produce.id, produce.price]))
+    }
+  };
+}
+
+/**
+ * Expert digest: article views and conversations waiting for an answer
+ *
+ * Weekly views are the difference with the counts in last week's digest;
+ * the first digest shows all-time views instead.
+ */
+async function buildExpertDigest(user: DigestUser, window: MetricWindow, previous: DigestSnapshot | null): Promise<BuiltDigest> {
+  const [metrics, articles, participations] = await Promise.all([
+    getExpertMetrics(user.id, window),
+    prisma.article.findMany({
+      where: { authorId: user.id, isPublished: true },
+      select: { id: true, title: true, viewCount: true }
+    }),
+    prisma.conversationParticipant.findMany({
+      where: { userId: user.id },
+      select: {
+        conversation: {
+          select: {
+            id: true,
+            messages: {
+              orderBy: { createdAt: "desc" },
+              take: 1,
+              select: { senderId: true, createdAt: true, sender: { select: { name: true } } }
+            }
+          }
+        }
+      }
+    })
+  ]);
+
+  type ArticleViews = { id: string; title: string; viewCount: number };
+  const previousViews = previous?.articleViews;
+  const articleViews = (articles as ArticleViews[]).map((article) => ({
+    title: article.title,
+    views: previousViews ? article.viewCount - (previousViews[article.id] ?? 0) : article.viewCount
+  }));
+  const totalViews = articleViews.reduce((sum, article) => sum + Math.max(article.views, 0), 0);
+
+  type LastMessage = { senderId: string; createdAt: Date; sender: { name: string | null } };
+  const unanswered = participations
+    .map((participation: { conversation: { id: string; messages: LastMessage[] } }) => participation.conversation.messages[0])
+    .filter((message: LastMessage | undefined): message is LastMessage => !!message && message.senderId !== user.id)
+    .sort((a: LastMessage, b: LastMessage) => a.createdAt.getTime() - b.createdAt.getTime());
+
+  const now = window.current.to;
+
+  const sections: DigestSection[] = [
+    {
+      title: "Waiting for your answer",
+      stats: [{ label: "Unanswered conversations", value: String(unanswered.length) }],
+      items: unanswered.slice(0, 5).map((message: LastMessage): DigestItem => {
+        const days = Math.floor((now.getTime() - message.createdAt.getTime()) / DAY_MS);
+        return {
+          text: message.sender.name || "A farmer",
+          detail: days > 0 ? `waiting for ${days} day${days === 1 ? "" : "s"}` : "waiting since today",
+          tone: days >= 3 ? "bad" : "neutral"
+        };
+      })
+    },
+    {
+      title: previousViews ? "Article views this week" : "Article views so far",
+      stats: [
+        { label: "Views", value: String(totalViews) },
+        { label: "Articles published", value: String(metrics.articles.current), changePercent: metrics.articles.changePercent }
+      ],
+      items: articleViews
+        .filter((article) => article.views > 0)
+        .sort((a, b) => b.views - a.views)
+        .slice(0, 3)
+        .map((article): DigestItem => ({ text: `${article.title}: ${article.views} views` })),
+      emptyText: articles.length === 0 ? "Publish an article to reach more farmers." : undefined
+    },
+    {
+      title: "Your conversations",
+      stats: [
+        { label: "New conversations", value: String(metrics.conversations.current), changePercent: metrics.conversations.changePercent },
+        { label: "Messages sent", value: String(metrics.messages.current), changePercent: metrics.messages.changePercent }
+      ]
+    }
+  ];
+
+  return {
+    content: {
+      subject: unanswered.length > 0
+        ? `${unanswered.length} farmer${unanswered.length === 1 ? " is" : "s are"} waiting for your answer`
+        : "Your week on AgroTech",
+      userName: user.name || "there",
+      intro: "Here is how your advice reached farmers over the last 7 days.",
+      period: "",
+      sections
+    },
+    snapshot: {
+      articleViews: Object.fromEntries((articles as ArticleViews[]).map((article) => [article.id, article.viewCount]))
+    }
+  };
+}
+
+/**
+ * Build a user's weekly digest (without sending it)
+ *
+ * @param userId - Farmer, buyer or expert
+ * @param now - End of the week the digest covers
+ * @returns The email content and the snapshot to store, or null for other roles
+ */
+export async function buildWeeklyDigest(userId: string, now = new Date()): Promise<BuiltDigest | null> {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, name: true, role: true, region: true }
+  });
+
+  if (!user || !DIGEST_ROLES.includes(user.role)) return null;
+
+  const { weekKey } = digestWeek(now);
+  const window = resolveMetricWindow({ period: "week" }, now);
+
+  const lastDigest = await prisma.weeklyDigest.findFirst({
+    where: { userId, status: "SENT", weekKey: { not: weekKey } },
+    orderBy: { sentAt: "desc" },
+    select: { snapshot: true }
+  });
+  const previous = (lastDigest?.snapshot as DigestSnapshot | null) || null;
+
+  const digest = user.role === "FARMER"
+    ? await buildFarmerDigest(user, window)
+    : user.role === "BUYER"
+      ? await buildBuyerDigest(user, window, previous)
+      : await buildExpertDigest(user, window, previous);
+
+  digest.content.period = `${formatDay(window.current.from)} - ${formatDay(now)}`;
+  return digest;
+}
+
+/**
+ * HELPER FUNCTION: Claims last touched before this have expired (wall clock, even when a run is back-dated)
+ */
+function claimExpiry(): Date {
+  return new Date(Date.now() - CLAIM_LEASE_MINUTES * 60 * 1000);
+}
+
+/**
+ * HELPER FUNCTION: Take this week's digest for a user, so it is sent only once
+ *
+ * @returns false when it was already sent (or is being sent); a failed one is retried,
+ *   and so is one whose claim has been SENDING for longer than CLAIM_LEASE_MINUTES
+ */
+async function claimDigest(userId: string, role: UserRole, weekKey: string): Promise<boolean> {
+  try {
+    await prisma.weeklyDigest.create({
+      data: { userId, role, weekKey, status: "SENDING" }
+    });
+    return true;
+  } catch (error: any) {
+    if (error?.code !== "P2002") throw error;
+
+    const retry = await prisma.weeklyDigest.updateMany({
+      where: {
+        userId,
+        weekKey,
+        OR: [
+          { status: "FAILED" },
+          { status: "SENDING", updatedAt: { lt: claimExpiry() } }
+        ]
+      },
+      data: { status: "SENDING", error: null }
+    });
+    return retry.count > 0;
+  }
+}
+
+/**
+ * Send this week's digest to everyone who wants one and hasn't had it
+ *
+ * EXPLANATION:
+ * Recipients are farmers, buyers and experts with an active account, a verified
+ * email and weeklyReports on (users without a settings row get the default, which is on).
+ * Each digest is claimed in `weekly_digest` before sending, so restarts and
+ * overlapping runs never send the same week twice. Failed sends are retried
+ * on the next run, and so are claims left SENDING by a run that died.
+ */
+export async function runWeeklyDigests(now = new Date()) {
+  const { weekKey } = digestWeek(now);
+
+  const users = await prisma.user.findMany({
+    where: {
+      role: { in: DIGEST_ROLES },
+      emailVerified: true,
+      OR: [{ settings: { is: null } }, { settings: { weeklyReports: true } }],
+      AND: [activeAccountFilter(now)],
+      weeklyDigests: {
+        none: {
+          weekKey,
+          OR: [{ status: "SENT" }, { status: "SENDING", updatedAt: { gte: claimExpiry() } }]
+        }
+      }
+    },
+    select: { id: true, email: true, role: true }
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of users as { id: string; email: string; role: UserRole }[]) {
+    if (!(await claimDigest(user.id, user.role, weekKey))) continue;
+
+    try {
+      const digest = await buildWeeklyDigest(user.id, now);
+      if (!digest) {
+        // The role changed since the user was picked
+        await prisma.weeklyDigest.delete({ where: { userId_weekKey: { userId: user.id, weekKey } } });
+        continue;
+      }
+
+      await sendWeeklyDigestEmail(user.email, digest.content);
+
+      await prisma.weeklyDigest.update({
+        where: { userId_weekKey: { userId: user.id, weekKey } },
+        data: { status: "SENT", sentAt: new Date(), snapshot: digest.snapshot as Prisma.InputJsonValue }
+      });
+      sent++;
+    } catch (error: any) {
+      failed++;
+      console.error(`❌ Weekly digest failed for ${user.id}:`, error);
+
+      await prisma.weeklyDigest.update({
+        where: { userId_weekKey: { userId: user.id, weekKey } },
+        data: { status: "FAILED", error: String(error?.message || error).slice(0, 500) }
+      });
+    }
+  }
+
+  return { weekKey, recipients: users.length, sent, failed };
+}
+
+let digestRunning = false;
+
+/**
+ * Send the weekly digests in the background
+ *
+ * Checks every hour; once the send day and hour (WEEKLY_DIGEST_WEEKDAY,
+ * default Monday, and WEEKLY_DIGEST_HOUR, default 7, Addis Ababa time) have
+ * passed, anyone still missing this week's digest gets it. A server that was
+ * down on Monday morning catches up when it starts.
+ */
+export function startWeeklyDigestScheduler() {
+  const check = async () => {
+    if (digestRunning || !isDigestDue()) return;
+    digestRunning = true;
+
+    try {
+      const result = await runWeeklyDigests();
+      if (result.recipients > 0) {
+        console.log(`📬 Weekly digests ${result.weekKey}: ${result.sent} sent, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error("❌ Weekly digest run failed:", error);
+    } finally {
+      digestRunning = false;
+    }
+  };
+
+  setTimeout(check, 60 * 1000).unref();
+  setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+}
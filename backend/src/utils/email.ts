@@ -250,4 +250,203 @@ export const sendWelcomeEmail = async (to: string, userName: string, userRole: s
     console.error('Error in sendWelcomeEmail:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+interface NotificationEmailParams {
+  to: string;
+  title: string;
+  message: string;
+  userName?: string;
+}
+
+const escapeHtml = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export const sendNotificationEmail = async ({
+  to,
+  title,
+  message,
+  userName = 'there'
+}: NotificationEmailParams) => {
+  try {
+    const { data, error } = await resend.emails.send({
+      from: process.env.FROM_EMAIL || 'AgroTech <notifications@agrotech.com>',
+      to: [to],
+      subject: title,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #16a34a; margin: 0;">🌱 AgroTech</h1>
+          </div>
+          
+          <h2 style="color: #333; margin-bottom: 20px;">${escapeHtml(title)}</h2>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Hi ${escapeHtml(userName)},
+          </p>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 25px;">
+            ${escapeHtml(message)}
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard" 
+               style="background: #16a34a; color: white; padding: 12px 30px; text-decoration: none; 
+                      border-radius: 6px; font-weight: bold; display: inline-block;">
+              Open AgroTech
+            </a>
+          </div>
+          
+          <hr style="border: 1px solid #e5e7eb; margin: 30px 0;">
+          
+          <p style="color: #9ca3af; font-size: 14px; text-align: center;">
+            You can choose which emails you get in your notification settings.
+          </p>
+          
+          <p style="color: #9ca3af; font-size: 14px; text-align: center;">
+            © 2026 AgroTech. All rights reserved.
+          </p>
+        </div>
+      `
+    });
+
+    if (error) {
+      console.error('Error sending notification email:', error);
+      throw new Error(`Failed to send notification email: ${error.message}`);
+    }
+
+    console.log('📧 Notification email sent successfully:', data?.id);
+    return data;
+
+  } catch (error) {
+    console.error('Error in sendNotificationEmail:', error);
+    throw error;
+  }
+};
+
+export interface DigestStat {
+  label: string;
+  value: string;
+  // Change against the previous week; null when there is nothing to compare with
+  changePercent?: number | null;
+}
+
+export interface DigestItem {
+  text: string;
+  detail?: string;
+  tone?: 'good' | 'bad' | 'neutral';
+}
+
+export interface DigestSection {
+  title: string;
+  stats?: DigestStat[];
+  items?: DigestItem[];
+  // Shown when the section has no stats or items
+  emptyText?: string;
+}
+
+export interface DigestContent {
+  subject: string;
+  userName: string;
+  intro: string;
+  period: string;
+  sections: DigestSection[];
+}
+
+const TONE_COLORS = { good: '#16a34a', bad: '#dc2626', neutral: '#4b5563' };
+
+const renderChange = (changePercent: number | null | undefined) => {
+  if (changePercent === undefined) return '';
+  if (changePercent === null) return '<span style="color: #9ca3af; font-size: 12px;">new</span>';
+
+  const color = changePercent > 0 ? TONE_COLORS.good : changePercent < 0 ? TONE_COLORS.bad : TONE_COLORS.neutral;
+  const arrow = changePercent > 0 ? '▲' : changePercent < 0 ? '▼' : '•';
+  return `<span style="color: ${color}; font-size: 12px;">${arrow} ${Math.abs(changePercent)}%</span>`;
+};
+
+const renderDigestSection = (section: DigestSection) => {
+  const stats = (section.stats || []).map(stat => `
+            <td style="padding: 10px; background: #f3f4f6; border-radius: 6px; text-align: center;">
+              <div style="color: #6b7280; font-size: 12px;">${escapeHtml(stat.label)}</div>
+              <div style="color: #111827; font-size: 20px; font-weight: bold; margin: 4px 0;">${escapeHtml(stat.value)}</div>
+              ${renderChange(stat.changePercent)}
+            </td>`).join('');
+
+  const items = (section.items || []).map(item => `
+            <li style="margin-bottom: 8px; color: ${TONE_COLORS[item.tone || 'neutral']};">
+              ${escapeHtml(item.text)}
+              ${item.detail ? `<div style="color: #6b7280; font-size: 13px;">${escapeHtml(item.detail)}</div>` : ''}
+            </li>`).join('');
+
+  const empty = !stats && !items && section.emptyText
+    ? `<p style="color: #9ca3af; font-size: 14px;">${escapeHtml(section.emptyText)}</p>`
+    : '';
+
+  return `
+          <h3 style="color: #333; margin: 30px 0 12px 0;">${escapeHtml(section.title)}</h3>
+          ${stats ? `<table style="width: 100%; border-collapse: separate; border-spacing: 8px;"><tr>${stats}</tr></table>` : ''}
+          ${items ? `<ul style="padding-left: 20px; line-height: 1.5;">${items}</ul>` : ''}
+          ${empty}`;
+};
+
+/**
+ * The weekly report as HTML (also used by the preview endpoint)
+ */
+export const renderWeeklyDigest = (digest: DigestContent) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #16a34a; margin: 0;">🌱 AgroTech</h1>
+            <p style="color: #9ca3af; margin: 8px 0 0 0;">Your week: ${escapeHtml(digest.period)}</p>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Hi ${escapeHtml(digest.userName)},
+          </p>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 10px;">
+            ${escapeHtml(digest.intro)}
+          </p>
+          ${digest.sections.map(renderDigestSection).join('')}
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard" 
+               style="background: #16a34a; color: white; padding: 12px 30px; text-decoration: none; 
+                      border-radius: 6px; font-weight: bold; display: inline-block;">
+              Open Dashboard
+            </a>
+          </div>
+          
+          <hr style="border: 1px solid #e5e7eb; margin: 30px 0;">
+          
+          <p style="color: #9ca3af; font-size: 14px; text-align: center;">
+            You get this report every week. Turn off "Weekly reports" in your settings to stop it.
+          </p>
+          
+          <p style="color: #9ca3af; font-size: 14px; text-align: center;">
+            © 2026 AgroTech. All rights reserved.
+          </p>
+        </div>
+      `;
+
+export const sendWeeklyDigestEmail = async (to: string, digest: DigestContent) => {
+  try {
+    const { data, error } = await resend.emails.send({
+      from: process.env.FROM_EMAIL || 'AgroTech <reports@agrotech.com>',
+      to: [to],
+      subject: digest.subject,
+      html: renderWeeklyDigest(digest)
+    });
+
+    if (error) {
+      console.error('Error sending weekly digest email:', error);
+      throw new Error(`Failed to send weekly digest email: ${error.message}`);
+    }
+
+    console.log('📧 Weekly digest email sent successfully:', data?.id);
+    return data;
+
+  } catch (error) {
+    console.error('Error in sendWeeklyDigestEmail:', error);
+    throw error;
+  }
+};
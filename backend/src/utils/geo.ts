@@ -0,0 +1,357 @@
+import { prisma } from "./prisma";
+import { GAZETTEER, Place } from "../data/gazetteer";
+
+export type { Place } from "../data/gazetteer";
+
+/**
+ * The structured location columns stored on User (and copied to Produce)
+ */
+export interface LocationFields {
+  location: string | null;
+  placeId: string | null;
+  latitude: number | null;
+  longitude: number | null;
+  region: string | null;
+  zone: string | null;
+  woreda: string | null;
+}
+
+const EMPTY_LOCATION: LocationFields = {
+  location: null,
+  placeId: null,
+  latitude: null,
+  longitude: null,
+  region: null,
+  zone: null,
+  woreda: null
+};
+
+/**
+ * HELPER FUNCTION: Lowercase, drop punctuation and the country name
+ *
+ * "Bahir-Dar, Ethiopia" -> "bahir dar"
+ */
+function normalizeText(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s,]/gu, " ")
+    .replace(/,?\s*ethiopia\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Spellings differ a lot ("Bahirdar", "Bahr Dar"), so also compare without spaces
+function compact(text: string): string {
+  return text.replace(/[\s,]/g, "");
+}
+
+function levenshtein(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// Every spelling we know for each place, normalised once
+const PLACE_NAMES: { place: Place; names: string[] }[] = GAZETTEER.map((place: Place) => ({
+  place,
+  names: [place.name, ...place.aliases].map(normalizeText)
+}));
+
+/**
+ * Find a place by its gazetteer id
+ */
+export function getPlace(id: string): Place | null {
+  return GAZETTEER.find((place: Place) => place.id === id) || null;
+}
+
+/**
+ * Turn free text into a canonical place
+ *
+ * @param text - What the user typed, e.g. "bahirdar", "Nazret, Oromia"
+ * @returns The best matching place, or null if nothing is close enough
+ *
+ * EXPLANATION:
+ * We try, in order:
+ *   1. an exact name / alias match ("nazret" -> Adama)
+ *   2. each comma separated part on its own ("Bahir Dar, Amhara")
+ *   3. a known name appearing inside the text ("near Jimma town")
+ *   4. a close spelling, at most 2 letters off ("Hawasa" -> Hawassa)
+ */
+export function resolvePlace(text: string | null | undefined): Place | null {
+  if (!text) return null;
+
+  const query = normalizeText(text);
+  if (!query) return null;
+
+  const exact = (value: string) =>
+    PLACE_NAMES.find(({ names }) => names.some((name) => name === value || compact(name) === compact(value)));
+
+  const direct = exact(query) || query.split(",").map((part) => part.trim()).filter(Boolean).map(exact).find(Boolean);
+  if (direct) return direct.place;
+
+  // Longest names first so "Debre Markos" wins over "Markos"
+  const contained = PLACE_NAMES
+    .flatMap(({ place, names }) => names.map((name) => ({ place, name })))
+    .filter(({ name }) => name.length >= 4 && new RegExp(`(^|[\\s,])${name}($|[\\s,])`).test(query))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+  if (contained) return contained.place;
+
+  const target = compact(query.split(",")[0]);
+  if (target.length < 4) return null;
+
+  let best: { place: Place; distance: number } | null = null;
+  for (const { place, names } of PLACE_NAMES) {
+    for (const name of names) {
+      const distance = levenshtein(target, compact(name));
+      if (distance <= 2 && (!best || distance < best.distance)) {
+        best = { place, distance };
+      }
+    }
+  }
+
+  return best ? best.place : null;
+}
+
+/**
+ * Places matching a search box query, best matches first
+ *
+ * Matches town names and aliases (prefix first, then anywhere in the name),
+ * region and zone names, and close spellings.
+ */
+export function searchPlaces(query: string, limit = 10): Place[] {
+  const value = normalizeText(query || "");
+
+  if (!value) {
+    return [...GAZETTEER].sort((a: Place, b: Place) => a.name.localeCompare(b.name)).slice(0, limit);
+  }
+
+  const scored = PLACE_NAMES.map(({ place, names }) => {
+    let score = Infinity;
+
+    for (const name of names) {
+      if (name.startsWith(value)) score = Math.min(score, 0);
+      else if (name.includes(value)) score = Math.min(score, 1);
+      else if (value.length >= 4) {
+        const distance = levenshtein(compact(value), compact(name.slice(0, value.length + 1)));
+        if (distance <= 2) score = Math.min(score, 2 + distance);
+      }
+    }
+
+    if (normalizeText(place.region).startsWith(value) || normalizeText(place.zone).startsWith(value)) {
+      score = Math.min(score, 1.5);
+    }
+
+    return { place, score };
+  });
+
+  return scored
+    .filter(({ score }) => score !== Infinity)
+    .sort((a, b) => a.score - b.score || a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(({ place }) => place);
+}
+
+/**
+ * Regions with their zones and places, for cascading pickers
+ */
+export function listRegions() {
+  const regions = new Map<string, Map<string, Place[]>>();
+
+  for (const place of GAZETTEER) {
+    const zones = regions.get(place.region) || new Map<string, Place[]>();
+    zones.set(place.zone, [...(zones.get(place.zone) || []), place]);
+    regions.set(place.region, zones);
+  }
+
+  return [...regions.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([region, zones]) => ({
+      region,
+      zones: [...zones.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([zone, places]) => ({
+          zone,
+          places: places.map((place) => ({ id: place.id, name: place.name, woreda: place.woreda }))
+        }))
+    }));
+}
+
+/**
+ * Display text for a place: "Bahir Dar, Amhara"
+ */
+export function formatPlace(place: Place): string {
+  return place.name === place.region ? place.name : `${place.name}, ${place.region}`;
+}
+
+/**
+ * The columns to store for a place
+ */
+export function placeToLocationFields(place: Place): LocationFields {
+  return {
+    location: formatPlace(place),
+    placeId: place.id,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    region: place.region,
+    zone: place.zone,
+    woreda: place.woreda
+  };
+}
+
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+/**
+ * Great-circle distance between two points in kilometres (haversine formula)
+ */
+export function haversineKm(a: GeoPoint, b: GeoPoint): number {
+  const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Prisma filter for rows whose latitude/longitude fall in a box around a point
+ *
+ * The box contains the whole circle of `radiusKm`, so it is a cheap, indexed
+ * first pass; the exact distance is checked afterwards with haversineKm.
+ * A degree of latitude is ~111 km; a degree of longitude shrinks with cos(latitude).
+ */
+export function boundingBoxFilter(center: GeoPoint, radiusKm: number) {
+  const kmPerDegree = 111.32;
+  const latitudeDelta = radiusKm / kmPerDegree;
+  const longitudeDelta = radiusKm / (kmPerDegree * Math.max(Math.cos((center.latitude * Math.PI) / 180), 0.01));
+
+  return {
+    latitude: { gte: center.latitude - latitudeDelta, lte: center.latitude + latitudeDelta },
+    longitude: { gte: center.longitude - longitudeDelta, lte: center.longitude + longitudeDelta }
+  };
+}
+
+/**
+ * Validate the location part of a profile update
+ *
+ * @param body - Request body with `placeId` (preferred) and/or `location` text
+ * @returns null when neither was sent, the columns to store, or an error with suggestions
+ *
+ * EXPLANATION:
+ * Clients should send the `placeId` chosen from /api/locations. Typed text is
+ * still accepted when we can resolve it to a known place; otherwise we answer
+ * with the closest places so the user can pick one. An empty location clears it.
+ */
+export function parseLocationUpdate(body: any):
+  | null
+  | { fields: LocationFields }
+  | { error: string; suggestions: Place[] } {
+  const { placeId, location } = body || {};
+
+  if (placeId !== undefined && placeId !== null && placeId !== "") {
+    const place = getPlace(String(placeId));
+    return place
+      ? { fields: placeToLocationFields(place) }
+      : { error: "Unknown placeId, pick a place from /api/locations", suggestions: [] };
+  }
+
+  if (location === undefined) return null;
+
+  if (location === null || (typeof location === "string" && !location.trim())) {
+    return { fields: { ...EMPTY_LOCATION } };
+  }
+
+  const place = resolvePlace(String(location));
+  if (place) {
+    return { fields: placeToLocationFields(place) };
+  }
+
+  return {
+    error: `We couldn't find "${location}". Please pick your town from the list`,
+    suggestions: searchPlaces(String(location), 5)
+  };
+}
+
+/**
+ * Copy a farmer's location onto all of their listings
+ *
+ * Listings are located at the farm, so they move when the farmer does.
+ */
+export async function syncListingLocations(farmerId: string, fields: LocationFields) {
+  await prisma.produce.updateMany({
+    where: { farmerId },
+    data: {
+      latitude: fields.latitude,
+      longitude: fields.longitude,
+      region: fields.region
+    }
+  });
+}
+
+/**
+ * The location columns a new listing gets from its farmer
+ */
+export async function listingLocationFor(farmerId: string) {
+  const farmer = await prisma.user.findUnique({
+    where: { id: farmerId },
+    select: { latitude: true, longitude: true, region: true }
+  });
+
+  return {
+    latitude: farmer?.latitude ?? null,
+    longitude: farmer?.longitude ?? null,
+    region: farmer?.region ?? null
+  };
+}
+
+/**
+ * Geocode users saved before locations were structured
+ *
+ * Looks at users with location text but no placeId and stores the place
+ * when the text resolves (and copies it to a farmer's listings). Text that
+ * doesn't resolve is left alone; those users are asked to pick a place
+ * next time they edit their profile. Safe to run on every start-up.
+ */
+export async function backfillUserLocations() {
+  const users = await prisma.user.findMany({
+    where: { placeId: null, location: { not: null } },
+    select: { id: true, role: true, location: true }
+  });
+
+  let resolved = 0;
+
+  for (const user of users) {
+    const place = resolvePlace(user.location);
+    if (!place) continue;
+
+    const fields = placeToLocationFields(place);
+    await prisma.user.update({ where: { id: user.id }, data: fields });
+
+    if (user.role === "FARMER") {
+      await syncListingLocations(user.id, fields);
+    }
+    resolved++;
+  }
+
+  return { checked: users.length, resolved };
+}
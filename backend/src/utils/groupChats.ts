@@ -0,0 +1,366 @@
+import { ParticipantRole, Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { activeAccountFilter } from "./accountStatus";
+import { messageSenderSelect } from "./conversations";
+import { withAttachmentUrls } from "./attachments";
+import { addUsersToConversationRoom, emitToConversation, emitToUser, removeUserFromConversationRoom } from "./socket";
+import { HttpError } from "./httpError";
+
+// Most people in one group chat
+export const MAX_GROUP_MEMBERS = Number(process.env.MAX_GROUP_MEMBERS) || 50;
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Error raised for a group chat change that isn't allowed.
+ */
+export class GroupChatError extends HttpError {}
+
+export const groupInclude = {
+  participants: {
+    orderBy: { joinedAt: "asc" },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          image: true,
+          role: true
+        }
+      }
+    }
+  }
+} satisfies Prisma.ConversationInclude;
+
+/**
+ * HELPER FUNCTION: Read a group title from a request body
+ */
+function parseTitle(title: unknown): string {
+  const value = typeof title === "string" ? title.trim() : "";
+
+  if (!value) {
+    throw new GroupChatError("A group needs a title");
+  }
+  if (value.length > MAX_TITLE_LENGTH) {
+    throw new GroupChatError(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return value;
+}
+
+/**
+ * HELPER FUNCTION: Read a list of user ids and check they are real, active users
+ */
+async function parseMemberIds(userIds: unknown, excludeId: string): Promise<string[]> {
+  if (!Array.isArray(userIds) || userIds.some((id) => typeof id !== "string")) {
+    throw new GroupChatError("userIds must be a list of user ids");
+  }
+
+  const ids = [...new Set(userIds as string[])].filter((id) => id !== excludeId);
+
+  const found = await prisma.user.findMany({
+    where: { id: { in: ids }, ...activeAccountFilter() },
+    select: { id: true }
+  });
+
+  if (found.length !== ids.length) {
+    throw new GroupChatError("Some users were not found", 404);
+  }
+  return ids;
+}
+
+/**
+ * HELPER FUNCTION: Names of users, for system messages ("Abebe added Sara and Kebede")
+ */
+async function userNames(userIds: string[]): Promise<Map<string, string>> {
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds } },
+    select: { id: true, name: true }
+  });
+  return new Map(users.map((user: { id: string; name: string | null }) => [user.id, user.name || "A user"]));
+}
+
+function joinNames(names: string[]): string {
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+/**
+ * HELPER FUNCTION: Post a system message about a group change and send it live
+ *
+ * System messages are written by the user who made the change, with
+ * metadata saying what happened, so clients can show or translate them.
+ */
+async function postSystemMessage(
+  conversationId: string,
+  actorId: string,
+  content: string,
+  metadata: Prisma.InputJsonObject
+) {
+  const [message] = await prisma.$transaction([
+    prisma.message.create({
+      data: { conversationId, senderId: actorId, content, type: "SYSTEM", metadata },
+      include: {
+        sender: { select: messageSenderSelect },
+        files: true
+      }
+    }),
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() }
+    })
+  ]);
+
+  emitToConversation(conversationId, "new_message", withAttachmentUrls(message));
+  return message;
+}
+
+/**
+ * A participant of a conversation, or null if the user isn't in it
+ */
+export function findParticipant(conversationId: string, userId: string) {
+  return prisma.conversationParticipant.findUnique({
+    where: { conversationId_userId: { conversationId, userId } },
+    include: { conversation: { select: { id: true, isGroup: true, title: true } } }
+  });
+}
+
+/**
+ * HELPER FUNCTION: The acting user's membership of a group, checked
+ *
+ * @param adminOnly - Whether the action needs a group admin
+ */
+async function requireGroupMember(conversationId: string, userId: string, adminOnly: boolean) {
+  const participant = await findParticipant(conversationId, userId);
+
+  if (!participant || !participant.conversation.isGroup) {
+    throw new GroupChatError("Group not found", 404);
+  }
+  if (adminOnly && participant.role !== "ADMIN") {
+    throw new GroupChatError("Only group admins can do this", 403);
+  }
+  return participant;
+}
+
+/**
+ * HELPER FUNCTION: The group with its members, as clients get it
+ */
+async function loadGroup(conversationId: string) {
+  return prisma.conversation.findUniqueOrThrow({
+    where: { id: conversationId },
+    include: groupInclude
+  });
+}
+
+/**
+ * HELPER FUNCTION: Tell everyone in a group (and anyone given) about a change to it
+ */
+async function broadcastGroup(conversationId: string, alsoUserIds: string[] = []) {
+  const group = await loadGroup(conversationId);
+  emitToConversation(conversationId, "conversation_updated", group);
+  for (const userId of alsoUserIds) emitToUser(userId, "conversation_updated", group);
+  return group;
+}
+
+/**
+ * Create a group chat
+ *
+ * @param creatorId - The user creating it, who becomes its first admin
+ * @param input - { title, userIds } (the other members)
+ * @returns The group with its members
+ */
+export async function createGroupConversation(creatorId: string, input: { title?: unknown; userIds?: unknown }) {
+  const title = parseTitle(input.title);
+  const memberIds = await parseMemberIds(input.userIds ?? [], creatorId);
+
+  if (memberIds.length === 0) {
+    throw new GroupChatError("Add at least one other member");
+  }
+  if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+    throw new GroupChatError(`A group can have at most ${MAX_GROUP_MEMBERS} members`);
+  }
+
+  const conversation = await prisma.conversation.create({
+    data: {
+      isGroup: true,
+      title,
+      participants: {
+        create: [
+          { userId: creatorId, role: "ADMIN" },
+          ...memberIds.map((userId) => ({ userId, role: "MEMBER" as const }))
+        ]
+      }
+    }
+  });
+
+  const names = await userNames([creatorId]);
+  await postSystemMessage(conversation.id, creatorId, `${names.get(creatorId)} created the group "${title}"`, {
+    event: "group_created",
+    title
+  });
+
+  addUsersToConversationRoom([creatorId, ...memberIds], conversation.id);
+  console.log(`👥 Group ${conversation.id} created by ${creatorId} with ${memberIds.length} members`);
+
+  return broadcastGroup(conversation.id, [creatorId, ...memberIds]);
+}
+
+/**
+ * Rename a group (admins only)
+ */
+export async function renameGroup(conversationId: string, actorId: string, title: unknown) {
+  await requireGroupMember(conversationId, actorId, true);
+  const newTitle = parseTitle(title);
+
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: { title: newTitle }
+  });
+
+  const names = await userNames([actorId]);
+  await postSystemMessage(conversationId, actorId, `${names.get(actorId)} renamed the group to "${newTitle}"`, {
+    event: "group_renamed",
+    title: newTitle
+  });
+
+  return broadcastGroup(conversationId);
+}
+
+/**
+ * Add members to a group (admins only)
+ *
+ * Users already in the group are skipped. New members see the whole history.
+ */
+export async function addGroupMembers(conversationId: string, actorId: string, userIds: unknown) {
+  await requireGroupMember(conversationId, actorId, true);
+  const requested = await parseMemberIds(userIds, actorId);
+
+  const existing = await prisma.conversationParticipant.findMany({
+    where: { conversationId },
+    select: { userId: true }
+  });
+  const existingIds = new Set(existing.map((participant: { userId: string }) => participant.userId));
+  const newIds = requested.filter((id) => !existingIds.has(id));
+
+  if (newIds.length === 0) {
+    throw new GroupChatError("These users are already in the group");
+  }
+  if (existingIds.size + newIds.length > MAX_GROUP_MEMBERS) {
+    throw new GroupChatError(`A group can have at most ${MAX_GROUP_MEMBERS} members`);
+  }
+
+  await prisma.conversationParticipant.createMany({
+    data: newIds.map((userId) => ({ conversationId, userId, role: "MEMBER" as const })),
+    skipDuplicates: true
+  });
+
+  const names = await userNames([actorId, ...newIds]);
+  await postSystemMessage(
+    conversationId,
+    actorId,
+    `${names.get(actorId)} added ${joinNames(newIds.map((id) => names.get(id)!))}`,
+    { event: "members_added", userIds: newIds }
+  );
+
+  addUsersToConversationRoom(newIds, conversationId);
+  return broadcastGroup(conversationId, newIds);
+}
+
+/**
+ * Remove a member from a group, or leave it
+ *
+ * @param actorId - Admins can remove anyone; everyone can remove themselves
+ *
+ * EXPLANATION:
+ * A removed member loses access at once: their participant row is deleted
+ * (so every membership check fails) and their sockets leave the room. If
+ * the last admin leaves, the longest-standing member becomes admin so the
+ * group can still be managed.
+ */
+export async function removeGroupMember(conversationId: string, actorId: string, userId: string) {
+  const leaving = actorId === userId;
+  await requireGroupMember(conversationId, actorId, !leaving);
+
+  const member = await findParticipant(conversationId, userId);
+  if (!member) {
+    throw new GroupChatError("This user is not in the group", 404);
+  }
+
+  await prisma.conversationParticipant.delete({ where: { id: member.id } });
+
+  if (member.role === "ADMIN") {
+    const admins = await prisma.conversationParticipant.count({ where: { conversationId, role: "ADMIN" } });
+    if (admins === 0) {
+      const successor = await prisma.conversationParticipant.findFirst({
+        where: { conversationId },
+        orderBy: { joinedAt: "asc" }
+      });
+      if (successor) {
+        await prisma.conversationParticipant.update({
+          where: { id: successor.id },
+          data: { role: "ADMIN" }
+        });
+      }
+    }
+  }
+
+  removeUserFromConversationRoom(userId, conversationId);
+  emitToUser(userId, "removed_from_conversation", { conversationId });
+
+  const remaining = await prisma.conversationParticipant.count({ where: { conversationId } });
+  if (remaining === 0) return null;
+
+  const names = await userNames([actorId, userId]);
+  await postSystemMessage(
+    conversationId,
+    actorId,
+    leaving ? `${names.get(userId)} left the group` : `${names.get(actorId)} removed ${names.get(userId)}`,
+    { event: leaving ? "member_left" : "member_removed", userIds: [userId] }
+  );
+
+  return broadcastGroup(conversationId);
+}
+
+/**
+ * Make a member an admin, or an admin a regular member (admins only)
+ *
+ * The last admin can't step down; they can make someone else admin first.
+ */
+export async function setGroupMemberRole(conversationId: string, actorId: string, userId: string, role: unknown) {
+  await requireGroupMember(conversationId, actorId, true);
+
+  if (role !== "ADMIN" && role !== "MEMBER") {
+    throw new GroupChatError("role must be ADMIN or MEMBER");
+  }
+
+  const member = await findParticipant(conversationId, userId);
+  if (!member) {
+    throw new GroupChatError("This user is not in the group", 404);
+  }
+  if (member.role === role) {
+    return loadGroup(conversationId);
+  }
+
+  if (role === "MEMBER") {
+    const admins = await prisma.conversationParticipant.count({ where: { conversationId, role: "ADMIN" } });
+    if (admins <= 1) {
+      throw new GroupChatError("A group needs at least one admin");
+    }
+  }
+
+  await prisma.conversationParticipant.update({
+    where: { id: member.id },
+    data: { role: role as ParticipantRole }
+  });
+
+  const names = await userNames([actorId, userId]);
+  await postSystemMessage(
+    conversationId,
+    actorId,
+    role === "ADMIN"
+      ? `${names.get(actorId)} made ${names.get(userId)} an admin`
+      : `${names.get(actorId)} removed ${names.get(userId)} as admin`,
+    { event: role === "ADMIN" ? "admin_added" : "admin_removed", userIds: [userId] }
+  );
+
+  return broadcastGroup(conversationId);
+}
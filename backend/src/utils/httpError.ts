@@ -0,0 +1,47 @@
+import { Response } from "express";
+
+/**
+ * Error a route can report to the client as is.
+ *
+ * Feature errors (OrderError, OfferError, ...) extend it and are thrown from
+ * utils, even inside transactions; the route answers with `statusCode` and
+ * the message instead of a 500. `details` are extra fields for the response
+ * body (e.g. location suggestions).
+ */
+export class HttpError extends Error {
+  statusCode: number;
+  details?: Record<string, unknown>;
+
+  constructor(message: string, statusCode = 400, details?: Record<string, unknown>) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * HELPER FUNCTION: Answer a failed request
+ *
+ * @param logMessage - Logged with the error when it is unexpected
+ * @param failMessage - What the client gets for an unexpected error
+ *
+ * EXPLANATION:
+ * An HttpError goes back with its own status and message. Anything else is
+ * a bug or an outage: it is logged and answered with a generic 500.
+ */
+export function sendHttpError(res: Response, error: unknown, logMessage: string, failMessage: string) {
+  if (error instanceof HttpError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error(logMessage, error);
+  return res.status(500).json({
+    success: false,
+    message: failMessage
+  });
+}
@@ -0,0 +1,182 @@
+import { ListingEventType } from "@prisma/client";
+import { prisma } from "./prisma";
+
+// A viewer counts once per listing in each window
+const DEDUPE_WINDOW_MINUTES: Record<ListingEventType, number> = {
+  VIEW: Number(process.env.LISTING_VIEW_WINDOW_MINUTES) || 30,
+  INQUIRY: 24 * 60
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record that a buyer viewed or asked about a listing
+ *
+ * @returns true when the event was counted, false when it was a repeat
+ *   within the dedupe window or the farmer looking at their own listing
+ *
+ * EXPLANATION:
+ * Time is cut into fixed windows (30 minutes for views, a day for inquiries).
+ * The dedupeKey holds the window number and is unique, so refreshing the page
+ * or reopening the chat within a window is stored once, even when two
+ * requests arrive at the same moment.
+ */
+export async function recordListingEvent(
+  type: ListingEventType,
+  produceId: string,
+  viewerId: string,
+  conversationId?: string
+): Promise<boolean> {
+  const produce = await prisma.produce.findUnique({
+    where: { id: produceId },
+    select: { farmerId: true }
+  });
+
+  if (!produce || produce.farmerId === viewerId) return false;
+
+  // An inquiry only counts when the conversation is with the listing's farmer
+  if (conversationId) {
+    const farmerInConversation = await prisma.conversationParticipant.findUnique({
+      where: { conversationId_userId: { conversationId, userId: produce.farmerId } }
+    });
+    if (!farmerInConversation) return false;
+  }
+
+  const window = Math.floor(Date.now() / (DEDUPE_WINDOW_MINUTES[type] * 60 * 1000));
+
+  try {
+    await prisma.listingEvent.create({
+      data: {
+        type,
+        produceId,
+        viewerId,
+        conversationId: conversationId || null,
+        dedupeKey: [type, produceId, viewerId, window].join(":")
+      }
+    });
+    return true;
+  } catch (error: any) {
+    // Already counted in this window
+    if (error?.code === "P2002") return false;
+    throw error;
+  }
+}
+
+/**
+ * Count a listing view without holding up the response
+ */
+export function trackListingView(produceId: string, viewerId: string) {
+  recordListingEvent("VIEW", produceId, viewerId).catch((error) => {
+    console.error("❌ Failed to record listing view:", error);
+  });
+}
+
+/**
+ * Count a conversation started about a listing as an inquiry
+ */
+export function trackListingInquiry(produceId: string, buyerId: string, conversationId: string) {
+  recordListingEvent("INQUIRY", produceId, buyerId, conversationId).catch((error) => {
+    console.error("❌ Failed to record listing inquiry:", error);
+  });
+}
+
+/**
+ * All-time view and inquiry counts for a set of listings
+ *
+ * @returns Map of produceId -> { views, inquiries } (listings without events are missing)
+ */
+export async function getListingEventCounts(produceIds: string[]) {
+  const counts = new Map<string, { views: number; inquiries: number }>();
+  if (produceIds.length === 0) return counts;
+
+  const rows = await prisma.listingEvent.groupBy({
+    by: ["produceId", "type"],
+    where: { produceId: { in: produceIds } },
+    _count: { _all: true }
+  });
+
+  for (const row of rows as { produceId: string; type: ListingEventType; _count: { _all: number } }[]) {
+    const entry = counts.get(row.produceId) || { views: 0, inquiries: 0 };
+    if (row.type === "VIEW") entry.views = row._count._all;
+    else entry.inquiries = row._count._all;
+    counts.set(row.produceId, entry);
+  }
+
+  return counts;
+}
+
+/**
+ * Day-by-day interest in a listing
+ *
+ * @param produceId - The listing
+ * @param days - How many days back, today included
+ * @returns One entry per UTC day (zero days included) plus totals
+ */
+export async function getListingDailyStats(produceId: string, days: number) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const events = await prisma.listingEvent.findMany({
+    where: { produceId, createdAt: { gte: since } },
+    select: { type: true, viewerId: true, createdAt: true }
+  });
+
+  const daily = Array.from({ length: days }, (_, index) => ({
+    date: new Date(since.getTime() + index * DAY_MS).toISOString().split("T")[0],
+    views: 0,
+    uniqueViewers: new Set<string>(),
+    inquiries: 0
+  }));
+
+  const allViewers = new Set<string>();
+
+  for (const event of events as { type: ListingEventType; viewerId: string; createdAt: Date }[]) {
+    const day = daily[Math.floor((event.createdAt.getTime() - since.getTime()) / DAY_MS)];
+    if (!day) continue;
+
+    if (event.type === "VIEW") {
+      day.views++;
+      day.uniqueViewers.add(event.viewerId);
+      allViewers.add(event.viewerId);
+    } else {
+      day.inquiries++;
+    }
+  }
+
+  const totalViews = daily.reduce((sum, day) => sum + day.views, 0);
+  const totalInquiries = daily.reduce((sum, day) => sum + day.inquiries, 0);
+
+  return {
+    days: daily.map((day) => ({
+      date: day.date,
+      views: day.views,
+      uniqueViewers: day.uniqueViewers.size,
+      inquiries: day.inquiries
+    })),
+    totals: {
+      views: totalViews,
+      uniqueViewers: allViewers.size,
+      inquiries: totalInquiries,
+      // Share of views that turned into a conversation
+      inquiryRate: totalViews > 0 ? Math.round((totalInquiries / totalViews) * 1000) / 10 : 0
+    }
+  };
+}
+
+/**
+ * How many different listings a buyer opened recently
+ */
+export async function countRecentlyViewedListings(viewerId: string, days = 30) {
+  const rows = await prisma.listingEvent.findMany({
+    where: {
+      viewerId,
+      type: "VIEW",
+      createdAt: { gte: new Date(Date.now() - days * DAY_MS) }
+    },
+    select: { produceId: true },
+    distinct: ["produceId"]
+  });
+
+  return rows.length;
+}
@@ -0,0 +1,333 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { queuePriceAlertEvaluation } from "./priceAlerts";
+import { STANDARD_PRICE_UNIT, convertUnitPrice, normalizeUnit } from "./units";
+import { HttpError } from "./httpError";
+
+/**
+ * Error raised for an invalid market price write.
+ */
+export class MarketPriceError extends HttpError {}
+
+export interface MarketPriceInput {
+  cropName: string;
+  price: number;
+  unit?: string;
+  region?: string;
+  marketSession?: string;
+  observedAt?: Date;
+}
+
+/**
+ * Validate one market price entry (a JSON body or a CSV row)
+ *
+ * @param raw - Field values as sent; numbers may still be strings
+ * @returns The clean input, or every problem found with it
+ */
+export function parseMarketPriceInput(raw: Record<string, any>): { input?: MarketPriceInput; errors: string[] } {
+  const errors: string[] = [];
+
+  const cropName = typeof raw.cropName === "string" ? raw.cropName.trim() : "";
+  if (!cropName) {
+    errors.push("cropName is required");
+  }
+
+  // Spreadsheets often format prices as "3,000"
+  const price = typeof raw.price === "number"
+    ? raw.price
+    : typeof raw.price === "string" && raw.price.trim()
+      ? Number(raw.price.replace(/[,\s]/g, ""))
+      : NaN;
+  if (!Number.isFinite(price) || price <= 0) {
+    errors.push("price must be a positive number");
+  }
+
+  const unit = raw.unit === undefined || raw.unit === null || raw.unit === "" ? undefined : String(raw.unit);
+  if (unit && !normalizeUnit(unit)) {
+    errors.push(`unit "${unit}" is not one of kg, quintal, ton`);
+  }
+
+  let observedAt: Date | undefined;
+  if (raw.observedAt) {
+    observedAt = new Date(raw.observedAt);
+    if (isNaN(observedAt.getTime())) {
+      errors.push("observedAt must be a valid date");
+    } else if (observedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+      errors.push("observedAt cannot be in the future");
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    input: {
+      cropName,
+      price,
+      unit,
+      region: typeof raw.region === "string" && raw.region.trim() ? raw.region.trim() : undefined,
+      marketSession: typeof raw.marketSession === "string" && raw.marketSession.trim() ? raw.marketSession.trim() : undefined,
+      observedAt
+    }
+  };
+}
+
+/**
+ * Record a new price for a crop on the market board
+ *
+ * @param input - Crop, price and where/when it was observed
+ * @returns The MarketPrice row after the write
+ *
+ * EXPLANATION:
+ * The board keeps one row per crop, region and market session, and every
+ * observation is also appended to MarketPriceHistory for charting.
+ * A new price moves the old currentPrice into previousPrice and recomputes
+ * change / changePercent. Back-dated observations (older than the latest one
+ * we have) only go into history and leave the board alone.
+ * Prices given per kg or per ton are converted to the standard unit
+ * (quintal) first, so change is always computed like for like.
+ * All price writes go through here so that price alerts are evaluated
+ * every time the board changes.
+ * Two writes creating the same board row at once clash on the unique
+ * board index; the loser runs again and takes the update path instead.
+ */
+export async function recordMarketPrice(input: MarketPriceInput) {
+  const write = () => prisma.$transaction(
+    (tx: Prisma.TransactionClient) => writeMarketPrice(tx, input)
+  );
+
+  let result: Awaited<ReturnType<typeof write>>;
+  try {
+    result = await write();
+  } catch (error: any) {
+    if (error?.code !== "P2002") throw error;
+    result = await write();
+  }
+
+  const { marketPrice, boardChanged } = result;
+
+  if (boardChanged) {
+    queuePriceAlertEvaluation(marketPrice);
+  }
+
+  return marketPrice;
+}
+
+/**
+ * The write behind recordMarketPrice, inside a transaction the caller owns
+ *
+ * For changes that must land together with the price (e.g. relabelling a
+ * board row). Once the transaction commits, the caller must evaluate price
+ * alerts when `boardChanged` is set (queuePriceAlertEvaluation).
+ * Creating a board row throws P2002 when another write created it first;
+ * the transaction is aborted by then, so the caller has to run it again.
+ */
+export async function writeMarketPrice(tx: Prisma.TransactionClient, input: MarketPriceInput) {
+  const cropName = input.cropName.trim();
+  const inputUnit = input.unit ? normalizeUnit(input.unit) : STANDARD_PRICE_UNIT;
+
+  if (!inputUnit) {
+    throw new MarketPriceError(`Unknown unit "${input.unit}"`);
+  }
+
+  const unit = STANDARD_PRICE_UNIT;
+  const price = convertUnitPrice(input.price, inputUnit, unit);
+  const region = input.region || "National";
+  const marketSession = input.marketSession || "Morning";
+  const observedAt = input.observedAt || new Date();
+
+  const existing = await tx.marketPrice.findFirst({
+    where: {
+      cropName: { equals: cropName, mode: "insensitive" },
+      region: { equals: region, mode: "insensitive" },
+      marketSession: { equals: marketSession, mode: "insensitive" }
+    }
+  });
+
+  if (!existing) {
+    const created = await tx.marketPrice.create({
+      data: {
+        cropName,
+        currentPrice: price,
+        previousPrice: price,
+        change: 0,
+        changePercent: 0,
+        unit,
+        region,
+        marketSession,
+        history: {
+          create: { cropName, price, unit, region, marketSession, observedAt }
+        }
+      }
+    });
+
+    return { marketPrice: created, boardChanged: true };
+  }
+
+  const latest = await tx.marketPriceHistory.findFirst({
+    where: { marketPriceId: existing.id },
+    orderBy: { observedAt: "desc" },
+    select: { observedAt: true }
+  });
+
+  await tx.marketPriceHistory.create({
+    data: {
+      marketPriceId: existing.id,
+      cropName: existing.cropName,
+      price,
+      unit,
+      region: existing.region,
+      marketSession: existing.marketSession,
+      observedAt
+    }
+  });
+
+  if (latest && observedAt < latest.observedAt) {
+    return { marketPrice: existing, boardChanged: false };
+  }
+
+  const previousPrice = existing.currentPrice;
+  const change = Math.round((price - previousPrice) * 100) / 100;
+  const changePercent = previousPrice > 0
+    ? Math.round((change / previousPrice) * 10000) / 100
+    : 0;
+
+  const updated = await tx.marketPrice.update({
+    where: { id: existing.id },
+    data: {
+      currentPrice: price,
+      previousPrice,
+      change,
+      changePercent,
+      unit
+    }
+  });
+
+  return { marketPrice: updated, boardChanged: true };
+}
+
+export const PRICE_INTERVALS = ["day", "week", "month"] as const;
+export type PriceInterval = typeof PRICE_INTERVALS[number];
+
+export interface PriceObservation {
+  price: number;
+  observedAt: Date;
+}
+
+export interface PriceCandle {
+  period: string;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  average: number;
+  observations: number;
+  movingAverage: number | null;
+  changePercent: number | null;
+}
+
+/**
+ * HELPER FUNCTION: Start of the day / week / month an observation falls in
+ *
+ * Weeks start on Monday. Everything is in UTC so the buckets don't move
+ * with the server's timezone.
+ */
+function periodStart(date: Date, interval: PriceInterval): string {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === "week") {
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    day.setUTCDate(day.getUTCDate() - daysSinceMonday);
+  } else if (interval === "month") {
+    day.setUTCDate(1);
+  }
+
+  return day.toISOString().slice(0, 10);
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Group price observations into open / high / low / close candles
+ *
+ * @param observations - Price observations, in any order
+ * @param interval - Bucket size
+ * @param window - How many candles the moving average of closes spans
+ * @returns One candle per period that has observations, oldest first
+ *
+ * EXPLANATION:
+ * - open / close are the first / last price seen in the period
+ * - movingAverage is the mean close of this and the previous `window - 1`
+ *   candles (null until there are enough candles)
+ * - changePercent compares this close with the previous candle's close
+ */
+export function buildPriceCandles(
+  observations: PriceObservation[],
+  interval: PriceInterval,
+  window: number
+): PriceCandle[] {
+  const sorted = [...observations].sort((a, b) => a.observedAt.getTime() - b.observedAt.getTime());
+  const buckets = new Map<string, number[]>();
+
+  for (const observation of sorted) {
+    const key = periodStart(observation.observedAt, interval);
+    const prices = buckets.get(key) || [];
+    prices.push(observation.price);
+    buckets.set(key, prices);
+  }
+
+  const candles: PriceCandle[] = [];
+
+  for (const [period, prices] of buckets) {
+    const close = prices[prices.length - 1];
+    const previous = candles[candles.length - 1];
+
+    candles.push({
+      period,
+      open: prices[0],
+      high: Math.max(...prices),
+      low: Math.min(...prices),
+      close,
+      average: round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+      observations: prices.length,
+      movingAverage: null,
+      changePercent: previous && previous.close > 0
+        ? round(((close - previous.close) / previous.close) * 100)
+        : null
+    });
+
+    if (candles.length >= window) {
+      const closes = candles.slice(-window).map((candle) => candle.close);
+      candles[candles.length - 1].movingAverage = round(closes.reduce((sum, price) => sum + price, 0) / window);
+    }
+  }
+
+  return candles;
+}
+
+/**
+ * Overall movement across a list of candles (first open to last close)
+ */
+export function summarizeCandles(candles: PriceCandle[]) {
+  if (candles.length === 0) {
+    return null;
+  }
+
+  const first = candles[0].open;
+  const last = candles[candles.length - 1].close;
+  const change = round(last - first);
+
+  return {
+    first,
+    last,
+    change,
+    changePercent: first > 0 ? round((change / first) * 100) : 0,
+    high: Math.max(...candles.map((candle) => candle.high)),
+    low: Math.min(...candles.map((candle) => candle.low)),
+    observations: candles.reduce((sum, candle) => sum + candle.observations, 0)
+  };
+}
@@ -0,0 +1,219 @@
+import { prisma } from "./prisma";
+import { HttpError } from "./httpError";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest custom range we compare, to keep the queries bounded
+const MAX_CUSTOM_RANGE_DAYS = 366;
+
+export const METRIC_PERIODS = ["month", "week", "custom"] as const;
+export type MetricPeriod = (typeof METRIC_PERIODS)[number];
+
+/**
+ * Error raised for a bad period or date range.
+ */
+export class MetricsError extends HttpError {}
+
+interface DateRange {
+  from: Date;
+  to: Date;
+}
+
+export interface MetricWindow {
+  period: MetricPeriod;
+  current: DateRange;
+  previous: DateRange;
+}
+
+export interface Comparison {
+  current: number;
+  previous: number;
+  change: number;
+  // null when there is nothing to compare with (previous period was 0)
+  changePercent: number | null;
+}
+
+/**
+ * Work out the two date ranges to compare
+ *
+ * @param query - Request query: period (month | week | custom), and from/to for custom
+ * @returns The current range and the previous range of the same length
+ *
+ * EXPLANATION:
+ * - month:  this month so far vs the same number of days at the start of last month
+ *           (the 10th of March is compared with 1-10 February, not all of February)
+ * - week:   the last 7 days vs the 7 days before that
+ * - custom: from..to (whole days, UTC) vs the same number of days just before `from`
+ */
+export function resolveMetricWindow(query: any = {}, now = new Date()): MetricWindow {
+  const period = (query.period || "month") as MetricPeriod;
+
+  if (!METRIC_PERIODS.includes(period)) {
+    throw new MetricsError(`period must be one of: ${METRIC_PERIODS.join(", ")}`);
+  }
+
+  if (period === "week") {
+    const from = new Date(now.getTime() - 7 * DAY_MS);
+    return {
+      period,
+      current: { from, to: now },
+      previous: { from: new Date(from.getTime() - 7 * DAY_MS), to: from }
+    };
+  }
+
+  if (period === "custom") {
+    const from = new Date(query.from);
+    const to = new Date(query.to);
+
+    if (!query.from || !query.to || isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new MetricsError("from and to dates are required for a custom period (e.g. 2026-01-01)");
+    }
+
+    from.setUTCHours(0, 0, 0, 0);
+    to.setUTCHours(0, 0, 0, 0);
+    // Include the whole `to` day, but not the future
+    const end = new Date(Math.min(to.getTime() + DAY_MS, now.getTime()));
+
+    if (end <= from) {
+      throw new MetricsError("from must be before to, and not in the future");
+    }
+    if (end.getTime() - from.getTime() > MAX_CUSTOM_RANGE_DAYS * DAY_MS) {
+      throw new MetricsError(`A custom period can be at most ${MAX_CUSTOM_RANGE_DAYS} days`);
+    }
+
+    const length = end.getTime() - from.getTime();
+    return {
+      period,
+      current: { from, to: end },
+      previous: { from: new Date(from.getTime() - length), to: from }
+    };
+  }
+
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const lastMonthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  const elapsed = now.getTime() - monthStart.getTime();
+
+  return {
+    period,
+    current: { from: monthStart, to: now },
+    previous: {
+      from: lastMonthStart,
+      // Last month may be shorter than the part of this month already gone
+      to: new Date(Math.min(lastMonthStart.getTime() + elapsed, monthStart.getTime()))
+    }
+  };
+}
+
+/**
+ * Compare a value with the previous period's
+ */
+export function compare(current: number, previous: number): Comparison {
+  const round = (value: number) => Math.round(value * 100) / 100;
+
+  return {
+    current: round(current),
+    previous: round(previous),
+    change: round(current - previous),
+    changePercent: previous === 0
+      ? (current === 0 ? 0 : null)
+      : Math.round(((current - previous) / previous) * 1000) / 10
+  };
+}
+
+/**
+ * HELPER FUNCTION: Run a measurement over both ranges and compare
+ */
+async function measure(window: MetricWindow, count: (range: DateRange) => Promise<number>): Promise<Comparison> {
+  const [current, previous] = await Promise.all([count(window.current), count(window.previous)]);
+  return compare(current, previous);
+}
+
+function within(range: DateRange) {
+  return { gte: range.from, lt: range.to };
+}
+
+/**
+ * Revenue, orders and new listings for a farmer
+ *
+ * Revenue is the value of the farmer's items in orders placed in the period;
+ * cancelled orders don't count.
+ */
+export async function getFarmerMetrics(farmerId: string, window: MetricWindow) {
+  const [revenue, orders, listings] = await Promise.all([
+    measure(window, async (range) => {
+      const items = await prisma.orderItem.findMany({
+        where: {
+          produce: { farmerId },
+          order: { createdAt: within(range), status: { not: "CANCELLED" } }
+        },
+        select: { price: true, quantity: true }
+      });
+      return items.reduce((sum: number, item: { price: number; quantity: number }) => sum + item.price * item.quantity, 0);
+    }),
+    measure(window, (range) => prisma.order.count({
+      where: {
+        createdAt: within(range),
+        status: { not: "CANCELLED" },
+        items: { some: { produce: { farmerId } } }
+      }
+    })),
+    measure(window, (range) => prisma.produce.count({
+      where: { farmerId, createdAt: within(range) }
+    }))
+  ]);
+
+  return { revenue, orders, listings };
+}
+
+/**
+ * New conversations, messages sent and articles published by an expert
+ */
+export async function getExpertMetrics(expertId: string, window: MetricWindow) {
+  const [conversations, messages, articles] = await Promise.all([
+    measure(window, (range) => prisma.conversation.count({
+      where: {
+        createdAt: within(range),
+        participants: { some: { userId: expertId } }
+      }
+    })),
+    measure(window, (range) => prisma.message.count({
+      where: { senderId: expertId, createdAt: within(range) }
+    })),
+    measure(window, (range) => prisma.article.count({
+      where: { authorId: expertId, isPublished: true, publishedAt: within(range) }
+    }))
+  ]);
+
+  return { conversations, messages, articles };
+}
+
+/**
+ * Orders placed and money spent by a buyer (cancelled orders excluded)
+ */
+export async function getBuyerMetrics(buyerId: string, window: MetricWindow) {
+  const [orders, spent] = await Promise.all([
+    measure(window, (range) => prisma.order.count({
+      where: { buyerId, createdAt: within(range), status: { not: "CANCELLED" } }
+    })),
+    measure(window, async (range) => {
+      const result = await prisma.order.aggregate({
+        where: { buyerId, createdAt: within(range), status: { not: "CANCELLED" } },
+        _sum: { totalAmount: true }
+      });
+      return result._sum.totalAmount || 0;
+    })
+  ]);
+
+  return { orders, spent };
+}
+
+/**
+ * The ranges in API responses
+ */
+export function describeWindow(window: MetricWindow) {
+  return {
+    period: window.period,
+    current: { from: window.current.from.toISOString(), to: window.current.to.toISOString() },
+    previous: { from: window.previous.from.toISOString(), to: window.previous.to.toISOString() }
+  };
+}
@@ -0,0 +1,171 @@
+import { prisma } from "./prisma";
+import { GeoPoint, boundingBoxFilter, formatPlace, getPlace, haversineKm } from "./geo";
+import { activeAccountFilter } from "./accountStatus";
+import { HttpError } from "./httpError";
+
+export const DEFAULT_NEARBY_RADIUS_KM = 50;
+export const MAX_RADIUS_KM = 1000;
+
+/**
+ * Error raised for a bad search origin or radius.
+ */
+export class NearbySearchError extends HttpError {}
+
+/**
+ * The point distances are measured from, and where it came from
+ */
+export interface SearchOrigin {
+  latitude: number;
+  longitude: number;
+  source: "coordinates" | "place" | "delivery" | "profile";
+  label: string | null;
+}
+
+/**
+ * Distance in km rounded to one decimal, or null when the row has no coordinates
+ */
+export function distanceFrom(origin: GeoPoint, point: { latitude: number | null; longitude: number | null }) {
+  if (point.latitude === null || point.longitude === null) return null;
+
+  return Math.round(haversineKm(origin, { latitude: point.latitude, longitude: point.longitude }) * 10) / 10;
+}
+
+/**
+ * Read `radiusKm` (or `radius`) from a query string
+ *
+ * @returns The radius in km, or null when none was given
+ */
+export function parseRadiusKm(query: any): number | null {
+  const raw = query.radiusKm ?? query.radius;
+  if (raw === undefined || raw === "") return null;
+
+  const radiusKm = Number(raw);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw new NearbySearchError(`radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+  }
+
+  return radiusKm;
+}
+
+/**
+ * Work out where a buyer is searching from
+ *
+ * @param buyerId - The buyer making the request
+ * @param query - Request query: `lat` + `lng` (or `lon`), or a gazetteer `placeId`
+ * @returns The origin, or null when the buyer has no location at all
+ *
+ * EXPLANATION:
+ * In order of preference:
+ *   1. explicit coordinates in the query (e.g. from the phone's GPS)
+ *   2. a place picked from /api/locations
+ *   3. the geocoded delivery address on the buyer profile
+ *   4. the buyer's own location
+ */
+export async function resolveBuyerOrigin(buyerId: string, query: any): Promise<SearchOrigin | null> {
+  const lat = query.lat ?? query.latitude;
+  const lng = query.lng ?? query.lon ?? query.longitude;
+
+  if (lat !== undefined || lng !== undefined) {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw new NearbySearchError("lat and lng must both be valid coordinates");
+    }
+
+    return { latitude, longitude, source: "coordinates", label: null };
+  }
+
+  if (query.placeId) {
+    const place = getPlace(String(query.placeId));
+    if (!place) {
+      throw new NearbySearchError("Unknown placeId, pick a place from /api/locations");
+    }
+
+    return { latitude: place.latitude, longitude: place.longitude, source: "place", label: formatPlace(place) };
+  }
+
+  const [profile, user] = await Promise.all([
+    prisma.buyerProfile.findUnique({
+      where: { userId: buyerId },
+      select: { deliveryAddress: true, deliveryLatitude: true, deliveryLongitude: true }
+    }),
+    prisma.user.findUnique({
+      where: { id: buyerId },
+      select: { location: true, latitude: true, longitude: true }
+    })
+  ]);
+
+  if (profile?.deliveryLatitude != null && profile?.deliveryLongitude != null) {
+    return {
+      latitude: profile.deliveryLatitude,
+      longitude: profile.deliveryLongitude,
+      source: "delivery",
+      label: profile.deliveryAddress
+    };
+  }
+
+  if (user?.latitude != null && user?.longitude != null) {
+    return { latitude: user.latitude, longitude: user.longitude, source: "profile", label: user.location };
+  }
+
+  return null;
+}
+
+/**
+ * Farmers with available produce within `radiusKm` of a point, closest first
+ */
+export async function findNearbyFarmers(
+  origin: GeoPoint,
+  options: { radiusKm?: number; limit?: number; excludeUserId?: string } = {}
+) {
+  const radiusKm = options.radiusKm ?? DEFAULT_NEARBY_RADIUS_KM;
+  const limit = options.limit ?? 10;
+
+  const farmers = await prisma.user.findMany({
+    where: {
+      role: "FARMER",
+      ...activeAccountFilter(),
+      ...boundingBoxFilter(origin, radiusKm),
+      produce: { some: { status: "AVAILABLE" } },
+      ...(options.excludeUserId && { id: { not: options.excludeUserId } })
+    },
+    select: {
+      id: true,
+      name: true,
+      image: true,
+      location: true,
+      region: true,
+      latitude: true,
+      longitude: true,
+      farmerProfile: {
+        select: { rating: true, reviewCount: true }
+      },
+      produce: {
+        where: { status: "AVAILABLE" },
+        select: { name: true },
+        orderBy: { updatedAt: "desc" }
+      }
+    }
+  });
+
+  type NearbyFarmerRow = (typeof farmers)[number];
+
+  return farmers
+    .map((farmer: NearbyFarmerRow) => ({
+      id: farmer.id,
+      name: farmer.name,
+      image: farmer.image,
+      location: farmer.location,
+      region: farmer.region,
+      distanceKm: distanceFrom(origin, farmer),
+      rating: farmer.farmerProfile?.rating ?? 0,
+      reviewCount: farmer.farmerProfile?.reviewCount ?? 0,
+      availableListings: farmer.produce.length,
+      products: [...new Set(farmer.produce.map((produce: { name: string }) => produce.name))].slice(0, 5)
+    }))
+    .filter((farmer: { distanceKm: number | null }) => farmer.distanceKm !== null && farmer.distanceKm <= radiusKm)
+    .sort((a: { distanceKm: number | null }, b: { distanceKm: number | null }) => a.distanceKm! - b.distanceKm!)
+    .slice(0, limit);
+}
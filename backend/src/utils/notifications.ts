@@ -0,0 +1,177 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { emitToUser } from "./socket";
+import { isUserOnline } from "./presence";
+import { sendNotificationEmail } from "./email";
+import { SMS_NOTIFICATION_TYPES, SmsNotificationType, formatNotificationSms, sendSms } from "./sms";
+
+export type NotificationType = "price_alert" | "weather" | "message" | "order" | "advisory" | "system";
+
+export interface NotificationInput {
+  userId: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  metadata?: Prisma.InputJsonValue;
+}
+
+// The UserSettings switch that mutes each type; types not listed are always sent
+const TYPE_SETTINGS: Partial<Record<NotificationType, "marketAlerts" | "orderUpdates" | "chatMessages">> = {
+  price_alert: "marketAlerts",
+  order: "orderUpdates",
+  message: "chatMessages"
+};
+
+// Chat is already live in the app, so these are only emailed to users who are offline
+const EMAIL_WHEN_OFFLINE_ONLY: NotificationType[] = ["message"];
+
+/**
+ * HELPER FUNCTION: Email a notification without holding up the caller
+ */
+function queueNotificationEmail(
+  user: { email: string; name: string | null },
+  notification: { title: string; message: string }
+) {
+  sendNotificationEmail({
+    to: user.email,
+    userName: user.name || undefined,
+    title: notification.title,
+    message: notification.message
+  }).catch((error: unknown) => {
+    console.error(`❌ Failed to email notification to ${user.email}:`, error);
+  });
+}
+
+/**
+ * HELPER FUNCTION: Text a notification without holding up the caller
+ */
+function queueNotificationSms(
+  user: { id: string; phone: string | null },
+  notification: { id: string; type: string; title: string; message: string }
+) {
+  sendSms({
+    userId: user.id,
+    phone: user.phone,
+    body: formatNotificationSms(notification.type as SmsNotificationType, notification),
+    notificationId: notification.id
+  }).catch((error: unknown) => {
+    console.error(`❌ Failed to text notification to ${user.id}:`, error);
+  });
+}
+
+/**
+ * Send a notification: save it, push it live, email and text it
+ *
+ * @param input - Who to notify and what to say
+ * @returns The stored notification, or null when the user turned this type off
+ *
+ * EXPLANATION:
+ * 1. The user's UserSettings decide whether this type is wanted at all
+ *    (marketAlerts, orderUpdates, chatMessages). No settings row means the
+ *    defaults, which are all on.
+ * 2. The row in `notification` is the source of truth (the user sees it later
+ *    even if they were offline).
+ * 3. The "notification" socket event makes it appear immediately for users who
+ *    are online, and "notification_count" updates their unread badge.
+ * 4. Users with emailNotifications on and a verified address also get an email.
+ * 5. Users with smsNotifications on (off by default) get a text for the types
+ *    in SMS_NOTIFICATION_TYPES, within their daily SMS limit.
+ * Email and SMS failures are logged; they never fail the caller.
+ */
+export async function createNotification(input: NotificationInput) {
+  const user = await prisma.user.findUnique({
+    where: { id: input.userId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      phone: true,
+      emailVerified: true,
+      settings: {
+        select: {
+          emailNotifications: true,
+          smsNotifications: true,
+          marketAlerts: true,
+          orderUpdates: true,
+          chatMessages: true
+        }
+      }
+    }
+  });
+
+  if (!user) return null;
+
+  const setting = TYPE_SETTINGS[input.type];
+  if (setting && user.settings && !user.settings[setting]) return null;
+
+  const notification = await prisma.notification.create({
+    data: {
+      userId: input.userId,
+      type: input.type,
+      title: input.title,
+      message: input.message,
+      metadata: input.metadata
+    }
+  });
+
+  emitToUser(input.userId, "notification", notification);
+  emitToUser(input.userId, "notification_count", { unread: await countUnreadNotifications(input.userId) });
+
+  const wantsEmail = user.settings ? user.settings.emailNotifications : true;
+  const skipBecauseOnline = EMAIL_WHEN_OFFLINE_ONLY.includes(input.type) && isUserOnline(input.userId);
+
+  if (wantsEmail && user.emailVerified && !skipBecauseOnline) {
+    queueNotificationEmail(user, notification);
+  }
+
+  const smsType = (SMS_NOTIFICATION_TYPES as readonly string[]).includes(input.type);
+  if (smsType && user.settings?.smsNotifications) {
+    queueNotificationSms(user, notification);
+  }
+
+  return notification;
+}
+
+/**
+ * Send a notification in the background
+ *
+ * For callers that have already answered (or must not fail) when delivery fails.
+ */
+export function queueNotification(input: NotificationInput): void {
+  createNotification(input).catch((error: unknown) => {
+    console.error(`❌ Failed to send ${input.type} notification to ${input.userId}:`, error);
+  });
+}
+
+/**
+ * How many notifications the user hasn't read
+ */
+export function countUnreadNotifications(userId: string) {
+  return prisma.notification.count({
+    where: { userId, isRead: false }
+  });
+}
+
+/**
+ * Mark some of a user's notifications as read
+ *
+ * @param userId - Owner; other users' notifications are never touched
+ * @param ids - Notifications to mark, or undefined for all of them
+ * @returns How many were marked and the new unread count
+ */
+export async function markNotificationsRead(userId: string, ids?: string[]) {
+  const result = await prisma.notification.updateMany({
+    where: {
+      userId,
+      isRead: false,
+      ...(ids && { id: { in: ids } })
+    },
+    data: { isRead: true, readAt: new Date() }
+  });
+
+  const unread = await countUnreadNotifications(userId);
+  // Keep the badge in sync on the user's other devices
+  emitToUser(userId, "notification_count", { unread });
+
+  return { updated: result.count, unread };
+}
@@ -0,0 +1,314 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { findOrCreateConversation } from "./conversations";
+import { trackListingInquiry } from "./listingStats";
+import { notifyOrdersPlaced, placeOrdersWithClient, roundMoney } from "./orders";
+import { isAccountActive } from "./accountStatus";
+import { HttpError } from "./httpError";
+
+/**
+ * Error raised while making or answering an offer.
+ */
+export class OfferError extends HttpError {}
+
+export type OfferAction = "proposed" | "accepted" | "declined" | "countered";
+
+export interface OfferInput {
+  price: number;
+  quantity: number;
+  note?: string;
+}
+
+export const offerInclude = {
+  produce: {
+    select: {
+      id: true,
+      name: true,
+      images: true,
+      price: true,
+      quantity: true,
+      status: true
+    }
+  },
+  buyer: {
+    select: { id: true, name: true, image: true }
+  },
+  farmer: {
+    select: { id: true, name: true, image: true }
+  }
+} satisfies Prisma.OfferInclude;
+
+const messageInclude = {
+  sender: {
+    select: {
+      id: true,
+      name: true,
+      image: true,
+      role: true
+    }
+  }
+} satisfies Prisma.MessageInclude;
+
+/**
+ * Validate the price / quantity part of a request body
+ */
+export function parseOfferInput(body: any): OfferInput {
+  const price = parseFloat(body?.price);
+  const quantity = parseFloat(body?.quantity);
+
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new OfferError("A positive price is required");
+  }
+
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new OfferError("A positive quantity is required");
+  }
+
+  return {
+    price: roundMoney(price),
+    quantity,
+    note: typeof body?.note === "string" && body.note.trim() ? body.note.trim() : undefined
+  };
+}
+
+/**
+ * HELPER FUNCTION: Human readable text shown for an offer message
+ *
+ * Clients that don't understand OFFER messages still show something sensible.
+ */
+function describeOffer(action: OfferAction, offer: { price: number; quantity: number }, produceName: string): string {
+  const terms = `${offer.quantity} × ${produceName} at ${offer.price} ETB each`;
+
+  switch (action) {
+    case "proposed":
+      return `Offer: ${terms}`;
+    case "countered":
+      return `Counter offer: ${terms}`;
+    case "accepted":
+      return `Offer accepted: ${terms}`;
+    case "declined":
+      return `Offer declined: ${terms}`;
+  }
+}
+
+/**
+ * HELPER FUNCTION: Post the typed OFFER message into the conversation
+ */
+async function createOfferMessage(
+  tx: Prisma.TransactionClient,
+  action: OfferAction,
+  senderId: string,
+  offer: { id: string; price: number; quantity: number; conversationId: string; produceId: string },
+  produceName: string,
+  orderId?: string
+) {
+  const message = await tx.message.create({
+    data: {
+      conversationId: offer.conversationId,
+      senderId,
+      type: "OFFER",
+      content: describeOffer(action, offer, produceName),
+      metadata: {
+        offerId: offer.id,
+        action,
+        produceId: offer.produceId,
+        produceName,
+        price: offer.price,
+        quantity: offer.quantity,
+        ...(orderId && { orderId })
+      }
+    },
+    include: messageInclude
+  });
+
+  await tx.conversation.update({
+    where: { id: offer.conversationId },
+    data: { updatedAt: new Date() }
+  });
+
+  return message;
+}
+
+/**
+ * Buyer opens a negotiation on a produce listing
+ *
+ * @param buyerId - The buyer making the offer
+ * @param produceId - The listing being negotiated
+ * @param input - Proposed price per unit and quantity
+ * @returns The offer and the OFFER message posted in the conversation
+ *
+ * EXPLANATION:
+ * The offer lives in the buyer <-> farmer conversation (created if needed),
+ * so the whole negotiation shows up in chat next to normal messages.
+ */
+export async function createOffer(buyerId: string, produceId: string, input: OfferInput) {
+  // Checked here rather than only on the REST route, so the socket event is covered too
+  const buyer = await prisma.user.findUnique({
+    where: { id: buyerId },
+    select: { role: true }
+  });
+
+  if (buyer?.role !== "BUYER") {
+    throw new OfferError("Only buyers can make offers", 403);
+  }
+
+  const produce = await prisma.produce.findUnique({
+    where: { id: produceId },
+    select: {
+      id: true,
+      name: true,
+      quantity: true,
+      status: true,
+      farmerId: true,
+      farmer: { select: { status: true, statusUntil: true } }
+    }
+  });
+
+  if (!produce) {
+    throw new OfferError("Product not found", 404);
+  }
+
+  if (produce.farmerId === buyerId) {
+    throw new OfferError("You cannot make an offer on your own product");
+  }
+
+  // A suspended or banned farmer's listings are hidden, so they can't be negotiated either
+  if (produce.status !== "AVAILABLE" || !isAccountActive(produce.farmer)) {
+    throw new OfferError("Product is not available for purchase", 409);
+  }
+
+  if (input.quantity > produce.quantity) {
+    throw new OfferError(`Only ${produce.quantity} of ${produce.name} left in stock`, 409);
+  }
+
+  const conversationId = await findOrCreateConversation(buyerId, produce.farmerId);
+  trackListingInquiry(produce.id, buyerId, conversationId);
+
+  return prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const offer = await tx.offer.create({
+      data: {
+        price: input.price,
+        quantity: input.quantity,
+        note: input.note,
+        produceId: produce.id,
+        buyerId,
+        farmerId: produce.farmerId,
+        proposedById: buyerId,
+        conversationId
+      },
+      include: offerInclude
+    });
+
+    const message = await createOfferMessage(tx, "proposed", buyerId, offer, produce.name);
+
+    return { offer, message };
+  });
+}
+
+/**
+ * Answer an offer: accept, decline or counter it
+ *
+ * @param userId - The user answering (must be the other side of the negotiation)
+ * @param offerId - The PENDING offer being answered
+ * @param action - What to do with it
+ * @param counter - New terms, required when countering
+ * @returns The answered offer, the OFFER message, and the counter offer or order if one was created
+ *
+ * EXPLANATION:
+ * Buyer and farmer take turns: whoever did NOT make the current offer answers it.
+ * - accept  -> the offer becomes a PENDING order at the agreed price (stock is reserved)
+ * - decline -> the negotiation ends
+ * - counter -> this offer is closed and a new PENDING offer with the new terms is made
+ * When the buyer accepts, the farmer gets a "New order" notification
+ * (a farmer accepting already knows about the order they created).
+ */
+export async function respondToOffer(
+  userId: string,
+  offerId: string,
+  action: "accept" | "decline" | "counter",
+  counter?: OfferInput
+) {
+  const result = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const offer = await tx.offer.findUnique({
+      where: { id: offerId },
+      include: { produce: { select: { name: true } } }
+    });
+
+    if (!offer || (offer.buyerId !== userId && offer.farmerId !== userId)) {
+      throw new OfferError("Offer not found", 404);
+    }
+
+    if (offer.status !== "PENDING") {
+      throw new OfferError(`This offer was already ${offer.status.toLowerCase()}`, 409);
+    }
+
+    if (offer.proposedById === userId) {
+      throw new OfferError("You cannot answer your own offer", 403);
+    }
+
+    const status = action === "accept" ? "ACCEPTED" : action === "decline" ? "DECLINED" : "COUNTERED";
+
+    // Only move it if it is still pending (the other side may have answered at the same time)
+    const updated = await tx.offer.updateMany({
+      where: { id: offerId, status: "PENDING" },
+      data: { status, respondedAt: new Date() }
+    });
+
+    if (updated.count === 0) {
+      throw new OfferError("This offer was just answered, please refresh", 409);
+    }
+
+    if (action === "accept") {
+      const [order] = await placeOrdersWithClient(tx, offer.buyerId, [
+        { produceId: offer.produceId, quantity: offer.quantity, price: offer.price }
+      ]);
+
+      const acceptedOffer = await tx.offer.update({
+        where: { id: offerId },
+        data: { orderId: order.id },
+        include: offerInclude
+      });
+
+      const message = await createOfferMessage(tx, "accepted", userId, acceptedOffer, offer.produce.name, order.id);
+
+      return { offer: acceptedOffer, message, order };
+    }
+
+    if (action === "counter") {
+      if (!counter) {
+        throw new OfferError("Counter offer needs a price and quantity");
+      }
+
+      const counterOffer = await tx.offer.create({
+        data: {
+          price: counter.price,
+          quantity: counter.quantity,
+          note: counter.note,
+          produceId: offer.produceId,
+          buyerId: offer.buyerId,
+          farmerId: offer.farmerId,
+          proposedById: userId,
+          conversationId: offer.conversationId,
+          parentOfferId: offer.id
+        },
+        include: offerInclude
+      });
+
+      const message = await createOfferMessage(tx, "countered", userId, counterOffer, offer.produce.name);
+      const counteredOffer = await tx.offer.findUniqueOrThrow({ where: { id: offerId }, include: offerInclude });
+
+      return { offer: counteredOffer, message, counterOffer };
+    }
+
+    const declinedOffer = await tx.offer.findUniqueOrThrow({ where: { id: offerId }, include: offerInclude });
+    const message = await createOfferMessage(tx, "declined", userId, declinedOffer, offer.produce.name);
+
+    return { offer: declinedOffer, message };
+  });
+
+  if ("order" in result && result.order && result.order.buyerId === userId) {
+    notifyOrdersPlaced([result.order]);
+  }
+
+  return result;
+}
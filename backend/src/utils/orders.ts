@@ -0,0 +1,487 @@
+import { OrderStatus, Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { queueNotification } from "./notifications";
+import { isAccountActive } from "./accountStatus";
+import { HttpError } from "./httpError";
+
+/**
+ * Error raised while placing or updating an order.
+ */
+export class OrderError extends HttpError {}
+
+export interface OrderItemInput {
+  produceId: string;
+  quantity: number;
+  price?: number; // Agreed price override (e.g. from a negotiated offer)
+}
+
+// What we return with every order so the frontend can render it directly
+export const orderInclude = {
+  items: {
+    include: {
+      produce: {
+        select: {
+          id: true,
+          name: true,
+          images: true,
+          farmerId: true,
+          farmer: {
+            select: {
+              id: true,
+              name: true,
+              location: true
+            }
+          }
+        }
+      }
+    }
+  },
+  buyer: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true
+    }
+  }
+} satisfies Prisma.OrderInclude;
+
+/**
+ * Round money values to 2 decimals to avoid float noise like 149.99999
+ */
+export function roundMoney(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * HELPER FUNCTION: Merge duplicate lines for the same produce
+ *
+ * EXPLANATION:
+ * A cart may contain the same produce twice (added from two pages).
+ * We add the quantities together so stock is checked once per produce.
+ */
+function mergeItems(items: OrderItemInput[]): OrderItemInput[] {
+  const merged = new Map<string, OrderItemInput>();
+
+  for (const item of items) {
+    const existing = merged.get(item.produceId);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      merged.set(item.produceId, { ...item });
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Validate the raw `items` array from a request body
+ *
+ * @param items - Untrusted request input
+ * @returns Cleaned order lines
+ */
+export function parseOrderItems(items: unknown): OrderItemInput[] {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new OrderError("At least one item is required");
+  }
+
+  return items.map((item: any) => {
+    const quantity = parseFloat(item?.quantity);
+
+    if (!item?.produceId || typeof item.produceId !== "string") {
+      throw new OrderError("Each item needs a produceId");
+    }
+
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new OrderError("Each item needs a positive quantity");
+    }
+
+    return { produceId: item.produceId, quantity };
+  });
+}
+
+/**
+ * Place orders inside an existing transaction
+ *
+ * @param tx - Prisma transaction client
+ * @param buyerId - The buyer placing the order
+ * @param items - Produce lines to buy
+ * @returns One order per farmer, with items included
+ *
+ * EXPLANATION:
+ * A cart can hold produce from several farmers. Each farmer confirms and
+ * delivers their own part, so we split the cart into one order per farmer.
+ * For every line we:
+ *   1. check the produce is AVAILABLE and has enough stock
+ *   2. snapshot the unit price into OrderItem.price
+ *   3. decrement Produce.quantity (guarded, so two buyers can't both take the last unit)
+ *   4. mark the produce SOLD_OUT once its stock reaches zero
+ * If any line fails, the whole transaction rolls back and nothing is bought.
+ */
+export async function placeOrdersWithClient(
+  tx: Prisma.TransactionClient,
+  buyerId: string,
+  items: OrderItemInput[]
+) {
+  const lines = mergeItems(items);
+
+  const produceList = await tx.produce.findMany({
+    where: { id: { in: lines.map(line => line.produceId) } },
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      quantity: true,
+      status: true,
+      farmerId: true,
+      farmer: {
+        select: { status: true, statusUntil: true }
+      }
+    }
+  });
+  const produceById = new Map(produceList.map(p => [p.id, p]));
+
+  // Group validated lines by farmer
+  const linesByFarmer = new Map<string, { produceId: string; quantity: number; price: number }[]>();
+
+  for (const line of lines) {
+    const produce = produceById.get(line.produceId);
+
+    if (!produce) {
+      throw new OrderError(`Product ${line.produceId} not found`, 404);
+    }
+
+    if (produce.farmerId === buyerId) {
+      throw new OrderError(`You cannot buy your own product (${produce.name})`);
+    }
+
+    // A suspended or banned farmer's listings can't be bought
+    if (produce.status !== "AVAILABLE" || !isAccountActive(produce.farmer)) {
+      throw new OrderError(`${produce.name} is not available for purchase`, 409);
+    }
+
+    if (line.quantity > produce.quantity) {
+      throw new OrderError(
+        `Only ${produce.quantity} of ${produce.name} left in stock`,
+        409
+      );
+    }
+
+    // Decrement stock only if it is still there (protects against concurrent checkouts)
+    const decremented = await tx.produce.updateMany({
+      where: {
+        id: produce.id,
+        status: "AVAILABLE",
+        quantity: { gte: line.quantity }
+      },
+      data: {
+        quantity: { decrement: line.quantity }
+      }
+    });
+
+    if (decremented.count === 0) {
+      throw new OrderError(`${produce.name} was just bought by someone else, please review your cart`, 409);
+    }
+
+    await tx.produce.updateMany({
+      where: { id: produce.id, quantity: { lte: 0 } },
+      data: { status: "SOLD_OUT" }
+    });
+
+    const farmerLines = linesByFarmer.get(produce.farmerId) || [];
+    farmerLines.push({
+      produceId: produce.id,
+      quantity: line.quantity,
+      price: line.price ?? produce.price
+    });
+    linesByFarmer.set(produce.farmerId, farmerLines);
+  }
+
+  const orders = [];
+  for (const farmerLines of linesByFarmer.values()) {
+    const order = await tx.order.create({
+      data: {
+        buyerId,
+        status: "PENDING",
+        totalAmount: roundMoney(
+          farmerLines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+        ),
+        items: {
+          create: farmerLines
+        }
+      },
+      include: orderInclude
+    });
+    orders.push(order);
+  }
+
+  return orders;
+}
+
+/**
+ * Place orders for a buyer's cart in a single transaction
+ *
+ * @param buyerId - The buyer placing the order
+ * @param items - Produce lines to buy
+ * @returns One order per farmer
+ */
+export async function placeOrders(buyerId: string, items: OrderItemInput[]) {
+  return prisma.$transaction((tx: Prisma.TransactionClient) => placeOrdersWithClient(tx, buyerId, items));
+}
+
+/**
+ * Allowed order status transitions.
+ * DELIVERED and CANCELLED are final - nothing moves out of them.
+ */
+export const ORDER_TRANSITIONS: Record<OrderStatus, OrderStatus[]> = {
+  PENDING: ["CONFIRMED", "CANCELLED"],
+  CONFIRMED: ["DELIVERED", "CANCELLED"],
+  DELIVERED: [],
+  CANCELLED: []
+};
+
+export function canTransition(from: OrderStatus, to: OrderStatus): boolean {
+  return ORDER_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Read an optional ?status= list filter
+ *
+ * @returns The status, or undefined for "all" / no filter
+ */
+export function parseOrderStatusFilter(value: unknown): OrderStatus | undefined {
+  if (value === undefined || value === "" || value === "all") return undefined;
+
+  const statuses = Object.keys(ORDER_TRANSITIONS) as OrderStatus[];
+  const status = String(value).toUpperCase() as OrderStatus;
+  if (!statuses.includes(status)) {
+    throw new OrderError(`status must be all or one of: ${statuses.join(", ")}`);
+  }
+  return status;
+}
+
+// An order counts as a sale (farmer) / an order (buyer) once the farmer confirmed it,
+// and its money counts as revenue / spent once it is delivered.
+const countsAsSale = (status: OrderStatus) => status === "CONFIRMED" || status === "DELIVERED";
+const countsAsRevenue = (status: OrderStatus) => status === "DELIVERED";
+
+/**
+ * HELPER FUNCTION: Keep FarmerProfile / BuyerProfile counters in sync with a transition
+ *
+ * EXPLANATION:
+ * Instead of recounting every order, we add or remove this order's contribution.
+ * e.g. CONFIRMED -> CANCELLED removes one sale, DELIVERED adds the revenue.
+ */
+async function applyCounterChanges(
+  tx: Prisma.TransactionClient,
+  order: { buyerId: string; totalAmount: number; items: { quantity: number; price: number; produce: { farmerId: string } }[] },
+  from: OrderStatus,
+  to: OrderStatus
+) {
+  const salesDelta = Number(countsAsSale(to)) - Number(countsAsSale(from));
+  const revenueDelta = Number(countsAsRevenue(to)) - Number(countsAsRevenue(from));
+
+  if (salesDelta === 0 && revenueDelta === 0) return;
+
+  // Revenue per farmer (an order normally belongs to a single farmer)
+  const revenueByFarmer = new Map<string, number>();
+  for (const item of order.items) {
+    revenueByFarmer.set(
+      item.produce.farmerId,
+      (revenueByFarmer.get(item.produce.farmerId) || 0) + item.price * item.quantity
+    );
+  }
+
+  for (const [farmerId, revenue] of revenueByFarmer) {
+    const totalRevenue = roundMoney(revenueDelta * revenue);
+
+    await tx.farmerProfile.upsert({
+      where: { userId: farmerId },
+      update: {
+        totalSales: { increment: salesDelta },
+        totalRevenue: { increment: totalRevenue }
+      },
+      create: {
+        userId: farmerId,
+        totalSales: Math.max(salesDelta, 0),
+        totalRevenue: Math.max(totalRevenue, 0)
+      }
+    });
+  }
+
+  const totalSpent = roundMoney(revenueDelta * order.totalAmount);
+
+  await tx.buyerProfile.upsert({
+    where: { userId: order.buyerId },
+    update: {
+      totalOrders: { increment: salesDelta },
+      totalSpent: { increment: totalSpent }
+    },
+    create: {
+      userId: order.buyerId,
+      totalOrders: Math.max(salesDelta, 0),
+      totalSpent: Math.max(totalSpent, 0),
+      favoriteCount: 0
+    }
+  });
+}
+
+/**
+ * HELPER FUNCTION: Put the stock of a cancelled order back on the produce rows
+ */
+async function restockOrderItems(
+  tx: Prisma.TransactionClient,
+  items: { produceId: string; quantity: number }[]
+) {
+  for (const item of items) {
+    await tx.produce.update({
+      where: { id: item.produceId },
+      data: { quantity: { increment: item.quantity } }
+    });
+
+    // A sold out listing becomes available again (INACTIVE listings stay hidden)
+    await tx.produce.updateMany({
+      where: { id: item.produceId, status: "SOLD_OUT", quantity: { gt: 0 } },
+      data: { status: "AVAILABLE" }
+    });
+  }
+}
+
+/**
+ * Move an order to a new status
+ *
+ * @param orderId - The order to update
+ * @param to - Target status
+ * @param options.from - Only change the order if it is in one of these statuses
+ *   (e.g. buyers may cancel PENDING orders but not CONFIRMED ones)
+ * @returns The updated order with items included
+ *
+ * EXPLANATION:
+ * Everything happens in one transaction:
+ *   1. reject transitions that are not in ORDER_TRANSITIONS (e.g. CANCELLED -> DELIVERED)
+ *      or that start from a status not in `from`
+ *   2. update the status only if nobody changed it in the meantime
+ *   3. put stock back when the order is cancelled
+ *   4. update the denormalised profile counters
+ * Who is allowed to trigger which transition is checked by the routes.
+ */
+export async function transitionOrder(orderId: string, to: OrderStatus, options: { from?: OrderStatus[] } = {}) {
+  return prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        items: {
+          include: {
+            produce: { select: { farmerId: true } }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new OrderError("Order not found", 404);
+    }
+
+    if (!canTransition(order.status, to)) {
+      throw new OrderError(`Cannot change order from ${order.status} to ${to}`, 409);
+    }
+
+    const from = options.from ?? [order.status];
+    if (!from.includes(order.status)) {
+      throw new OrderError(
+        `Only ${from.map((status) => status.toLowerCase()).join(" or ")} orders can be changed to ${to.toLowerCase()}`,
+        409
+      );
+    }
+
+    // Guarded on the status read above (one of `from`): if it changed since, nothing is updated
+    const updated = await tx.order.updateMany({
+      where: { id: orderId, status: order.status },
+      data: { status: to }
+    });
+
+    if (updated.count === 0) {
+      throw new OrderError("Order was updated by someone else, please refresh", 409);
+    }
+
+    if (to === "CANCELLED") {
+      await restockOrderItems(tx, order.items);
+    }
+
+    await applyCounterChanges(tx, order, order.status, to);
+
+    return tx.order.findUniqueOrThrow({
+      where: { id: orderId },
+      include: orderInclude
+    });
+  });
+}
+
+// The part of an order (with orderInclude) the notifications need
+interface OrderSummary {
+  id: string;
+  buyerId: string;
+  status: OrderStatus;
+  totalAmount: number;
+  buyer: { name: string | null };
+  items: { produce: { name: string; farmerId: string } }[];
+}
+
+/**
+ * HELPER FUNCTION: "Teff, Maize" for the first few products in an order
+ */
+function describeOrderItems(order: OrderSummary): string {
+  const names = [...new Set(order.items.map((item) => item.produce.name))];
+  return names.length > 3 ? `${names.slice(0, 3).join(", ")} and ${names.length - 3} more` : names.join(", ");
+}
+
+const STATUS_UPDATES: Partial<Record<OrderStatus, { title: string; verb: string }>> = {
+  CONFIRMED: { title: "Order confirmed", verb: "was confirmed" },
+  DELIVERED: { title: "Order delivered", verb: "was marked as delivered" },
+  CANCELLED: { title: "Order cancelled", verb: "was cancelled" }
+};
+
+/**
+ * Tell each farmer about a new order for their produce
+ *
+ * @param orders - Orders just placed (one per farmer, as placeOrders returns them)
+ */
+export function notifyOrdersPlaced(orders: OrderSummary[]): void {
+  for (const order of orders) {
+    const farmerId = order.items[0]?.produce.farmerId;
+    if (!farmerId) continue;
+
+    queueNotification({
+      userId: farmerId,
+      type: "order",
+      title: "New order",
+      message: `${order.buyer.name || "A buyer"} ordered ${describeOrderItems(order)} (${order.totalAmount} ETB).`,
+      metadata: { orderId: order.id, status: order.status }
+    });
+  }
+}
+
+/**
+ * Tell the other side of an order that its status changed
+ *
+ * @param order - The order after the transition
+ * @param actorId - Who changed it; they are not notified
+ */
+export function notifyOrderStatusChanged(order: OrderSummary, actorId: string): void {
+  const update = STATUS_UPDATES[order.status];
+  if (!update) return;
+
+  const farmerId = order.items[0]?.produce.farmerId;
+  const recipients = [order.buyerId, farmerId].filter((id): id is string => !!id && id !== actorId);
+
+  for (const userId of recipients) {
+    queueNotification({
+      userId,
+      type: "order",
+      title: update.title,
+      message: `The order of ${describeOrderItems(order)} (${order.totalAmount} ETB) ${update.verb}.`,
+      metadata: { orderId: order.id, status: order.status }
+    });
+  }
+}
@@ -0,0 +1,111 @@
+import { prisma } from "./prisma";
+
+// Every open socket of every online user (one per tab or device)
+const userSockets = new Map<string, Set<string>>(); // userId -> socketIds
+
+export interface Presence {
+  userId: string;
+  online: boolean;
+  lastSeenAt: Date | null;
+}
+
+/**
+ * Record a newly connected socket
+ *
+ * @returns true when this is the user's first socket, i.e. they just came online
+ */
+export function addUserSocket(userId: string, socketId: string): boolean {
+  const sockets = userSockets.get(userId);
+
+  if (sockets) {
+    sockets.add(socketId);
+    return false;
+  }
+
+  userSockets.set(userId, new Set([socketId]));
+  return true;
+}
+
+/**
+ * Forget a disconnected socket
+ *
+ * @returns true when it was the user's last socket, i.e. they just went offline
+ */
+export function removeUserSocket(userId: string, socketId: string): boolean {
+  const sockets = userSockets.get(userId);
+  if (!sockets) return false;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+
+  userSockets.delete(userId);
+  return true;
+}
+
+/**
+ * Get all currently online user IDs
+ */
+export function getOnlineUsers(): string[] {
+  return Array.from(userSockets.keys());
+}
+
+/**
+ * Check if a user has at least one open socket
+ */
+export function isUserOnline(userId: string): boolean {
+  return userSockets.has(userId);
+}
+
+/**
+ * Store when a user was last seen (their last socket closed)
+ */
+export async function markLastSeen(userId: string, at = new Date()): Promise<Date> {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { lastSeenAt: at }
+  });
+  return at;
+}
+
+/**
+ * Everyone a user shares a conversation with
+ *
+ * Presence is only shared with them, not with every connected user.
+ */
+export async function getConversationPartnerIds(userId: string): Promise<string[]> {
+  const partners = await prisma.conversationParticipant.findMany({
+    where: {
+      userId: { not: userId },
+      conversation: {
+        participants: { some: { userId } }
+      }
+    },
+    select: { userId: true },
+    distinct: ["userId"]
+  });
+
+  return partners.map((partner: { userId: string }) => partner.userId);
+}
+
+/**
+ * Online status and last-seen time of some users
+ *
+ * @returns One entry per user that exists, in the order asked
+ */
+export async function getPresence(userIds: string[]): Promise<Presence[]> {
+  if (userIds.length === 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds } },
+    select: { id: true, lastSeenAt: true }
+  });
+  const lastSeen = new Map<string, Date | null>(users.map((user: { id: string; lastSeenAt: Date | null }) => [user.id, user.lastSeenAt]));
+
+  return userIds
+    .filter((userId) => lastSeen.has(userId))
+    .map((userId) => ({
+      userId,
+      online: isUserOnline(userId),
+      lastSeenAt: lastSeen.get(userId) ?? null
+    }));
+}
@@ -0,0 +1,126 @@
+import { prisma } from "./prisma";
+import { createNotification } from "./notifications";
+
+export const PRICE_ALERT_CONDITIONS = ["above", "below"] as const;
+export type PriceAlertCondition = typeof PRICE_ALERT_CONDITIONS[number];
+
+interface PricePoint {
+  id: string;
+  cropName: string;
+  currentPrice: number;
+  unit: string;
+  region: string;
+  marketSession: string;
+}
+
+/**
+ * Does `price` satisfy the alert's condition?
+ */
+export function isAlertMet(condition: string, targetPrice: number, price: number): boolean {
+  if (condition === "above") return price >= targetPrice;
+  if (condition === "below") return price <= targetPrice;
+  return false;
+}
+
+/**
+ * Check the armed price alerts for a crop and market against a freshly written market price
+ *
+ * @param price - The MarketPrice row that was just created or updated
+ * @returns How many alerts were triggered
+ *
+ * EXPLANATION:
+ * An alert is "armed" while it is active and has not triggered yet. It only
+ * watches prices from its own region, and from its market session if it has one.
+ * When the new price crosses the target we:
+ *   1. set triggeredAt (only if nobody else did - two price writes can race)
+ *   2. save a Notification and push it over the socket to the farmer
+ * Farmers who switched off UserSettings.marketAlerts are skipped, their
+ * alerts stay armed until they switch alerts back on.
+ * A triggered alert fires once; updating it in the API re-arms it.
+ */
+export async function evaluatePriceAlerts(price: PricePoint): Promise<number> {
+  const alerts = await prisma.priceAlert.findMany({
+    where: {
+      isActive: true,
+      triggeredAt: null,
+      cropName: {
+        equals: price.cropName,
+        mode: "insensitive"
+      },
+      region: {
+        equals: price.region,
+        mode: "insensitive"
+      },
+      OR: [
+        { marketSession: null },
+        { marketSession: { equals: price.marketSession, mode: "insensitive" } }
+      ]
+    },
+    include: {
+      farmer: {
+        select: {
+          settings: {
+            select: { marketAlerts: true }
+          }
+        }
+      }
+    }
+  });
+
+  let triggered = 0;
+
+  for (const alert of alerts) {
+    // Default settings have marketAlerts on, so a missing row means "notify"
+    if (alert.farmer.settings && !alert.farmer.settings.marketAlerts) continue;
+
+    if (!isAlertMet(alert.condition, alert.targetPrice, price.currentPrice)) continue;
+
+    const claimed = await prisma.priceAlert.updateMany({
+      where: { id: alert.id, triggeredAt: null },
+      data: { triggeredAt: new Date() }
+    });
+
+    if (claimed.count === 0) continue;
+
+    await createNotification({
+      userId: alert.farmerId,
+      type: "price_alert",
+      title: `${price.cropName} price alert`,
+      message: `${price.cropName} is now ${price.currentPrice} ETB/${price.unit} in ${price.region} (${price.marketSession}), ` +
+        `${alert.condition} your target of ${alert.targetPrice} ETB`,
+      metadata: {
+        alertId: alert.id,
+        marketPriceId: price.id,
+        cropName: price.cropName,
+        condition: alert.condition,
+        targetPrice: alert.targetPrice,
+        currentPrice: price.currentPrice,
+        unit: price.unit,
+        region: price.region,
+        marketSession: price.marketSession
+      }
+    });
+
+    triggered++;
+  }
+
+  if (triggered > 0) {
+    console.log(`🔔 Triggered ${triggered} price alerts for ${price.cropName}`);
+  }
+
+  return triggered;
+}
+
+/**
+ * Evaluate price alerts in the background, without making the caller wait
+ *
+ * Price writes (admin edits, imports) should not fail or slow down
+ * because a notification could not be delivered.
+ */
+export function queuePriceAlertEvaluation(price: PricePoint): void {
+  setImmediate(() => {
+    evaluatePriceAlerts(price).catch((error) => {
+      console.error(`❌ Error evaluating price alerts for ${price.cropName}:`, error);
+    });
+  });
+}
@@ -0,0 +1,199 @@
+import { prisma } from "./prisma";
+import { PriceUnit, STANDARD_PRICE_UNIT, convertUnitPrice, normalizeUnit } from "./units";
+
+// How far back market observations count as "recent"
+const MARKET_LOOKBACK_DAYS = 30;
+
+// A price this far from the median (as a ratio) gets a warning
+const HIGH_PRICE_RATIO = 1.5;
+const LOW_PRICE_RATIO = 0.6;
+
+export interface PricingAdviceInput {
+  farmerId: string;
+  cropName: string;
+  unit?: string;
+  categoryName?: string;
+  price?: number;
+  excludeProduceId?: string;
+}
+
+/**
+ * HELPER FUNCTION: Value at percentile `p` (0-100) of a sorted list
+ *
+ * Uses linear interpolation between the two nearest values.
+ */
+function percentileOf(sorted: number[], p: number): number {
+  if (sorted.length === 1) return sorted[0];
+
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * HELPER FUNCTION: Where `value` ranks among `sorted` (0-100)
+ *
+ * Ties count half, so a price equal to every sample sits at the 50th percentile.
+ */
+function percentileRank(sorted: number[], value: number): number {
+  const below = sorted.filter((sample) => sample < value).length;
+  const equal = sorted.filter((sample) => sample === value).length;
+
+  return Math.round(((below + equal / 2) / sorted.length) * 100);
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * HELPER FUNCTION: Pick the market region that matches the farmer's location
+ *
+ * Board regions are typed by admins, so we compare them with the farmer's
+ * geocoded region first and otherwise look for a board region whose name
+ * appears in the location text ("Bahir Dar, Amhara").
+ */
+async function findFarmerRegion(farmerId: string, cropName: string): Promise<string | null> {
+  const farmer = await prisma.user.findUnique({
+    where: { id: farmerId },
+    select: { location: true, region: true }
+  });
+
+  const location = farmer?.location?.toLowerCase();
+  if (!location && !farmer?.region) return null;
+
+  const regions = await prisma.marketPrice.findMany({
+    where: { cropName: { equals: cropName, mode: "insensitive" } },
+    select: { region: true },
+    distinct: ["region"]
+  });
+
+  const match =
+    regions.find((row: { region: string }) => row.region.toLowerCase() === farmer?.region?.toLowerCase()) ||
+    regions.find((row: { region: string }) => location && location.includes(row.region.toLowerCase()));
+  return match ? match.region : null;
+}
+
+/**
+ * Suggest a listing price from market data and competing listings
+ *
+ * @param input - The crop being listed, its unit, and optionally the price the farmer has in mind
+ * @returns Suggested range, where the proposed price ranks, and a warning if it looks off
+ *
+ * EXPLANATION:
+ * We build one sample of comparable prices, all converted to the listing's unit:
+ *   1. MarketPrice observations for this crop over the last 30 days,
+ *      from the farmer's region when we have any, otherwise every region
+ *   2. Other farmers' AVAILABLE listings in the same category
+ * The suggested range is the middle half of that sample (25th - 75th percentile).
+ * A proposed price above 1.5x or below 0.6x the median gets a warning.
+ */
+export async function getPricingAdvice(input: PricingAdviceInput) {
+  const unit: PriceUnit = normalizeUnit(input.unit) || STANDARD_PRICE_UNIT;
+  const since = new Date(Date.now() - MARKET_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const region = await findFarmerRegion(input.farmerId, input.cropName);
+
+  const marketWhere: any = {
+    cropName: { equals: input.cropName, mode: "insensitive" },
+    observedAt: { gte: since }
+  };
+
+  let observations = await prisma.marketPriceHistory.findMany({
+    where: region ? { ...marketWhere, region } : marketWhere,
+    select: { price: true, unit: true }
+  });
+
+  // No regional data yet, fall back to every region
+  if (region && observations.length === 0) {
+    observations = await prisma.marketPriceHistory.findMany({
+      where: marketWhere,
+      select: { price: true, unit: true }
+    });
+  }
+
+  const listingWhere: any = {
+    status: "AVAILABLE",
+    farmerId: { not: input.farmerId }
+  };
+
+  if (input.excludeProduceId) {
+    listingWhere.id = { not: input.excludeProduceId };
+  }
+
+  if (input.categoryName) {
+    listingWhere.category = { name: { equals: input.categoryName, mode: "insensitive" } };
+  } else {
+    listingWhere.name = { contains: input.cropName, mode: "insensitive" };
+  }
+
+  const listings = await prisma.produce.findMany({
+    where: listingWhere,
+    select: { price: true, unit: true },
+    orderBy: { updatedAt: "desc" },
+    take: 200
+  });
+
+  const toUnit = (price: number, from: string) =>
+    convertUnitPrice(price, normalizeUnit(from) || STANDARD_PRICE_UNIT, unit);
+
+  const marketPrices = observations.map((row: { price: number; unit: string }) => toUnit(row.price, row.unit));
+  const listingPrices = listings.map((row: { price: number; unit: string }) => toUnit(row.price, row.unit));
+  const sample = [...marketPrices, ...listingPrices].sort((a, b) => a - b);
+
+  const sources = {
+    region: region || "All regions",
+    marketObservations: marketPrices.length,
+    activeListings: listingPrices.length,
+    lookbackDays: MARKET_LOOKBACK_DAYS
+  };
+
+  if (sample.length === 0) {
+    return {
+      cropName: input.cropName,
+      unit,
+      suggestedRange: null,
+      median: null,
+      proposedPrice: input.price ?? null,
+      percentile: null,
+      warning: "Not enough market data for this crop yet, compare with nearby markets before listing",
+      sources
+    };
+  }
+
+  const median = round(percentileOf(sample, 50));
+  const suggestedRange = {
+    min: round(percentileOf(sample, 25)),
+    max: round(percentileOf(sample, 75))
+  };
+
+  let percentile: number | null = null;
+  let warning: string | null = null;
+
+  if (input.price !== undefined) {
+    percentile = percentileRank(sample, input.price);
+
+    if (input.price > median * HIGH_PRICE_RATIO) {
+      warning = `${input.price} ETB/${unit} is well above the market (median ${median} ETB/${unit}), buyers may pass on it`;
+    } else if (input.price < median * LOW_PRICE_RATIO) {
+      warning = `${input.price} ETB/${unit} is well below the market (median ${median} ETB/${unit}), you may be underselling`;
+    }
+  }
+
+  if (!warning && sample.length < 5) {
+    warning = "Based on very few prices, treat this suggestion as rough";
+  }
+
+  return {
+    cropName: input.cropName,
+    unit,
+    suggestedRange,
+    median,
+    proposedPrice: input.price ?? null,
+    percentile,
+    warning,
+    sources
+  };
+}
@@ -0,0 +1,150 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { emitToConversation, emitToUser } from "./socket";
+import { HttpError } from "./httpError";
+
+/**
+ * Error raised when a read receipt can't be recorded.
+ */
+export class ReadReceiptError extends HttpError {}
+
+/**
+ * Who has read up to where in a conversation
+ */
+export interface ReadReceipt {
+  conversationId: string;
+  userId: string;
+  messageId: string | null;
+  readAt: Date | null;
+}
+
+/**
+ * Unread message counts of a user, per conversation
+ *
+ * @param userId - The reader
+ * @param conversationIds - Only count these conversations (default: all of the user's)
+ * @returns conversationId -> unread count, with an entry for every conversation counted
+ *
+ * EXPLANATION:
+ * Every participant has a read cursor (lastReadMessageId). A message is
+ * unread when someone else sent it after the cursor. Without a cursor the
+ * count starts from when the user joined, so people added to a group aren't
+ * greeted with its whole history as unread. System messages (member changes)
+ * never count.
+ */
+export async function getUnreadCounts(userId: string, conversationIds?: string[]): Promise<Map<string, number>> {
+  if (conversationIds && conversationIds.length === 0) return new Map();
+
+  const only = conversationIds
+    ? Prisma.sql`AND cp."conversationId" IN (${Prisma.join(conversationIds)})`
+    : Prisma.empty;
+
+  const rows = await prisma.$queryRaw<{ conversationId: string; unread: bigint }[]>`
+    SELECT cp."conversationId", COUNT(m."id") AS unread
+    FROM "conversation_participant" cp
+    LEFT JOIN "message" lr ON lr."id" = cp."lastReadMessageId"
+    LEFT JOIN "message" m
+      ON m."conversationId" = cp."conversationId"
+      AND m."senderId" <> cp."userId"
+      AND m."type" <> 'SYSTEM'
+      AND m."createdAt" > COALESCE(lr."createdAt", cp."joinedAt")
+    WHERE cp."userId" = ${userId} ${only}
+    GROUP BY cp."conversationId"
+  `;
+
+  return new Map<string, number>(rows.map((row: { conversationId: string; unread: bigint }) => [row.conversationId, Number(row.unread)]));
+}
+
+/**
+ * Total unread messages of a user across all conversations (for the badge)
+ */
+export async function countUnreadMessages(userId: string): Promise<number> {
+  const counts = await getUnreadCounts(userId);
+  let total = 0;
+  for (const unread of counts.values()) total += unread;
+  return total;
+}
+
+/**
+ * Move a user's read cursor in a conversation
+ *
+ * @param conversationId - The conversation being read
+ * @param userId - The reader, who must be a participant
+ * @param messageId - Read up to this message (default: the latest one)
+ * @returns The receipt, and the user's new total unread count
+ *
+ * EXPLANATION:
+ * The cursor only moves forward, so a device that was offline and reports
+ * an older message can't mark newer ones unread again. When it moves,
+ * everyone in the conversation gets "messages_read" with the receipt, and
+ * the reader's other devices get "chat_unread_count" for their badge.
+ * In 1-on-1 chats Message.isRead is kept up to date too, for older clients.
+ */
+export async function markConversationRead(conversationId: string, userId: string, messageId?: string) {
+  const participant = await prisma.conversationParticipant.findUnique({
+    where: { conversationId_userId: { conversationId, userId } },
+    include: {
+      conversation: { select: { isGroup: true } },
+      lastReadMessage: { select: { id: true, createdAt: true } }
+    }
+  });
+
+  if (!participant) {
+    throw new ReadReceiptError("You are not part of this conversation", 404);
+  }
+
+  const target = messageId
+    ? await prisma.message.findFirst({
+        where: { id: messageId, conversationId },
+        select: { id: true, createdAt: true }
+      })
+    : await prisma.message.findFirst({
+        where: { conversationId },
+        orderBy: { createdAt: "desc" },
+        select: { id: true, createdAt: true }
+      });
+
+  if (messageId && !target) {
+    throw new ReadReceiptError("Message not found in this conversation", 404);
+  }
+
+  const current = participant.lastReadMessage;
+  const moves = target !== null && (!current || target.createdAt > current.createdAt);
+
+  let receipt: ReadReceipt = {
+    conversationId,
+    userId,
+    messageId: current?.id ?? null,
+    readAt: participant.lastReadAt
+  };
+
+  if (moves) {
+    const readAt = new Date();
+
+    await prisma.conversationParticipant.update({
+      where: { id: participant.id },
+      data: { lastReadMessageId: target.id, lastReadAt: readAt }
+    });
+
+    if (!participant.conversation.isGroup) {
+      await prisma.message.updateMany({
+        where: {
+          conversationId,
+          senderId: { not: userId },
+          isRead: false,
+          createdAt: { lte: target.createdAt }
+        },
+        data: { isRead: true }
+      });
+    }
+
+    receipt = { conversationId, userId, messageId: target.id, readAt };
+    emitToConversation(conversationId, "messages_read", receipt);
+  }
+
+  const unread = await countUnreadMessages(userId);
+  // Keep the badge in sync on the user's other devices
+  emitToUser(userId, "chat_unread_count", { unread });
+
+  return { receipt, unread };
+}
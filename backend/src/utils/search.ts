@@ -0,0 +1,390 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { activeAccountSql } from "./accountStatus";
+
+export const SEARCH_TYPES = ["produce", "article", "expert", "farmer"] as const;
+export type SearchType = (typeof SEARCH_TYPES)[number];
+
+const MAX_LIMIT = 50;
+
+export interface SearchOptions {
+  q: string;
+  types: SearchType[];
+  // Category only narrows produce and farmers, region everything but articles
+  category?: string;
+  region?: string;
+  limit: number;
+  page: number;
+}
+
+// The searchable text of each table. These must stay identical to the
+// expression indexes in migration 20261019150000_add_search_indexes.
+const PRODUCE_DOCUMENT = Prisma.sql`to_tsvector('english', coalesce(p."name", '') || ' ' || coalesce(p."description", ''))`;
+const ARTICLE_DOCUMENT = Prisma.sql`(setweight(to_tsvector('english', coalesce(a."title", '')), 'A') ||
+   setweight(to_tsvector('english', coalesce(a."excerpt", '') || ' ' || search_array_text(a."tags")), 'B') ||
+   setweight(to_tsvector('english', coalesce(a."content", '')), 'C'))`;
+const USER_DOCUMENT = Prisma.sql`to_tsvector('simple', coalesce(u."name", '') || ' ' || coalesce(u."location", ''))`;
+const EXPERTISE_DOCUMENT = Prisma.sql`to_tsvector('english', search_array_text(ep."expertise"))`;
+
+// ts_headline wraps matches in these; they become <mark> once the text is escaped
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+const SNIPPET_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+
+/**
+ * HELPER FUNCTION: Turn ts_headline output into safe HTML
+ *
+ * The text is user content, so it is escaped first and only our own
+ * <mark> tags are added back.
+ */
+function toHighlightHtml(text: string | null): string | null {
+  if (text === null) return null;
+
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .split(MATCH_START).join("<mark>")
+    .split(MATCH_END).join("</mark>");
+}
+
+function and(conditions: Prisma.Sql[]): Prisma.Sql {
+  return Prisma.join(conditions, " AND ");
+}
+
+/**
+ * Validate the query string of a search request
+ *
+ * @returns The options, or the list of problems
+ */
+export function parseSearchQuery(raw: any): { options?: SearchOptions; errors: string[] } {
+  const errors: string[] = [];
+
+  const q = typeof raw.q === "string" ? raw.q.trim() : "";
+  if (q.length < 2) errors.push("q must be at least 2 characters");
+  if (q.length > 200) errors.push("q must be at most 200 characters");
+
+  let types: SearchType[] = [...SEARCH_TYPES];
+  if (raw.types) {
+    const requested = String(raw.types).split(",").map((type) => type.trim().toLowerCase()).filter(Boolean);
+    const unknown = requested.filter((type) => !SEARCH_TYPES.includes(type as SearchType));
+
+    if (unknown.length > 0) {
+      errors.push(`Unknown types: ${unknown.join(", ")} (use ${SEARCH_TYPES.join(", ")})`);
+    } else {
+      types = requested as SearchType[];
+    }
+  }
+
+  const limit = raw.limit === undefined ? 5 : parseInt(raw.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const page = raw.page === undefined ? 1 : parseInt(raw.page);
+  if (!Number.isInteger(page) || page < 1) errors.push("page must be a positive number");
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    options: {
+      q,
+      types,
+      category: raw.category ? String(raw.category) : undefined,
+      region: raw.region ? String(raw.region) : undefined,
+      limit,
+      page
+    },
+    errors
+  };
+}
+
+/**
+ * HELPER FUNCTION: WHERE clause for produce matching the search
+ *
+ * Shared by the result query and the facet counts. Facets leave out their
+ * own filter so every category (or region) shows how many it would have.
+ */
+function produceWhere(options: SearchOptions, skip: { category?: boolean; region?: boolean } = {}) {
+  const query = Prisma.sql`websearch_to_tsquery('english', ${options.q})`;
+  const conditions = [
+    Prisma.sql`p."status" = 'AVAILABLE'`,
+    // Hide listings of suspended and banned farmers
+    Prisma.sql`EXISTS (SELECT 1 FROM "user" f WHERE f."id" = p."farmerId" AND ${activeAccountSql("f")})`,
+    Prisma.sql`(${PRODUCE_DOCUMENT} @@ ${query} OR ${options.q} <% p."name")`
+  ];
+
+  if (options.category && !skip.category) {
+    conditions.push(Prisma.sql`lower(c."name") = lower(${options.category})`);
+  }
+  if (options.region && !skip.region) {
+    conditions.push(Prisma.sql`lower(p."region") = lower(${options.region})`);
+  }
+
+  return and(conditions);
+}
+
+/**
+ * HELPER FUNCTION: WHERE clause for farmers matching the search
+ *
+ * A farmer matches on their name or location, or when they have an
+ * available listing that matches (searching "teff" finds teff farmers).
+ */
+function farmerWhere(options: SearchOptions, skip: { region?: boolean } = {}) {
+  const simpleQuery = Prisma.sql`websearch_to_tsquery('simple', ${options.q})`;
+  const conditions = [
+    Prisma.sql`u."role" = 'FARMER'`,
+    activeAccountSql("u"),
+    Prisma.sql`(${USER_DOCUMENT} @@ ${simpleQuery} OR ${options.q} <% u."name" OR EXISTS (
+      SELECT 1 FROM "produce" p
+      JOIN "category" c ON c."id" = p."categoryId"
+      WHERE p."farmerId" = u."id" AND ${produceWhere(options, { region: true })}
+    ))`
+  ];
+
+  if (options.category) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "produce" p
+      JOIN "category" c ON c."id" = p."categoryId"
+      WHERE p."farmerId" = u."id" AND p."status" = 'AVAILABLE' AND lower(c."name") = lower(${options.category})
+    )`);
+  }
+  if (options.region && !skip.region) {
+    conditions.push(Prisma.sql`lower(u."region") = lower(${options.region})`);
+  }
+
+  return and(conditions);
+}
+
+async function searchProduce(options: SearchOptions) {
+  const query = Prisma.sql`websearch_to_tsquery('english', ${options.q})`;
+
+  const rows = await prisma.$queryRaw<any[]>`
+    SELECT p."id", p."name", p."price", p."unit", p."images"[1] AS "image", p."region",
+           c."name" AS "category", u."id" AS "farmerId", u."name" AS "farmerName",
+           ts_headline('english', p."name", ${query}, ${TITLE_OPTIONS}) AS "title",
+           ts_headline('english', coalesce(p."description", ''), ${query}, ${SNIPPET_OPTIONS}) AS "snippet",
+           ts_rank(${PRODUCE_DOCUMENT}, ${query}) + word_similarity(${options.q}, p."name") AS "score",
+           COUNT(*) OVER() AS "total"
+    FROM "produce" p
+    JOIN "category" c ON c."id" = p."categoryId"
+    JOIN "user" u ON u."id" = p."farmerId"
+    WHERE ${produceWhere(options)}
+    ORDER BY "score" DESC, p."createdAt" DESC
+    LIMIT ${options.limit} OFFSET ${(options.page - 1) * options.limit}`;
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    items: rows.map((row: any) => ({
+      type: "produce" as const,
+      id: row.id,
+      name: row.name,
+      price: row.price,
+      unit: row.unit,
+      image: row.image,
+      region: row.region,
+      category: row.category,
+      farmer: { id: row.farmerId, name: row.farmerName },
+      score: Number(row.score),
+      highlight: { title: toHighlightHtml(row.title), snippet: toHighlightHtml(row.snippet) }
+    }))
+  };
+}
+
+async function searchArticles(options: SearchOptions) {
+  const query = Prisma.sql`websearch_to_tsquery('english', ${options.q})`;
+
+  const rows = await prisma.$queryRaw<any[]>`
+    SELECT a."id", a."title" AS "rawTitle", a."excerpt", a."coverImage", a."tags", a."publishedAt",
+           u."id" AS "authorId", u."name" AS "authorName",
+           ts_headline('english', a."title", ${query}, ${TITLE_OPTIONS}) AS "title",
+           ts_headline('english', coalesce(a."excerpt", '') || ' ' || a."content", ${query}, ${SNIPPET_OPTIONS}) AS "snippet",
+           ts_rank(${ARTICLE_DOCUMENT}, ${query}) + word_similarity(${options.q}, a."title") AS "score",
+           COUNT(*) OVER() AS "total"
+    FROM "article" a
+    JOIN "user" u ON u."id" = a."authorId"
+    WHERE a."isPublished" = true
+      AND ${activeAccountSql("u")}
+      AND (${ARTICLE_DOCUMENT} @@ ${query} OR ${options.q} <% a."title")
+    ORDER BY "score" DESC, a."publishedAt" DESC NULLS LAST
+    LIMIT ${options.limit} OFFSET ${(options.page - 1) * options.limit}`;
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    items: rows.map((row: any) => ({
+      type: "article" as const,
+      id: row.id,
+      title: row.rawTitle,
+      excerpt: row.excerpt,
+      coverImage: row.coverImage,
+      tags: row.tags,
+      publishedAt: row.publishedAt,
+      author: { id: row.authorId, name: row.authorName },
+      score: Number(row.score),
+      highlight: { title: toHighlightHtml(row.title), snippet: toHighlightHtml(row.snippet) }
+    }))
+  };
+}
+
+async function searchExperts(options: SearchOptions) {
+  const query = Prisma.sql`websearch_to_tsquery('english', ${options.q})`;
+  const simpleQuery = Prisma.sql`websearch_to_tsquery('simple', ${options.q})`;
+
+  const conditions = [
+    Prisma.sql`u."role" = 'EXPERT'`,
+    activeAccountSql("u"),
+    Prisma.sql`(${USER_DOCUMENT} @@ ${simpleQuery} OR ${EXPERTISE_DOCUMENT} @@ ${query} OR ${options.q} <% u."name")`
+  ];
+  if (options.region) {
+    conditions.push(Prisma.sql`lower(u."region") = lower(${options.region})`);
+  }
+
+  const rows = await prisma.$queryRaw<any[]>`
+    SELECT u."id", u."name" AS "rawName", u."image", u."location", u."region",
+           ep."expertise", ep."rating", ep."hourlyRate",
+           ts_headline('simple', coalesce(u."name", ''), ${simpleQuery}, ${TITLE_OPTIONS}) AS "title",
+           ts_headline('english', search_array_text(ep."expertise"), ${query}, ${TITLE_OPTIONS}) AS "snippet",
+           ts_rank(${USER_DOCUMENT}, ${simpleQuery}) + ts_rank(${EXPERTISE_DOCUMENT}, ${query})
+             + word_similarity(${options.q}, coalesce(u."name", '')) AS "score",
+           COUNT(*) OVER() AS "total"
+    FROM "user" u
+    LEFT JOIN "expert_profile" ep ON ep."userId" = u."id"
+    WHERE ${and(conditions)}
+    ORDER BY "score" DESC, ep."rating" DESC NULLS LAST
+    LIMIT ${options.limit} OFFSET ${(options.page - 1) * options.limit}`;
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    items: rows.map((row: any) => ({
+      type: "expert" as const,
+      id: row.id,
+      name: row.rawName,
+      image: row.image,
+      location: row.location,
+      region: row.region,
+      expertise: row.expertise || [],
+      rating: row.rating ?? 0,
+      hourlyRate: row.hourlyRate ?? 0,
+      score: Number(row.score),
+      highlight: { title: toHighlightHtml(row.title), snippet: toHighlightHtml(row.snippet) }
+    }))
+  };
+}
+
+async function searchFarmers(options: SearchOptions) {
+  const simpleQuery = Prisma.sql`websearch_to_tsquery('simple', ${options.q})`;
+
+  const rows = await prisma.$queryRaw<any[]>`
+    SELECT u."id", u."name" AS "rawName", u."image", u."location", u."region", fp."rating",
+           (SELECT COUNT(*) FROM "produce" p WHERE p."farmerId" = u."id" AND p."status" = 'AVAILABLE') AS "availableListings",
+           ts_headline('simple', coalesce(u."name", ''), ${simpleQuery}, ${TITLE_OPTIONS}) AS "title",
+           ts_headline('simple', coalesce(u."location", ''), ${simpleQuery}, ${TITLE_OPTIONS}) AS "snippet",
+           ts_rank(${USER_DOCUMENT}, ${simpleQuery}) + word_similarity(${options.q}, coalesce(u."name", '')) AS "score",
+           COUNT(*) OVER() AS "total"
+    FROM "user" u
+    LEFT JOIN "farmer_profile" fp ON fp."userId" = u."id"
+    WHERE ${farmerWhere(options)}
+    ORDER BY "score" DESC, fp."rating" DESC NULLS LAST
+    LIMIT ${options.limit} OFFSET ${(options.page - 1) * options.limit}`;
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    items: rows.map((row: any) => ({
+      type: "farmer" as const,
+      id: row.id,
+      name: row.rawName,
+      image: row.image,
+      location: row.location,
+      region: row.region,
+      rating: row.rating ?? 0,
+      availableListings: Number(row.availableListings),
+      score: Number(row.score),
+      highlight: { title: toHighlightHtml(row.title), snippet: toHighlightHtml(row.snippet) }
+    }))
+  };
+}
+
+/**
+ * HELPER FUNCTION: Facet counts for the matching produce and farmers
+ *
+ * category: produce per category
+ * region: produce plus farmers per region
+ */
+async function searchFacets(options: SearchOptions) {
+  const wantsProduce = options.types.includes("produce");
+  const wantsFarmers = options.types.includes("farmer");
+
+  const [categories, produceRegions, farmerRegions] = await Promise.all([
+    wantsProduce
+      ? prisma.$queryRaw<{ name: string; count: bigint }[]>`
+          SELECT c."name", COUNT(*) AS "count"
+          FROM "produce" p
+          JOIN "category" c ON c."id" = p."categoryId"
+          WHERE ${produceWhere(options, { category: true })}
+          GROUP BY c."name"
+          ORDER BY "count" DESC, c."name"`
+      : [],
+    wantsProduce
+      ? prisma.$queryRaw<{ name: string; count: bigint }[]>`
+          SELECT p."region" AS "name", COUNT(*) AS "count"
+          FROM "produce" p
+          JOIN "category" c ON c."id" = p."categoryId"
+          WHERE ${produceWhere(options, { region: true })} AND p."region" IS NOT NULL
+          GROUP BY p."region"`
+      : [],
+    wantsFarmers
+      ? prisma.$queryRaw<{ name: string; count: bigint }[]>`
+          SELECT u."region" AS "name", COUNT(*) AS "count"
+          FROM "user" u
+          WHERE ${farmerWhere(options, { region: true })} AND u."region" IS NOT NULL
+          GROUP BY u."region"`
+      : []
+  ]);
+
+  const regions = new Map<string, number>();
+  for (const row of [...produceRegions, ...farmerRegions]) {
+    regions.set(row.name, (regions.get(row.name) || 0) + Number(row.count));
+  }
+
+  return {
+    category: categories.map((row: { name: string; count: bigint }) => ({ name: row.name, count: Number(row.count) })),
+    region: [...regions.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  };
+}
+
+const SEARCHERS: Record<SearchType, (options: SearchOptions) => Promise<{ total: number; items: object[] }>> = {
+  produce: searchProduce,
+  article: searchArticles,
+  expert: searchExperts,
+  farmer: searchFarmers
+};
+
+/**
+ * Search produce, articles, experts and farmers at once
+ *
+ * @param options - Parsed with parseSearchQuery
+ * @returns Results grouped by type (each with its total), and facet counts
+ *
+ * EXPLANATION:
+ * Each type is matched two ways and scored by the sum of both:
+ *   1. full-text search (websearch syntax: several words, "quoted phrases", -exclude),
+ *      with English stemming so "tomatoes" finds "tomato"
+ *   2. trigram word similarity on the name / title, which catches typos ("tomatto")
+ * Highlights are HTML with the matched words wrapped in <mark>.
+ */
+export async function searchAll(options: SearchOptions) {
+  const [groups, facets] = await Promise.all([
+    Promise.all(options.types.map((type) => SEARCHERS[type](options))),
+    searchFacets(options)
+  ]);
+
+  return {
+    query: options.q,
+    results: Object.fromEntries(options.types.map((type, index) => [type, groups[index]])),
+    facets
+  };
+}
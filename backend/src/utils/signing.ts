@@ -0,0 +1,38 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+let generatedSecret: string | null = null;
+
+/**
+ * HELPER FUNCTION: The key our tokens and signed URLs are signed with
+ *
+ * SIGNING_SECRET, else Better Auth's own secret. In development without
+ * either we make one up per process, so signatures just stop working after
+ * a restart.
+ */
+function signingSecret(): string {
+  const secret = process.env.SIGNING_SECRET || process.env.BETTER_AUTH_SECRET;
+  if (secret) return secret;
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SIGNING_SECRET or BETTER_AUTH_SECRET must be set");
+  }
+
+  generatedSecret ??= randomBytes(32).toString("hex");
+  return generatedSecret;
+}
+
+/**
+ * HMAC-SHA256 signature of a value, base64url encoded
+ */
+export function signValue(value: string): string {
+  return createHmac("sha256", signingSecret()).update(value).digest("base64url");
+}
+
+/**
+ * Check a signature made by signValue, in constant time
+ */
+export function verifySignature(value: string, signature: string): boolean {
+  const expected = Buffer.from(signValue(value));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
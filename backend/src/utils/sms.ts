@@ -0,0 +1,250 @@
+import { prisma } from "./prisma";
+import { SmsDeliveryReport, SmsGateway, getSmsGateway } from "./smsGateways";
+
+// Most texts a user gets in 24 hours; the rest are skipped (they still see them in the app)
+const SMS_DAILY_LIMIT = Number(process.env.SMS_DAILY_LIMIT) || 5;
+
+// Longest text we send, in SMS segments (each one is billed)
+const SMS_MAX_SEGMENTS = Number(process.env.SMS_MAX_SEGMENTS) || 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Characters a GSM-7 message can carry; anything else (e.g. Amharic) needs UCS-2
+const GSM_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+// These take two GSM-7 characters (escape + char)
+const GSM_EXTENDED = "^{}\\[~]|€\f";
+
+// Look-alikes that would otherwise force the whole text into UCS-2 (less than half the room)
+const GSM_SUBSTITUTES: [RegExp, string][] = [
+  [/°/g, ""],
+  [/[‘’]/g, "'"],
+  [/[“”]/g, '"'],
+  [/[–—]/g, "-"],
+  [/…/g, "..."]
+];
+
+// Characters per message: one part, and each part of a longer (concatenated) message
+const LIMITS = {
+  "GSM-7": { single: 160, part: 153 },
+  "UCS-2": { single: 70, part: 67 }
+} as const;
+
+export type SmsEncoding = keyof typeof LIMITS;
+
+/**
+ * How a text will be sent: encoding, length in that encoding and segments
+ */
+export function measureSms(text: string) {
+  let gsmLength = 0;
+
+  for (const char of text) {
+    if (GSM_BASIC.includes(char)) {
+      gsmLength += 1;
+    } else if (GSM_EXTENDED.includes(char)) {
+      gsmLength += 2;
+    } else {
+      // One non-GSM character switches the whole message to UCS-2 (UTF-16 code units)
+      return { encoding: "UCS-2" as SmsEncoding, length: text.length, segments: segmentsFor("UCS-2", text.length) };
+    }
+  }
+
+  return { encoding: "GSM-7" as SmsEncoding, length: gsmLength, segments: segmentsFor("GSM-7", gsmLength) };
+}
+
+function segmentsFor(encoding: SmsEncoding, length: number): number {
+  const limit = LIMITS[encoding];
+  return length <= limit.single ? 1 : Math.ceil(length / limit.part);
+}
+
+/**
+ * Shorten a text to fit in a number of SMS segments
+ *
+ * @returns The text unchanged when it fits, otherwise cut at a word and ended with "..."
+ *
+ * EXPLANATION:
+ * The budget depends on the encoding: 160 characters for one GSM-7 part,
+ * 153 per part when split; only 70 / 67 when the text needs UCS-2.
+ * Typographic quotes, dashes and "°" are swapped for plain characters first,
+ * so they don't push an English text into UCS-2. We cut by whole characters
+ * so Amharic text or emoji are never broken.
+ */
+export function fitSms(text: string, maxSegments = SMS_MAX_SEGMENTS): string {
+  const clean = GSM_SUBSTITUTES
+    .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text)
+    .replace(/\s+/g, " ")
+    .trim();
+  const { encoding, segments } = measureSms(clean);
+  if (segments <= maxSegments) return clean;
+
+  const limit = LIMITS[encoding];
+  const budget = (maxSegments === 1 ? limit.single : limit.part * maxSegments) - 3;
+
+  let kept = "";
+  for (const char of clean) {
+    if (measureSms(kept + char).length > budget) break;
+    kept += char;
+  }
+
+  // Prefer ending on a whole word if that doesn't lose much
+  const lastSpace = kept.lastIndexOf(" ");
+  if (lastSpace > kept.length - 20) kept = kept.slice(0, lastSpace);
+
+  return `${kept.replace(/[\s,.;:]+$/, "")}...`;
+}
+
+/**
+ * Turn a stored phone number into international format
+ *
+ * Accepts the ways Ethiopian numbers are usually written: 0911 23 45 67,
+ * 911234567, 251911234567 and +251 911 234 567. Other numbers must already
+ * start with "+" and a country code.
+ *
+ * @returns E.164 (+251911234567), or null if it isn't a mobile number we can text
+ */
+export function normalizePhone(phone: string | null | undefined): string | null {
+  if (!phone) return null;
+
+  const digits = phone.replace(/[\s\-().]/g, "");
+
+  const ethiopian = digits.match(/^(?:\+?251|0)?([79]\d{8})$/);
+  if (ethiopian) return `+251${ethiopian[1]}`;
+
+  return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+}
+
+// Notification types worth a text message; chat and system notices stay in the app
+export const SMS_NOTIFICATION_TYPES = ["price_alert", "weather", "advisory", "order"] as const;
+export type SmsNotificationType = (typeof SMS_NOTIFICATION_TYPES)[number];
+
+const stripEnd = (text: string) => text.trim().replace(/[.!]+$/, "");
+
+const SMS_TEMPLATES: Record<SmsNotificationType, (notification: { title: string; message: string }) => string> = {
+  // "Teff is now 4200 ETB/quintal in Amhara, above your target..." says it all
+  price_alert: (notification) => `AgroTech price alert: ${notification.message}`,
+  weather: (notification) => `AgroTech weather: ${stripEnd(notification.title)}. ${notification.message}`,
+  advisory: (notification) => `AgroTech: ${stripEnd(notification.title)}. ${notification.message}`,
+  order: (notification) => `AgroTech: ${stripEnd(notification.title)}. ${notification.message}`
+};
+
+/**
+ * The text message for a notification, within the length limit
+ */
+export function formatNotificationSms(
+  type: SmsNotificationType,
+  notification: { title: string; message: string }
+): string {
+  return fitSms(SMS_TEMPLATES[type](notification));
+}
+
+/**
+ * Send a text message to a user
+ *
+ * @param input - Who, the stored phone number, the text, and the notification it is for
+ * @returns The sms_message row with its final status
+ *
+ * EXPLANATION:
+ * Every attempt is stored in `sms_message`, also the ones we don't send:
+ *   - SKIPPED when the phone number isn't usable or the user already got
+ *     SMS_DAILY_LIMIT texts in the last 24 hours
+ *   - SENT / DELIVERED when the gateway took it (delivery may be confirmed
+ *     later through a delivery report)
+ *   - FAILED when the gateway refused it, or no gateway is configured
+ * The row is written before the limit is checked, so two notifications at
+ * the same moment can't both slip under the limit.
+ */
+export async function sendSms(input: {
+  userId: string;
+  phone: string | null;
+  body: string;
+  notificationId?: string;
+}) {
+  let gateway: SmsGateway | null = null;
+  let gatewayError: string | null = null;
+
+  try {
+    gateway = getSmsGateway();
+  } catch (error: any) {
+    console.error("❌ SMS gateway unavailable:", error);
+    gatewayError = String(error?.message || error).slice(0, 500);
+  }
+
+  const phone = normalizePhone(input.phone);
+  const body = fitSms(input.body);
+  const { encoding, segments } = measureSms(body);
+
+  const sms = await prisma.smsMessage.create({
+    data: {
+      userId: input.userId,
+      phone: phone || input.phone || "",
+      body,
+      encoding,
+      segments,
+      gateway: gateway?.name || "none",
+      notificationId: input.notificationId,
+      ...(!phone
+        ? { status: "SKIPPED", error: "No valid mobile number" }
+        : !gateway && { status: "FAILED", error: gatewayError })
+    }
+  });
+
+  if (!phone || !gateway) return sms;
+
+  const sentToday = await prisma.smsMessage.count({
+    where: {
+      userId: input.userId,
+      createdAt: { gte: new Date(Date.now() - DAY_MS), lte: sms.createdAt },
+      status: { in: ["QUEUED", "SENT", "DELIVERED"] }
+    }
+  });
+
+  if (sentToday > SMS_DAILY_LIMIT) {
+    return prisma.smsMessage.update({
+      where: { id: sms.id },
+      data: { status: "SKIPPED", error: `Daily limit of ${SMS_DAILY_LIMIT} messages reached` }
+    });
+  }
+
+  try {
+    const result = await gateway.send(phone, body);
+    const now = new Date();
+
+    return await prisma.smsMessage.update({
+      where: { id: sms.id },
+      data: {
+        status: result.status,
+        providerMessageId: result.providerMessageId,
+        sentAt: now,
+        deliveredAt: result.status === "DELIVERED" ? now : null
+      }
+    });
+  } catch (error: any) {
+    console.error(`❌ SMS to ${phone} failed:`, error);
+    return prisma.smsMessage.update({
+      where: { id: sms.id },
+      data: { status: "FAILED", error: String(error?.message || error).slice(0, 500) }
+    });
+  }
+}
+
+/**
+ * Store delivery receipts from the gateway
+ *
+ * @returns How many messages were updated (unknown ids are ignored)
+ */
+export async function applySmsDeliveryReports(reports: SmsDeliveryReport[]): Promise<number> {
+  let updated = 0;
+
+  for (const report of reports) {
+    const result = await prisma.smsMessage.updateMany({
+      where: { providerMessageId: report.providerMessageId },
+      data: report.status === "DELIVERED"
+        ? { status: "DELIVERED", deliveredAt: new Date(), error: null }
+        : { status: "FAILED", error: report.error || "Not delivered" }
+    });
+    updated += result.count;
+  }
+
+  return updated;
+}
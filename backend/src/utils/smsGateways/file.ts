@@ -0,0 +1,36 @@
+import { appendFile, mkdir } from "fs/promises";
+import { randomUUID } from "crypto";
+import path from "path";
+import { SmsDeliveryReport, SmsGateway } from "./types";
+
+/**
+ * Text messages appended to a log file instead of being sent, for development
+ *
+ * Each message is one JSON line ({ id, to, body, sentAt }), so
+ * `tail -f logs/sms.log` shows what farmers would receive. There is no
+ * network to fail, so every message counts as delivered straight away.
+ */
+export function createFileGateway(filePath: string): SmsGateway {
+  return {
+    name: "file",
+
+    async send(to: string, body: string) {
+      const id = `file-${randomUUID()}`;
+
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await appendFile(filePath, JSON.stringify({ id, to, body, sentAt: new Date().toISOString() }) + "\n", "utf-8");
+
+      return { providerMessageId: id, status: "DELIVERED" };
+    },
+
+    // Accepts { id, status: "DELIVERED" | "FAILED", error? }, to try the delivery report endpoint by hand
+    parseDeliveryReport(body: unknown) {
+      const report = body as { id?: string; status?: string; error?: string } | null;
+      if (!report?.id || (report.status !== "DELIVERED" && report.status !== "FAILED")) return null;
+
+      const parsed: SmsDeliveryReport = { providerMessageId: report.id, status: report.status };
+      if (report.error) parsed.error = String(report.error);
+      return [parsed];
+    }
+  };
+}
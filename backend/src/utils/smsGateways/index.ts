@@ -0,0 +1,42 @@
+import path from "path";
+import { SmsGateway } from "./types";
+import { createFileGateway } from "./file";
+
+export * from "./types";
+
+let gateway: SmsGateway | null = null;
+
+/**
+ * The SMS gateway chosen by configuration
+ *
+ * SMS_GATEWAY=file  appends messages to SMS_LOG_FILE (default logs/sms.log)
+ *
+ * When SMS_GATEWAY is not set the file gateway is used outside production
+ * only; in production a gateway must be configured, otherwise texts would be
+ * recorded as sent while nobody receives them.
+ *
+ * To add a real gateway, implement SmsGateway in this folder and add it here.
+ */
+export function getSmsGateway(): SmsGateway {
+  if (gateway) return gateway;
+
+  const fallback = process.env.NODE_ENV !== "production" ? "file" : undefined;
+  const name = (process.env.SMS_GATEWAY || fallback)?.toLowerCase();
+
+  if (!name) {
+    throw new Error("No SMS gateway is configured (set SMS_GATEWAY)");
+  }
+
+  switch (name) {
+    case "file":
+      gateway = createFileGateway(
+        path.resolve(process.env.SMS_LOG_FILE || "logs/sms.log")
+      );
+      break;
+    default:
+      throw new Error(`Unknown SMS_GATEWAY "${name}" (use file)`);
+  }
+
+  console.log(`📱 Using ${gateway.name} SMS gateway`);
+  return gateway;
+}
@@ -0,0 +1,24 @@
+/**
+ * What a gateway tells us right after handing it a message.
+ * Gateways that confirm delivery later report it through a delivery report.
+ */
+export interface SmsSendResult {
+  providerMessageId: string;
+  status: "SENT" | "DELIVERED";
+}
+
+/**
+ * A delivery receipt, normalised from the gateway's own callback format
+ */
+export interface SmsDeliveryReport {
+  providerMessageId: string;
+  status: "DELIVERED" | "FAILED";
+  error?: string;
+}
+
+export interface SmsGateway {
+  name: string;
+  send(to: string, body: string): Promise<SmsSendResult>;
+  // Turn the gateway's delivery callback body into reports; null if it isn't one
+  parseDeliveryReport(body: unknown): SmsDeliveryReport[] | null;
+}
@@ -1,82 +1,31 @@
 import { Server as HTTPServer } from "http";
 import { Server as SocketIOServer, Socket } from "socket.io";
 import { prisma } from "./prisma";
+import { findOrCreateConversation, notifyNewMessage, sendChatMessage } from "./conversations";
+import { withAttachmentUrls } from "./attachments";
+import { createOffer, parseOfferInput, respondToOffer } from "./offers";
+import { trackListingInquiry } from "./listingStats";
+import { AccountRestriction, accountStatusSelect, checkAccountStatus } from "./accountStatus";
+import { authenticateSocket } from "./socketAuth";
+import { markConversationRead } from "./readReceipts";
+import { HttpError } from "./httpError";
+import { addUserSocket, getConversationPartnerIds, getPresence, markLastSeen, removeUserSocket } from "./presence";
 
 // Define the structure of a Socket.IO user (extends the default Socket type)
 interface AuthenticatedSocket extends Socket {
   userId?: string;
   userRole?: string;
+  sessionId?: string;
 }
 
-// Track which users are online and their socket IDs
-const onlineUsers = new Map<string, string>(); // userId -> socketId
+// The Socket.IO server, kept so REST routes can push events to connected clients
+let socketServer: SocketIOServer | null = null;
 
-/**
- * HELPER FUNCTION: Find or create a conversation between two users
- * 
- * @param userId1 - First user's ID
- * @param userId2 - Second user's ID
- * @returns The conversation ID
- * 
- * EXPLANATION:
- * When User A wants to message User B, we need a "conversation" to store their messages.
- * This function checks if they already have a conversation. If not, it creates one.
- * 
- * Think of it like: When you text a friend for the first time, your phone creates
- * a new conversation thread automatically.
- */
-async function findOrCreateConversation(userId1: string, userId2: string): Promise<string> {
-  // First, try to find an existing conversation between these two users
-  const existingConversation = await prisma.conversation.findFirst({
-    where: {
-      // A conversation where BOTH users are participants
-      AND: [
-        {
-          participants: {
-            some: { userId: userId1 }
-          }
-        },
-        {
-          participants: {
-            some: { userId: userId2 }
-          }
-        }
-      ],
-      // Only look at 1-on-1 conversations (exactly 2 participants)
-      participants: {
-        every: {
-          userId: { in: [userId1, userId2] }
-        }
-      }
-    },
-    include: {
-      participants: true
-    }
-  });
-
-  // If we found a conversation, check it has exactly 2 participants (not a group chat)
-  if (existingConversation && existingConversation.participants.length === 2) {
-    console.log(`📋 Found existing conversation: ${existingConversation.id}`);
-    return existingConversation.id;
-  }
+// Name of the room every socket of a user joins
+const userRoom = (userId: string) => `user:${userId}`;
 
-  // No conversation exists, so create a new one
-  console.log(`🆕 Creating new conversation between ${userId1} and ${userId2}`);
-  
-  const newConversation = await prisma.conversation.create({
-    data: {
-      participants: {
-        create: [
-          { userId: userId1 },
-          { userId: userId2 }
-        ]
-      }
-    }
-  });
-
-  console.log(`✅ Created conversation: ${newConversation.id}`);
-  return newConversation.id;
-}
+// How often connected sockets are checked against their session (revoked, expired, account suspended)
+const SESSION_CHECK_INTERVAL_MS = (Number(process.env.SOCKET_SESSION_CHECK_SECONDS) || 60) * 1000;
 
 /**
  * Initialize Socket.IO server
@@ -103,26 +52,36 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
   // This runs BEFORE a user can establish a WebSocket connection
   io.use(async (socket: AuthenticatedSocket, next) => {
     try {
-      // Extract the userId from the connection handshake (sent from frontend)
-      const userId = socket.handshake.auth.userId;
-      
-      if (!userId) {
-        return next(new Error("Authentication error: No user ID provided"));
+      // The session cookie, or a socket token from POST /api/auth-utils/socket-token
+      // (never a user id the client just claims to be)
+      const session = await authenticateSocket(socket.handshake);
+
+      if (!session) {
+        return next(new Error("Authentication error: Please log in again"));
       }
 
       // Verify the user exists in the database
       const user = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { id: true, role: true },
+        where: { id: session.userId },
+        select: { ...accountStatusSelect, role: true },
       });
 
       if (!user) {
         return next(new Error("Authentication error: User not found"));
       }
 
+      // Suspended and banned users can't connect
+      const restriction = await checkAccountStatus(user);
+      if (restriction) {
+        const error = new Error(restriction.message) as Error & { data?: unknown };
+        error.data = restriction;
+        return next(error);
+      }
+
       // Attach user info to the socket so we can use it later
       socket.userId = user.id;
       socket.userRole = user.role;
+      socket.sessionId = session.sessionId;
 
       next(); // Allow the connection
     } catch (error) {
@@ -136,14 +95,27 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
 
     // Store the user as "online"
     if (socket.userId) {
-      onlineUsers.set(socket.userId, socket.id);
-      
-      // Notify all connected clients about the new online user
-      io.emit("user_online", { userId: socket.userId });
+      const userId = socket.userId;
+      const cameOnline = addUserSocket(userId, socket.id);
+
+      // Personal room, so server-side events (notifications, alerts) reach every tab of this user
+      socket.join(userRoom(userId));
+
+      // Tell conversation partners the user came online (not for a second tab),
+      // and tell this socket which partners are online right now
+      getConversationPartnerIds(userId)
+        .then(async (partnerIds: string[]) => {
+          if (cameOnline && partnerIds.length > 0) {
+            io.to(partnerIds.map(userRoom)).emit("user_online", { userId });
+          }
+          socket.emit("presence", await getPresence(partnerIds));
+        })
+        .catch((error: unknown) => console.error("❌ Failed to share presence:", error));
     }
 
     // EVENT: User wants to start a conversation with another user
-    socket.on("start_conversation", async (data: { recipientId: string }) => {
+    // (produceId is set when the chat was opened from a listing and counts as an inquiry)
+    socket.on("start_conversation", async (data: { recipientId: string; produceId?: string }) => {
       try {
         console.log(`🔍 User ${socket.userId} wants to chat with ${data.recipientId}`);
 
@@ -161,6 +133,10 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
         // Find or create the conversation
         const conversationId = await findOrCreateConversation(socket.userId!, data.recipientId);
 
+        if (data.produceId) {
+          trackListingInquiry(data.produceId, socket.userId!, conversationId);
+        }
+
         // Fetch the full conversation with participants and recent messages
         const conversation = await prisma.conversation.findUnique({
           where: { id: conversationId },
@@ -188,7 +164,8 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
                     image: true,
                     role: true
                   }
-                }
+                },
+                files: true
               }
             }
           }
@@ -202,7 +179,7 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
           conversation: {
             id: conversation?.id,
             participants: conversation?.participants.map(p => p.user),
-            messages: conversation?.messages.reverse() || [] // Reverse to show oldest first
+            messages: conversation?.messages.reverse().map(withAttachmentUrls) || [] // Reverse to show oldest first
           }
         });
 
@@ -248,9 +225,18 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
     socket.on("send_message", async (data: {
       conversationId?: string; // Optional now - can send without existing conversation
       recipientId?: string;    // NEW: If no conversationId, we'll create one
-      content: string;
+      produceId?: string;      // Listing the message is about, counted as an inquiry
+      content?: string;
+      attachmentIds?: string[]; // Uploaded first with POST /api/chat/attachments
     }) => {
       try {
+        const content = typeof data.content === "string" ? data.content.trim() : "";
+
+        if (!content && !(Array.isArray(data.attachmentIds) && data.attachmentIds.length > 0)) {
+          socket.emit("error", { message: "Message content or an attachment is required" });
+          return;
+        }
+
         let conversationId = data.conversationId;
 
         // If no conversationId provided, create a new conversation
@@ -259,7 +245,7 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
           conversationId = await findOrCreateConversation(socket.userId!, data.recipientId);
           
           // Join the new conversation room
-          socket.join(conversationId);
+          socket.join(conversationId!);
         }
 
         if (!conversationId) {
@@ -268,7 +254,7 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
         }
 
         console.log(`💬 Message from ${socket.userId} in conversation ${conversationId}`);
-        console.log(`📝 Message content:`, data.content);
+        console.log(`📝 Message content:`, content);
 
         // Verify user is part of the conversation
         const conversation = await prisma.conversation.findFirst({
@@ -286,41 +272,95 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
           return;
         }
 
-        // Save the message to the database
-        const message = await prisma.message.create({
-          data: {
-            conversationId: conversationId,
-            senderId: socket.userId!,
-            content: data.content,
-          },
-          include: {
-            sender: {
-              select: {
-                id: true,
-                name: true,
-                image: true,
-                role: true,
-              },
-            },
-          },
-        });
+        if (data.produceId) {
+          trackListingInquiry(data.produceId, socket.userId!, conversationId);
+        }
 
-        // Update the conversation's last message timestamp
-        await prisma.conversation.update({
-          where: { id: conversationId },
-          data: { updatedAt: new Date() },
+        // Save the message (and link its attachments) in the database
+        const message = await sendChatMessage({
+          conversationId,
+          senderId: socket.userId!,
+          content,
+          attachmentIds: data.attachmentIds,
         });
 
         // Send the message to everyone in the conversation room (including sender)
         io.to(conversationId).emit("new_message", message);
 
+        notifyNewMessage(conversationId, message).catch((error: unknown) => {
+          console.error("❌ Failed to notify about message:", error);
+        });
+
         console.log(`✅ Message sent to room: ${conversationId}`);
-      } catch (error) {
+      } catch (error: any) {
+        if (error instanceof HttpError) {
+          socket.emit("error", { message: error.message });
+          return;
+        }
         console.error("❌ Error sending message (full error):", error);
         socket.emit("error", { message: "Failed to send message" });
       }
     });
 
+    // EVENT: Buyer makes a price offer on a produce listing
+    socket.on("make_offer", async (data: {
+      produceId: string;
+      price: number;
+      quantity: number;
+      note?: string;
+    }) => {
+      try {
+        console.log(`🤝 Offer from ${socket.userId} on produce ${data.produceId}`);
+
+        const { offer, message } = await createOffer(socket.userId!, data.produceId, parseOfferInput(data));
+
+        // The conversation may have just been created, so make sure we are in the room
+        socket.join(offer.conversationId);
+
+        io.to(offer.conversationId).emit("new_message", message);
+        io.to(offer.conversationId).emit("offer_updated", offer);
+      } catch (error: any) {
+        if (error instanceof HttpError) {
+          socket.emit("error", { message: error.message });
+          return;
+        }
+        console.error("❌ Error making offer:", error);
+        socket.emit("error", { message: "Failed to make offer" });
+      }
+    });
+
+    // EVENT: Farmer (or buyer, for a counter offer) answers an offer
+    socket.on("respond_to_offer", async (data: {
+      offerId: string;
+      action: "accept" | "decline" | "counter";
+      price?: number;
+      quantity?: number;
+      note?: string;
+    }) => {
+      try {
+        if (!["accept", "decline", "counter"].includes(data.action)) {
+          socket.emit("error", { message: "Invalid offer action" });
+          return;
+        }
+
+        const counter = data.action === "counter" ? parseOfferInput(data) : undefined;
+        const result = await respondToOffer(socket.userId!, data.offerId, data.action, counter);
+
+        io.to(result.offer.conversationId).emit("new_message", result.message);
+        io.to(result.offer.conversationId).emit("offer_updated", result.offer);
+        if (result.counterOffer) {
+          io.to(result.offer.conversationId).emit("offer_updated", result.counterOffer);
+        }
+      } catch (error: any) {
+        if (error instanceof HttpError) {
+          socket.emit("error", { message: error.message });
+          return;
+        }
+        console.error("❌ Error responding to offer:", error);
+        socket.emit("error", { message: "Failed to respond to offer" });
+      }
+    });
+
     // EVENT: User is typing indicator
     socket.on("typing", (data: { conversationId: string }) => {
       // Broadcast to everyone in the room EXCEPT the sender
@@ -339,24 +379,15 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
     });
 
     // EVENT: Mark messages as read
-    socket.on("mark_as_read", async (data: { conversationId: string }) => {
+    socket.on("mark_as_read", async (data: { conversationId: string; messageId?: string }) => {
       try {
-        // Update all unread messages in this conversation
-        await prisma.message.updateMany({
-          where: {
-            conversationId: data.conversationId,
-            senderId: { not: socket.userId },
-            isRead: false,
-          },
-          data: { isRead: true },
-        });
-
-        // Notify others in the conversation
-        socket.to(data.conversationId).emit("messages_read", {
-          conversationId: data.conversationId,
-          userId: socket.userId,
-        });
-      } catch (error) {
+        // Moves this user's read cursor and tells the room who read up to which message
+        await markConversationRead(data.conversationId, socket.userId!, data.messageId);
+      } catch (error: any) {
+        if (error instanceof HttpError) {
+          socket.emit("error", { message: error.message });
+          return;
+        }
         console.error("Error marking messages as read:", error);
       }
     });
@@ -365,30 +396,142 @@ export function initializeSocket(httpServer: HTTPServer): SocketIOServer {
     socket.on("disconnect", () => {
       console.log(`❌ User disconnected: ${socket.userId} (Socket ID: ${socket.id})`);
       
-      // Remove from online users
-      if (socket.userId) {
-        onlineUsers.delete(socket.userId);
-        
-        // Notify all clients that this user is now offline
-        io.emit("user_offline", { userId: socket.userId });
+      // Offline once the last tab or device is gone; only partners are told
+      if (socket.userId && removeUserSocket(socket.userId, socket.id)) {
+        const userId = socket.userId;
+
+        Promise.all([markLastSeen(userId), getConversationPartnerIds(userId)])
+          .then(([lastSeenAt, partnerIds]: [Date, string[]]) => {
+            if (partnerIds.length > 0) {
+              io.to(partnerIds.map(userRoom)).emit("user_offline", { userId, lastSeenAt });
+            }
+          })
+          .catch((error: unknown) => console.error("❌ Failed to share presence:", error));
       }
     });
   });
 
+  socketServer = io;
+
+  // Sign-outs and admin actions disconnect right away; this catches expired sessions
+  setInterval(() => {
+    revalidateSockets(io).catch((error: unknown) => console.error("❌ Socket session check failed:", error));
+  }, SESSION_CHECK_INTERVAL_MS).unref();
+
   console.log("🔌 Socket.IO server initialized");
   return io;
 }
 
 /**
- * Get all currently online user IDs
+ * HELPER FUNCTION: Disconnect sockets whose session is no longer valid
+ *
+ * EXPLANATION:
+ * A socket stays connected long after its handshake, so every
+ * SOCKET_SESSION_CHECK_SECONDS we look up the sessions of all connected
+ * sockets in one query. Sockets whose session was deleted or has expired
+ * get "session_expired"; those whose account was suspended meanwhile get
+ * "account_status". Both are then disconnected.
  */
-export function getOnlineUsers(): string[] {
-  return Array.from(onlineUsers.keys());
+async function revalidateSockets(io: SocketIOServer): Promise<void> {
+  const sockets = Array.from(io.of("/").sockets.values()) as AuthenticatedSocket[];
+  const sessionIds = [...new Set(sockets.map((socket) => socket.sessionId).filter((id): id is string => !!id))];
+  if (sessionIds.length === 0) return;
+
+  const sessions = await prisma.session.findMany({
+    where: { id: { in: sessionIds }, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      user: { select: accountStatusSelect }
+    }
+  });
+
+  const restrictions = new Map<string, AccountRestriction | null>();
+  for (const session of sessions) {
+    if (!restrictions.has(session.user.id)) {
+      restrictions.set(session.user.id, await checkAccountStatus(session.user));
+    }
+  }
+
+  const liveSessions = new Map<string, string>(sessions.map((session: { id: string; user: { id: string } }) => [session.id, session.user.id]));
+
+  for (const socket of sockets) {
+    const userId = socket.sessionId && liveSessions.get(socket.sessionId);
+
+    if (!userId) {
+      endSocketSession(socket);
+      continue;
+    }
+
+    const restriction = restrictions.get(userId);
+    if (restriction) {
+      socket.emit("account_status", restriction);
+      socket.disconnect(true);
+    }
+  }
+}
+
+function endSocketSession(socket: AuthenticatedSocket): void {
+  console.log(`🔒 Session ended for ${socket.userId} (Socket ID: ${socket.id})`);
+  socket.emit("session_expired", { message: "Your session has ended. Please log in again." });
+  socket.disconnect(true);
+}
+
+/**
+ * Disconnect every socket opened with a session, e.g. when the user logs out
+ */
+export function disconnectSession(sessionId: string): void {
+  if (!socketServer) return;
+
+  const sockets = Array.from(socketServer.of("/").sockets.values()) as AuthenticatedSocket[];
+  for (const socket of sockets) {
+    if (socket.sessionId === sessionId) endSocketSession(socket);
+  }
+}
+
+/**
+ * Send an event to everyone in a conversation room
+ *
+ * Used by REST routes so clients listening on the socket see changes
+ * made through HTTP as well (e.g. an offer accepted from the orders page).
+ */
+export function emitToConversation(conversationId: string, event: string, payload: unknown): void {
+  socketServer?.to(conversationId).emit(event, payload);
+}
+
+/**
+ * Send an event to every connected socket of a user
+ */
+export function emitToUser(userId: string, event: string, payload: unknown): void {
+  socketServer?.to(userRoom(userId)).emit(event, payload);
 }
 
 /**
- * Check if a specific user is online
+ * Log a user out of every open socket, telling them why first
+ *
+ * Used when an admin suspends or bans an account.
  */
-export function isUserOnline(userId: string): boolean {
-  return onlineUsers.has(userId);
-}
\ No newline at end of file
+export function disconnectUser(userId: string, restriction: AccountRestriction): void {
+  if (!socketServer) return;
+
+  socketServer.to(userRoom(userId)).emit("account_status", restriction);
+  socketServer.in(userRoom(userId)).disconnectSockets(true);
+}
+
+/**
+ * Put every connected socket of some users in a conversation room
+ *
+ * Used when users are added to a group, so they get its messages without reconnecting.
+ */
+export function addUsersToConversationRoom(userIds: string[], conversationId: string): void {
+  if (!socketServer || userIds.length === 0) return;
+  socketServer.in(userIds.map(userRoom)).socketsJoin(conversationId);
+}
+
+/**
+ * Take every connected socket of a user out of a conversation room
+ *
+ * Used when a user leaves or is removed from a group.
+ */
+export function removeUserFromConversationRoom(userId: string, conversationId: string): void {
+  socketServer?.in(userRoom(userId)).socketsLeave(conversationId);
+}
@@ -0,0 +1,113 @@
+import { IncomingHttpHeaders } from "http";
+import { fromNodeHeaders } from "better-auth/node";
+import { auth } from "./auth";
+import { prisma } from "./prisma";
+import { signValue, verifySignature } from "./signing";
+
+// How long a socket token can be used to connect; the connection itself lives as long as the session
+const SOCKET_TOKEN_TTL_SECONDS = Number(process.env.SOCKET_TOKEN_TTL_SECONDS) || 60;
+
+/**
+ * The Better Auth session a socket connected with
+ */
+export interface SocketSession {
+  userId: string;
+  sessionId: string;
+  expiresAt: Date;
+}
+
+/**
+ * Issue a short-lived token a client can connect to Socket.IO with
+ *
+ * @returns The token and when it stops being accepted
+ *
+ * EXPLANATION:
+ * For clients that can't send the session cookie with the socket handshake
+ * (another domain, mobile apps). The token names the session it was issued
+ * for, so the socket is still tied to that session and ends with it.
+ * Format: base64url({ uid, sid, exp }) + "." + HMAC-SHA256 signature.
+ */
+export function issueSocketToken(userId: string, sessionId: string) {
+  const expiresAt = new Date(Date.now() + SOCKET_TOKEN_TTL_SECONDS * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    uid: userId,
+    sid: sessionId,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString("base64url");
+
+  return { token: `${payload}.${signValue(payload)}`, expiresAt };
+}
+
+/**
+ * Check a socket token's signature and expiry
+ *
+ * @returns The user and session it was issued for, or null if it isn't valid
+ */
+export function verifySocketToken(token: string): { userId: string; sessionId: string } | null {
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  if (!verifySignature(payload, signature)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    if (typeof data.uid !== "string" || typeof data.sid !== "string") return null;
+    if (typeof data.exp !== "number" || data.exp * 1000 < Date.now()) return null;
+
+    return { userId: data.uid, sessionId: data.sid };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the session a socket handshake belongs to
+ *
+ * @param handshake - The handshake's auth payload and HTTP headers
+ * @returns The session, or null when the socket isn't logged in
+ *
+ * EXPLANATION:
+ * Two ways to prove who you are:
+ *   1. `auth.token` - a token from POST /api/auth-utils/socket-token
+ *   2. the Better Auth session cookie, sent with the handshake like any request
+ * Either way the session must still exist in the database and not be expired.
+ */
+export async function authenticateSocket(handshake: {
+  auth: Record<string, unknown>;
+  headers: IncomingHttpHeaders;
+}): Promise<SocketSession | null> {
+  const token = handshake.auth?.token;
+
+  if (typeof token === "string" && token) {
+    const claims = verifySocketToken(token);
+    if (!claims) return null;
+
+    const session = await findLiveSession(claims.sessionId);
+    return session && session.userId === claims.userId ? session : null;
+  }
+
+  const result = await auth.api.getSession({
+    headers: fromNodeHeaders(handshake.headers),
+  });
+  if (!result?.session) return null;
+
+  return {
+    userId: result.session.userId,
+    sessionId: result.session.id,
+    expiresAt: new Date(result.session.expiresAt)
+  };
+}
+
+/**
+ * A session that is still valid, or null if it was revoked or has expired
+ */
+export async function findLiveSession(sessionId: string): Promise<SocketSession | null> {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { id: true, userId: true, expiresAt: true }
+  });
+
+  if (!session || session.expiresAt <= new Date()) return null;
+
+  return { userId: session.userId, sessionId: session.id, expiresAt: session.expiresAt };
+}
@@ -0,0 +1,55 @@
+/**
+ * Units used for market prices.
+ * Prices on the market board are always stored per STANDARD_PRICE_UNIT.
+ */
+export const PRICE_UNITS = ["kg", "quintal", "ton"] as const;
+export type PriceUnit = typeof PRICE_UNITS[number];
+
+export const STANDARD_PRICE_UNIT: PriceUnit = "quintal";
+
+// How many kilograms are in one unit (1 quintal = 100 kg)
+const KG_PER_UNIT: Record<PriceUnit, number> = {
+  kg: 1,
+  quintal: 100,
+  ton: 1000
+};
+
+// Spellings we see in spreadsheets and forms
+const UNIT_ALIASES: Record<string, PriceUnit> = {
+  kg: "kg",
+  kgs: "kg",
+  kilo: "kg",
+  kilos: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  q: "quintal",
+  qt: "quintal",
+  qtl: "quintal",
+  quintal: "quintal",
+  quintals: "quintal",
+  t: "ton",
+  ton: "ton",
+  tons: "ton",
+  tonne: "ton",
+  tonnes: "ton"
+};
+
+/**
+ * Turn a free-text unit ("Quintals", "kgs", "tonne") into a known unit
+ *
+ * @returns The unit, or null if we don't recognise it
+ */
+export function normalizeUnit(unit: string | null | undefined): PriceUnit | null {
+  if (!unit) return null;
+  return UNIT_ALIASES[unit.trim().toLowerCase().replace(/\.$/, "")] || null;
+}
+
+/**
+ * Convert a price per `from` unit into a price per `to` unit
+ *
+ * Example: 50 ETB/kg -> 5000 ETB/quintal
+ */
+export function convertUnitPrice(price: number, from: PriceUnit, to: PriceUnit): number {
+  const converted = price * (KG_PER_UNIT[to] / KG_PER_UNIT[from]);
+  return Math.round(converted * 100) / 100;
+}
@@ -0,0 +1,192 @@
+import { Prisma, WeatherCondition } from "@prisma/client";
+import { prisma } from "./prisma";
+import { CurrentWeather, ForecastDay, WeatherLocation, getWeatherProvider } from "./weatherProviders";
+import { HttpError } from "./httpError";
+
+export type { CurrentWeather, ForecastDay, WeatherLocation } from "./weatherProviders";
+
+export type WeatherKind = "current" | "forecast";
+
+// How long a fetched result is served without asking the provider again
+const CACHE_TTL_MINUTES: Record<WeatherKind, number> = {
+  current: Number(process.env.WEATHER_CURRENT_TTL_MINUTES) || 30,
+  forecast: Number(process.env.WEATHER_FORECAST_TTL_MINUTES) || 180
+};
+
+// How old cached data may be and still be served when the provider is down
+const STALE_LIMIT_HOURS: Record<WeatherKind, number> = {
+  current: 24,
+  forecast: 48
+};
+
+export interface CachedWeather<T> {
+  data: T;
+  fetchedAt: Date;
+  // "live" = just fetched, "cache" = fresh cached copy, "stale" = provider failed, older copy
+  source: "live" | "cache" | "stale";
+}
+
+/**
+ * Raised when the provider fails and there is no recent enough copy to fall back to.
+ */
+export class WeatherUnavailableError extends HttpError {
+  constructor(message: string) {
+    super(message, 503);
+  }
+}
+
+// Requests to the provider that are currently running, by kind + location
+const inFlight = new Map<string, Promise<CachedWeather<any>>>();
+
+/**
+ * HELPER FUNCTION: Key used for a location in WeatherData
+ *
+ * "Bahir Dar " and "bahir dar" are the same place for caching purposes.
+ */
+function locationKey(location: string): string {
+  return location.trim().toLowerCase();
+}
+
+/**
+ * HELPER FUNCTION: The numbers we keep in WeatherData columns for each kind
+ *
+ * The full response goes into `payload`; the columns make history easy to query
+ * (e.g. average temperature in Meskerem over the last three years).
+ */
+function summarize(kind: WeatherKind, data: any) {
+  if (kind === "current") {
+    const weather = data as CurrentWeather;
+    return {
+      temperature: weather.current.temperature,
+      humidity: weather.current.humidity,
+      windSpeed: weather.current.windSpeed,
+      rainfall: weather.current.rainfall,
+      uvIndex: weather.current.uvIndex,
+      condition: weather.current.condition
+    };
+  }
+
+  const today = (data as ForecastDay[])[0];
+  return {
+    temperature: today ? (today.high + today.low) / 2 : 0,
+    humidity: today?.humidity ?? 0,
+    windSpeed: today?.windSpeed ?? 0,
+    rainfall: today?.rainfall ?? 0,
+    uvIndex: 0,
+    condition: today?.condition ?? "CLOUDY"
+  };
+}
+
+// Older app versions expect these lowercase names in `condition`
+const CONDITION_LABELS: Record<WeatherCondition, string> = {
+  SUNNY: "sunny",
+  CLOUDY: "cloudy",
+  RAINY: "rain",
+  STORMY: "thunderstorm",
+  FOGGY: "fog"
+};
+
+/**
+ * Shape a condition for API responses: the display name plus the enum value
+ */
+export function presentCondition(condition: WeatherCondition) {
+  return {
+    condition: CONDITION_LABELS[condition] || String(condition).toLowerCase(),
+    conditionCode: condition
+  };
+}
+
+/**
+ * HELPER FUNCTION: Fetch from the provider and save the result
+ *
+ * One WeatherData row per location, kind and hour, so refreshes within the
+ * same hour overwrite each other while older hours stay as history.
+ */
+async function refresh<T>(kind: WeatherKind, location: WeatherLocation): Promise<CachedWeather<T>> {
+  const provider = getWeatherProvider();
+  const data = kind === "current" ? await provider.getCurrent(location) : await provider.getForecast(location);
+
+  const fetchedAt = new Date();
+  const hour = new Date(fetchedAt);
+  hour.setUTCMinutes(0, 0, 0);
+
+  const row = {
+    ...summarize(kind, data),
+    payload: data as unknown as Prisma.InputJsonValue,
+    fetchedAt,
+    expiresAt: new Date(fetchedAt.getTime() + CACHE_TTL_MINUTES[kind] * 60 * 1000)
+  };
+
+  await prisma.weatherData.upsert({
+    where: {
+      location_date_kind: { location: locationKey(location.name), date: hour, kind }
+    },
+    create: { location: locationKey(location.name), date: hour, kind, ...row },
+    update: row
+  });
+
+  return { data: data as T, fetchedAt, source: "live" };
+}
+
+/**
+ * Get weather for a location through the WeatherData cache
+ *
+ * @param kind - "current" conditions or the daily "forecast"
+ * @param location - Place name as stored on the user, with its coordinates when geocoded
+ * @returns The data and where it came from
+ *
+ * EXPLANATION:
+ * 1. If the latest stored copy has not expired, serve it (no API call)
+ * 2. Otherwise ask the provider. If several requests for the same place come
+ *    in at once they all wait on the same provider call.
+ * 3. If the provider fails, serve the latest copy as long as it is not older
+ *    than the stale limit (24h current / 48h forecast), marked as "stale"
+ * 4. With nothing recent enough to serve, throw WeatherUnavailableError
+ */
+export async function getCachedWeather<T>(
+  kind: WeatherKind,
+  location: string | WeatherLocation
+): Promise<CachedWeather<T>> {
+  const place: WeatherLocation = typeof location === "string" ? { name: location } : location;
+  const key = locationKey(place.name);
+
+  const latest = await prisma.weatherData.findFirst({
+    where: { location: key, kind, payload: { not: Prisma.DbNull } },
+    orderBy: { fetchedAt: "desc" }
+  });
+
+  if (latest && latest.expiresAt && latest.expiresAt > new Date()) {
+    return { data: latest.payload as unknown as T, fetchedAt: latest.fetchedAt, source: "cache" };
+  }
+
+  const flightKey = `${kind}:${key}`;
+  let pending = inFlight.get(flightKey);
+
+  if (!pending) {
+    pending = refresh<T>(kind, place).finally(() => inFlight.delete(flightKey));
+    inFlight.set(flightKey, pending);
+  }
+
+  try {
+    return await pending;
+  } catch (error) {
+    console.error(`❌ Weather provider error (${kind}, ${place.name}):`, error);
+
+    const staleLimit = new Date(Date.now() - STALE_LIMIT_HOURS[kind] * 60 * 60 * 1000);
+
+    if (latest && latest.fetchedAt > staleLimit) {
+      console.log(`📦 Serving stale ${kind} weather for ${place.name} from ${latest.fetchedAt.toISOString()}`);
+      return { data: latest.payload as unknown as T, fetchedAt: latest.fetchedAt, source: "stale" };
+    }
+
+    throw new WeatherUnavailableError("Weather service is unavailable right now, please try again later");
+  }
+}
+
+export function getCurrentWeather(location: string | WeatherLocation) {
+  return getCachedWeather<CurrentWeather>("current", location);
+}
+
+export function getForecast(location: string | WeatherLocation) {
+  return getCachedWeather<ForecastDay[]>("forecast", location);
+}
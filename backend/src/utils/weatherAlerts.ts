@@ -0,0 +1,296 @@
+import { AlertSeverity, Prisma } from "@prisma/client";
+import { prisma } from "./prisma";
+import { ForecastDay, getForecast } from "./weather";
+import { createNotification } from "./notifications";
+import { activeAccountFilter } from "./accountStatus";
+
+// How many forecast days (today included) we raise alerts for
+const ALERT_HORIZON_DAYS = 3;
+
+const SWEEP_INTERVAL_MINUTES = Number(process.env.WEATHER_ALERT_INTERVAL_MINUTES) || 180;
+
+interface WeatherRule {
+  id: string;
+  // Keywords matched against the farmer's produce names; "*" means any crop
+  crops: string[] | "*";
+  // Months (1-12) the rule applies in, e.g. harvest season; all year if missing
+  months?: number[];
+  alertType: "weather" | "pest" | "disease";
+  severity: AlertSeverity;
+  title: string;
+  matches: (day: ForecastDay) => boolean;
+  describe: (day: ForecastDay, crop: string | null) => string;
+  action: string;
+}
+
+/**
+ * The alert rules, one entry per risk
+ *
+ * To add a rule, add an entry here: which crops it concerns, when it fires
+ * and what the farmer should do about it. Crop-agnostic rules ("*") raise
+ * one alert per day instead of one per crop.
+ */
+export const WEATHER_RULES: WeatherRule[] = [
+  {
+    id: "frost",
+    crops: ["tomato", "potato", "pepper", "coffee", "banana", "avocado"],
+    alertType: "weather",
+    severity: "HIGH",
+    title: "Frost risk",
+    matches: (day) => day.low <= 2,
+    describe: (day, crop) => `Night temperatures down to ${day.low}°C on ${day.day} can damage your ${crop}.`,
+    action: "Cover young plants overnight and water the soil in the afternoon to hold heat"
+  },
+  {
+    id: "teff-harvest-rain",
+    crops: ["teff"],
+    // Teff is harvested after the kiremt rains, Tikimt to Tahsas
+    months: [10, 11, 12, 1],
+    alertType: "weather",
+    severity: "HIGH",
+    title: "Heavy rain during teff harvest",
+    matches: (day) => day.rainfall >= 10 || (day.chanceOfRain >= 70 && (day.condition === "RAINY" || day.condition === "STORMY")),
+    describe: (day) => `Heavy rain expected on ${day.day} (${day.chanceOfRain}% chance, ~${day.rainfall} mm) while teff is being harvested.`,
+    action: "Bring in cut teff and cover stacks before the rain to avoid shattering and mould"
+  },
+  {
+    id: "heat-stress",
+    crops: "*",
+    alertType: "weather",
+    severity: "MEDIUM",
+    title: "Heat stress",
+    matches: (day) => day.high >= 34,
+    describe: (day) => `Temperatures up to ${day.high}°C on ${day.day} can stress crops and livestock.`,
+    action: "Irrigate early in the morning (5-7 AM) and mulch to keep soil moisture"
+  },
+  {
+    id: "high-wind",
+    crops: "*",
+    alertType: "weather",
+    severity: "MEDIUM",
+    title: "High winds",
+    matches: (day) => day.windSpeed >= 40 || day.condition === "STORMY",
+    describe: (day) => day.condition === "STORMY"
+      ? `Thunderstorms with strong gusts expected on ${day.day}.`
+      : `Winds around ${day.windSpeed} km/h expected on ${day.day}.`,
+    action: "Stake tall crops, secure shade nets and delay spraying"
+  }
+];
+
+/**
+ * HELPER FUNCTION: Which of the farmer's crops a rule concerns
+ *
+ * @returns The crop names, or [null] for crop-agnostic rules
+ */
+function cropsForRule(rule: WeatherRule, crops: string[]): (string | null)[] {
+  if (rule.crops === "*") {
+    return crops.length > 0 ? [null] : [];
+  }
+
+  const keywords = rule.crops;
+  return crops.filter((crop) => keywords.some((keyword) => crop.toLowerCase().includes(keyword)));
+}
+
+/**
+ * Raise alerts for one farmer from a forecast
+ *
+ * @param farmer - The farmer, their location and the crops they grow
+ * @param forecast - Daily forecast for that location
+ * @returns How many new alerts were stored
+ *
+ * EXPLANATION:
+ * Every rule is checked against the next few forecast days. Each hit gets a
+ * dedupeKey (rule, crop and date), and (farmerId, dedupeKey) is unique, so
+ * running the sweep again never creates the same alert twice. An alert
+ * expires at the end of the day it is about.
+ * HIGH and CRITICAL alerts are also sent as notifications.
+ */
+export async function raiseWeatherAlerts(
+  farmer: { id: string; location: string; crops: string[] },
+  forecast: ForecastDay[]
+): Promise<number> {
+  const candidates: Prisma.WeatherAlertCreateManyInput[] = [];
+
+  for (const day of forecast.slice(0, ALERT_HORIZON_DAYS)) {
+    const dayStart = new Date(`${day.date}T00:00:00Z`);
+    const month = dayStart.getUTCMonth() + 1;
+
+    for (const rule of WEATHER_RULES) {
+      if (rule.months && !rule.months.includes(month)) continue;
+      if (!rule.matches(day)) continue;
+
+      for (const crop of cropsForRule(rule, farmer.crops)) {
+        candidates.push({
+          farmerId: farmer.id,
+          dedupeKey: [rule.id, crop?.toLowerCase() || "all", day.date].join(":"),
+          title: crop ? `${rule.title}: ${crop}` : rule.title,
+          description: rule.describe(day, crop),
+          action: rule.action,
+          crop,
+          severity: rule.severity,
+          alertType: rule.alertType,
+          location: farmer.location,
+          expiresAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+        });
+      }
+    }
+  }
+
+  if (candidates.length === 0) return 0;
+
+  const existing = await prisma.weatherAlert.findMany({
+    where: {
+      farmerId: farmer.id,
+      dedupeKey: { in: candidates.map((candidate) => candidate.dedupeKey!) }
+    },
+    select: { dedupeKey: true }
+  });
+  const seen = new Set(existing.map((alert: { dedupeKey: string | null }) => alert.dedupeKey));
+
+  let created = 0;
+
+  for (const candidate of candidates) {
+    if (seen.has(candidate.dedupeKey!)) continue;
+
+    try {
+      const alert = await prisma.weatherAlert.create({ data: candidate });
+      created++;
+
+      if (alert.severity === "HIGH" || alert.severity === "CRITICAL") {
+        await createNotification({
+          userId: farmer.id,
+          type: "weather",
+          title: alert.title,
+          message: alert.description,
+          metadata: { weatherAlertId: alert.id, severity: alert.severity, crop: alert.crop }
+        });
+      }
+    } catch (error: any) {
+      // Another sweep stored the same alert in the meantime
+      if (error?.code !== "P2002") throw error;
+    }
+  }
+
+  return created;
+}
+
+/**
+ * HELPER FUNCTION: Farmers with a location and an active account, and the crops they list
+ */
+async function loadFarmers(farmerIds?: string[]) {
+  const farmers = await prisma.user.findMany({
+    where: {
+      role: "FARMER",
+      location: { not: null },
+      ...activeAccountFilter(),
+      ...(farmerIds && { id: { in: farmerIds } })
+    },
+    select: {
+      id: true,
+      location: true,
+      latitude: true,
+      longitude: true,
+      produce: {
+        select: { name: true },
+        distinct: ["name"]
+      }
+    }
+  });
+
+  return farmers
+    .filter((farmer: { location: string | null }) => farmer.location && farmer.location.trim())
+    .map((farmer: {
+      id: string;
+      location: string | null;
+      latitude: number | null;
+      longitude: number | null;
+      produce: { name: string }[];
+    }) => ({
+      id: farmer.id,
+      location: farmer.location!.trim(),
+      latitude: farmer.latitude,
+      longitude: farmer.longitude,
+      crops: farmer.produce.map((produce) => produce.name)
+    }));
+}
+
+/**
+ * Evaluate the alert rules for farmers (all farmers when no ids are given)
+ *
+ * The forecast is fetched once per location through the weather cache,
+ * so a sweep over many farmers in the same town is a single provider call.
+ * A location whose weather is unavailable is skipped until the next sweep.
+ */
+export async function runWeatherAlertSweep(farmerIds?: string[]) {
+  const farmers = await loadFarmers(farmerIds);
+  const byLocation = new Map<string, typeof farmers>();
+
+  for (const farmer of farmers) {
+    const key = farmer.location.toLowerCase();
+    byLocation.set(key, [...(byLocation.get(key) || []), farmer]);
+  }
+
+  let created = 0;
+  let failedLocations = 0;
+
+  for (const group of byLocation.values()) {
+    try {
+      const forecast = await getForecast({
+        name: group[0].location,
+        latitude: group[0].latitude,
+        longitude: group[0].longitude
+      });
+
+      for (const farmer of group) {
+        created += await raiseWeatherAlerts(farmer, forecast.data);
+      }
+    } catch (error) {
+      failedLocations++;
+      console.error(`❌ Weather alert sweep failed for ${group[0].location}:`, error);
+    }
+  }
+
+  return { farmers: farmers.length, locations: byLocation.size, created, failedLocations };
+}
+
+/**
+ * Sweep one farmer in the background, without making the caller wait
+ *
+ * Called when a farmer lists a new crop, so its alerts don't wait for the
+ * next scheduled sweep.
+ */
+export function queueWeatherAlertSweep(farmerId: string): void {
+  setImmediate(() => {
+    runWeatherAlertSweep([farmerId]).catch((error) => {
+      console.error(`❌ Weather alert sweep failed for farmer ${farmerId}:`, error);
+    });
+  });
+}
+
+let sweepRunning = false;
+
+/**
+ * Run the weather alert sweep in the background every few hours
+ *
+ * Interval: WEATHER_ALERT_INTERVAL_MINUTES (default 180). A sweep that is
+ * still running when the next one is due is not started twice.
+ */
+export function startWeatherAlertScheduler() {
+  const sweep = async () => {
+    if (sweepRunning) return;
+    sweepRunning = true;
+
+    try {
+      const result = await runWeatherAlertSweep();
+      console.log(`🌦️ Weather alert sweep: ${result.created} new alerts for ${result.farmers} farmers in ${result.locations} locations`);
+    } catch (error) {
+      console.error("❌ Weather alert sweep failed:", error);
+    } finally {
+      sweepRunning = false;
+    }
+  };
+
+  // First sweep shortly after start-up, then on the interval
+  setTimeout(sweep, 30 * 1000).unref();
+  setInterval(sweep, SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+}
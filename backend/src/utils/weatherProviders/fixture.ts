@@ -0,0 +1,69 @@
+import { readFileSync } from "fs";
+import { CurrentWeather, ForecastDay, WeatherLocation, WeatherProvider, forecastDayName, moonPhaseFor } from "./types";
+
+interface FixtureLocation {
+  current: CurrentWeather["current"];
+  today: CurrentWeather["today"];
+  // Dates are filled in from today, so the fixture never goes out of date
+  forecast: Omit<ForecastDay, "day" | "date">[];
+}
+
+interface FixtureFile {
+  default: FixtureLocation;
+  locations?: { [location: string]: FixtureLocation };
+}
+
+/**
+ * Weather read from a JSON file, for development and tests
+ *
+ * Same location in, same weather out: no network and no randomness.
+ * Locations are matched by name ("Bahir Dar, Amhara" also matches "Bahir Dar");
+ * locations not listed in the file get the "default" entry.
+ * Only the forecast dates move, so "Today" is always today.
+ */
+export function createFixtureProvider(filePath: string): WeatherProvider {
+  let fixtures: FixtureFile | null = null;
+
+  const load = (location: WeatherLocation): FixtureLocation => {
+    if (!fixtures) {
+      fixtures = JSON.parse(readFileSync(filePath, "utf-8")) as FixtureFile;
+    }
+
+    const key = location.name.trim().toLowerCase();
+    const town = key.split(",")[0].trim();
+    const match = Object.entries(fixtures.locations || {}).find(([name]) =>
+      name.toLowerCase() === key || name.toLowerCase() === town
+    );
+
+    return match ? match[1] : fixtures.default;
+  };
+
+  return {
+    name: "fixture",
+
+    async getCurrent(location: WeatherLocation): Promise<CurrentWeather> {
+      const fixture = load(location);
+
+      return {
+        current: { ...fixture.current },
+        today: { ...fixture.today, moonPhase: moonPhaseFor(new Date()) }
+      };
+    },
+
+    async getForecast(location: WeatherLocation): Promise<ForecastDay[]> {
+      const fixture = load(location);
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+
+      return fixture.forecast.slice(0, 7).map((day, index) => {
+        const date = new Date(today.getTime() + index * 24 * 60 * 60 * 1000);
+
+        return {
+          day: forecastDayName(date, index),
+          date: date.toISOString().split('T')[0],
+          ...day
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,53 @@
+import path from "path";
+import { WeatherProvider } from "./types";
+import { createOpenWeatherMapProvider } from "./openWeatherMap";
+import { createFixtureProvider } from "./fixture";
+import { WeatherUnavailableError } from "../weather";
+
+export * from "./types";
+
+let provider: WeatherProvider | null = null;
+
+/**
+ * The weather provider chosen by configuration
+ *
+ * WEATHER_PROVIDER=openweathermap  needs OPENWEATHER_API_KEY
+ * WEATHER_PROVIDER=fixture         reads WEATHER_FIXTURE_FILE (default fixtures/weather.json)
+ *
+ * When WEATHER_PROVIDER is not set we use OpenWeatherMap if an API key is
+ * configured. Without a key the fixture provider is only picked outside
+ * production (local development); in production we refuse to serve canned
+ * weather, since its alerts would reach farmers as if they were real.
+ */
+export function getWeatherProvider(): WeatherProvider {
+  if (provider) return provider;
+
+  const apiKey = process.env.OPENWEATHER_API_KEY;
+  const fallback = apiKey
+    ? "openweathermap"
+    : process.env.NODE_ENV !== "production" ? "fixture" : undefined;
+  const name = (process.env.WEATHER_PROVIDER || fallback)?.toLowerCase();
+
+  if (!name) {
+    throw new WeatherUnavailableError("No weather provider is configured (set OPENWEATHER_API_KEY)");
+  }
+
+  switch (name) {
+    case "openweathermap":
+      if (!apiKey) {
+        throw new WeatherUnavailableError("WEATHER_PROVIDER=openweathermap needs OPENWEATHER_API_KEY");
+      }
+      provider = createOpenWeatherMapProvider(apiKey);
+      break;
+    case "fixture":
+      provider = createFixtureProvider(
+        path.resolve(process.env.WEATHER_FIXTURE_FILE || "fixtures/weather.json")
+      );
+      break;
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${name}" (use openweathermap or fixture)`);
+  }
+
+  console.log(`🌤️ Using ${provider.name} weather provider`);
+  return provider;
+}
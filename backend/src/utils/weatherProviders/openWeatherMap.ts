@@ -0,0 +1,155 @@
+import { WeatherCondition } from "@prisma/client";
+import { CurrentWeather, ForecastDay, WeatherLocation, WeatherProvider, forecastDayName, moonPhaseFor } from "./types";
+
+const OPENWEATHER_BASE_URL = "https://api.openweathermap.org/data/2.5";
+
+// OpenWeatherMap "main" groups -> our WeatherCondition
+const CONDITION_MAP: { [key: string]: WeatherCondition } = {
+  'Clear': 'SUNNY',
+  'Clouds': 'CLOUDY',
+  'Rain': 'RAINY',
+  'Drizzle': 'RAINY',
+  'Snow': 'RAINY',
+  'Thunderstorm': 'STORMY',
+  'Squall': 'STORMY',
+  'Tornado': 'STORMY',
+  'Mist': 'FOGGY',
+  'Fog': 'FOGGY',
+  'Haze': 'FOGGY',
+  'Smoke': 'FOGGY',
+  'Dust': 'FOGGY',
+  'Sand': 'FOGGY',
+  'Ash': 'FOGGY'
+};
+
+function mapCondition(main: string): WeatherCondition {
+  return CONDITION_MAP[main] || 'CLOUDY';
+}
+
+// Helper function to get most frequent item in array
+function getMostFrequent<T>(arr: T[]): T {
+  const frequency = new Map<T, number>();
+  let maxCount = 0;
+  let mostFrequent = arr[0];
+
+  arr.forEach(item => {
+    const count = (frequency.get(item) || 0) + 1;
+    frequency.set(item, count);
+    if (count > maxCount) {
+      maxCount = count;
+      mostFrequent = item;
+    }
+  });
+
+  return mostFrequent;
+}
+
+function formatTime(seconds: number): string {
+  return new Date(seconds * 1000).toLocaleTimeString('en-US', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Africa/Addis_Ababa'
+  });
+}
+
+/**
+ * Weather from the OpenWeatherMap 2.5 API
+ *
+ * Geocoded locations are looked up by coordinates, anything else by name
+ * within Ethiopia (",ET").
+ */
+export function createOpenWeatherMapProvider(apiKey: string): WeatherProvider {
+  const get = async (path: string) => {
+    const separator = path.includes("?") ? "&" : "?";
+    const response = await fetch(`${OPENWEATHER_BASE_URL}${path}${separator}appid=${apiKey}&units=metric`);
+
+    if (!response.ok) {
+      throw new Error(`OpenWeatherMap error: ${response.status}`);
+    }
+
+    return response.json();
+  };
+
+  const query = (location: WeatherLocation) =>
+    location.latitude != null && location.longitude != null
+      ? `lat=${location.latitude}&lon=${location.longitude}`
+      : `q=${encodeURIComponent(location.name)},ET`;
+
+  return {
+    name: "openweathermap",
+
+    async getCurrent(location: WeatherLocation): Promise<CurrentWeather> {
+      const weatherData = await get(`/weather?${query(location)}`);
+
+      // UV Index API call (requires lat/lon)
+      let uvIndex = 7; // Default moderate UV
+      try {
+        const uvData = await get(`/uvi?lat=${weatherData.coord.lat}&lon=${weatherData.coord.lon}`);
+        uvIndex = Math.round(uvData.value);
+      } catch (uvError) {
+        console.log("UV index not available, using default");
+      }
+
+      return {
+        current: {
+          temperature: Math.round(weatherData.main.temp),
+          humidity: weatherData.main.humidity,
+          windSpeed: Math.round(weatherData.wind?.speed * 3.6) || 0, // Convert m/s to km/h
+          condition: mapCondition(weatherData.weather[0].main),
+          pressure: weatherData.main.pressure,
+          uvIndex,
+          visibility: Math.round((weatherData.visibility || 10000) / 1000), // Convert m to km
+          feelsLike: Math.round(weatherData.main.feels_like),
+          description: weatherData.weather[0].description,
+          rainfall: weatherData.rain?.["1h"] || 0
+        },
+        today: {
+          high: Math.round(weatherData.main.temp_max),
+          low: Math.round(weatherData.main.temp_min),
+          sunrise: formatTime(weatherData.sys.sunrise),
+          sunset: formatTime(weatherData.sys.sunset),
+          moonPhase: moonPhaseFor(new Date()),
+          chanceOfRain: weatherData.clouds?.all || 0 // Use cloud coverage as rain estimate
+        }
+      };
+    },
+
+    async getForecast(location: WeatherLocation): Promise<ForecastDay[]> {
+      const forecastData = await get(`/forecast?${query(location)}`);
+
+      // Group forecast by day (API returns 3-hour intervals)
+      const dailyData = new Map<string, any>();
+
+      for (const forecast of forecastData.list) {
+        const date = new Date(forecast.dt * 1000).toISOString().split('T')[0];
+
+        if (!dailyData.has(date)) {
+          dailyData.set(date, { temps: [], conditions: [], humidity: [], windSpeeds: [], rainChances: [], rainfall: 0 });
+        }
+
+        const day = dailyData.get(date);
+        day.temps.push(forecast.main.temp);
+        day.conditions.push(mapCondition(forecast.weather[0].main));
+        day.humidity.push(forecast.main.humidity);
+        day.windSpeeds.push(forecast.wind?.speed * 3.6 || 0);
+        day.rainChances.push((forecast.pop || 0) * 100); // Probability of precipitation
+        day.rainfall += forecast.rain?.["3h"] || 0;
+      }
+
+      const average = (values: number[]) => values.reduce((a, b) => a + b, 0) / values.length;
+
+      return [...dailyData.entries()].slice(0, 7).map(([date, day], index) => ({
+        day: forecastDayName(new Date(`${date}T00:00:00Z`), index),
+        date,
+        high: Math.round(Math.max(...day.temps)),
+        low: Math.round(Math.min(...day.temps)),
+        condition: getMostFrequent<WeatherCondition>(day.conditions),
+        chanceOfRain: Math.round(Math.max(...day.rainChances)),
+        windSpeed: Math.round(average(day.windSpeeds)),
+        humidity: Math.round(average(day.humidity)),
+        rainfall: Math.round(day.rainfall * 10) / 10
+      }));
+    }
+  };
+}
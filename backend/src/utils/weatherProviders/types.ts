@@ -0,0 +1,82 @@
+import { WeatherCondition } from "@prisma/client";
+
+/**
+ * The one weather schema the rest of the app works with.
+ * Every provider normalises its own response into these shapes.
+ */
+export interface CurrentWeather {
+  current: {
+    temperature: number; // °C
+    humidity: number; // %
+    windSpeed: number; // km/h
+    condition: WeatherCondition;
+    pressure: number; // hPa
+    uvIndex: number;
+    visibility: number; // km
+    feelsLike: number; // °C
+    description: string;
+    rainfall: number; // mm in the last hour
+  };
+  today: {
+    high: number;
+    low: number;
+    sunrise: string; // HH:mm
+    sunset: string; // HH:mm
+    moonPhase: string;
+    chanceOfRain: number; // %
+  };
+}
+
+export interface ForecastDay {
+  day: string;
+  date: string; // YYYY-MM-DD
+  high: number;
+  low: number;
+  condition: WeatherCondition;
+  chanceOfRain: number;
+  windSpeed: number;
+  humidity: number;
+  rainfall: number; // mm for the day
+}
+
+/**
+ * Where to get weather for: the place name, plus its coordinates when the
+ * location was geocoded (see utils/geo)
+ */
+export interface WeatherLocation {
+  name: string;
+  latitude?: number | null;
+  longitude?: number | null;
+}
+
+export interface WeatherProvider {
+  name: string;
+  getCurrent(location: WeatherLocation): Promise<CurrentWeather>;
+  getForecast(location: WeatherLocation): Promise<ForecastDay[]>;
+}
+
+/**
+ * HELPER FUNCTION: Moon phase for a date
+ *
+ * Weather APIs we use don't return it, so we work it out from the length
+ * of the lunar cycle (29.53 days) counted from a known new moon.
+ */
+export function moonPhaseFor(date: Date): string {
+  const knownNewMoon = Date.UTC(2000, 0, 6, 18, 14);
+  const cycleDays = 29.530588853;
+  const age = (((date.getTime() - knownNewMoon) / 86400000) % cycleDays + cycleDays) % cycleDays;
+
+  if (age < 1.85 || age >= cycleDays - 1.85) return "new";
+  if (age < cycleDays / 2 - 1.85) return "waxing";
+  if (age < cycleDays / 2 + 1.85) return "full";
+  return "waning";
+}
+
+/**
+ * HELPER FUNCTION: Display name for the n-th forecast day ("Today", "Tomorrow", "Friday", ...)
+ */
+export function forecastDayName(date: Date, index: number): string {
+  if (index === 0) return "Today";
+  if (index === 1) return "Tomorrow";
+  return date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+}